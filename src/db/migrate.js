@@ -39,6 +39,16 @@ async function runMigration() {
             );
         }
 
+        // PostGIS is optional; without it spatial search uses lat/lon only
+        try {
+            await client.query("CREATE EXTENSION IF NOT EXISTS postgis");
+            console.log("✅ PostGIS extension enabled");
+        } catch (error) {
+            console.log(
+                "⚠️  PostGIS not available, spatial search will use lat/lon filtering",
+            );
+        }
+
         // Read and execute schema
         console.log("📋 Reading schema file...");
         const schemaPath = path.join(__dirname, "schema.sql");
@@ -85,6 +95,35 @@ async function runMigration() {
             console.log("✅ Schema migration completed with warnings");
         }
 
+        // Apply incremental migrations (idempotent, run in filename order)
+        const migrationsDir = path.join(__dirname, "migrations");
+        const migrationFiles = fs.existsSync(migrationsDir)
+            ? fs
+                  .readdirSync(migrationsDir)
+                  .filter((file) => file.endsWith(".sql"))
+                  .sort()
+            : [];
+
+        for (const file of migrationFiles) {
+            const migrationSql = fs.readFileSync(
+                path.join(migrationsDir, file),
+                "utf8",
+            );
+
+            try {
+                await client.query("BEGIN");
+                await client.query(migrationSql);
+                await client.query("COMMIT");
+                console.log(`✅ Applied migration ${file}`);
+            } catch (error) {
+                await client.query("ROLLBACK");
+                console.log(
+                    `⚠️  Migration ${file} had an error:`,
+                    error.message,
+                );
+            }
+        }
+
         // Verify tables were created
         const tables = await client.query(`
             SELECT table_name 
@@ -0,0 +1,6 @@
+-- Ship static data and naval classification (AIS ingestion)
+
+ALTER TABLE assets ADD COLUMN IF NOT EXISTS military BOOLEAN DEFAULT false;
+ALTER TABLE assets ADD COLUMN IF NOT EXISTS ship_type INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_assets_military ON assets(type, military);
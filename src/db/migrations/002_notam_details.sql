@@ -0,0 +1,11 @@
+-- NOTAM detail columns populated by the ICAO NOTAM importer
+
+ALTER TABLE notams ADD COLUMN IF NOT EXISTS location TEXT;
+ALTER TABLE notams ADD COLUMN IF NOT EXISTS qcode TEXT;
+ALTER TABLE notams ADD COLUMN IF NOT EXISTS lower_fl INTEGER;
+ALTER TABLE notams ADD COLUMN IF NOT EXISTS upper_fl INTEGER;
+ALTER TABLE notams ADD COLUMN IF NOT EXISTS military BOOLEAN DEFAULT false;
+ALTER TABLE notams ADD COLUMN IF NOT EXISTS raw TEXT;
+ALTER TABLE notams ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+CREATE INDEX IF NOT EXISTS idx_notams_category ON notams(category);
@@ -0,0 +1,47 @@
+-- Military classification rules shared by OpenSky ingestion and flight queries.
+-- Enabled rules are evaluated highest priority first; the first rule whose
+-- pattern (case-insensitive regex) and optional country match decides.
+
+CREATE TABLE IF NOT EXISTS classification_rules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name TEXT NOT NULL,
+    field TEXT NOT NULL CHECK (field IN ('icao24', 'callsign')),
+    pattern TEXT NOT NULL,
+    action TEXT NOT NULL DEFAULT 'include' CHECK (action IN ('include', 'exclude')),
+    priority INTEGER NOT NULL DEFAULT 100,
+    country_code CHAR(2),
+    description TEXT,
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_classification_rules_priority ON classification_rules(enabled, priority DESC);
+
+-- Default data seeded by a migration is recorded here so it is only ever
+-- inserted once; deleting it later doesn't bring it back on the next start
+CREATE TABLE IF NOT EXISTS seed_markers (
+    name TEXT PRIMARY KEY,
+    applied_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Seed with the patterns previously hardcoded in OpenSkyService
+INSERT INTO classification_rules (name, field, pattern, description)
+SELECT seed.name, seed.field, seed.pattern, seed.description
+FROM (VALUES
+    ('RAF hex block', 'icao24', '^43C', 'UK military ICAO24 addresses'),
+    ('UK military hex range', 'icao24', '^400', 'UK military ICAO24 addresses'),
+    ('US military hex ADF8', 'icao24', '^ADF8', 'US military ICAO24 addresses'),
+    ('US military hex ADF9', 'icao24', '^ADF9', 'US military ICAO24 addresses'),
+    ('RAF callsign RRR', 'callsign', '^RRR', 'RAF callsigns'),
+    ('RAF transport ASCOT', 'callsign', '^ASCOT', 'RAF transport'),
+    ('RAF training KNIFE', 'callsign', '^KNIFE', 'RAF training'),
+    ('TARTAN', 'callsign', '^TARTAN', 'Scottish-based aircraft'),
+    ('RESCUE', 'callsign', '^RESCUE', 'Search and rescue'),
+    ('ROYAL', 'callsign', '^ROYAL', 'Royal flights')
+) AS seed(name, field, pattern, description)
+WHERE NOT EXISTS (SELECT 1 FROM classification_rules)
+  AND NOT EXISTS (SELECT 1 FROM seed_markers WHERE name = 'classification_rules');
+
+INSERT INTO seed_markers (name) VALUES ('classification_rules')
+ON CONFLICT (name) DO NOTHING;
@@ -0,0 +1,19 @@
+-- Let classification rules match known military ICAO24 address blocks
+-- (see src/services/icao24.js); the pattern is tested against the block's
+-- country code, e.g. "^(GB|US|NATO)$", or "." for every block.
+
+ALTER TABLE classification_rules DROP CONSTRAINT IF EXISTS classification_rules_field_check;
+ALTER TABLE classification_rules ADD CONSTRAINT classification_rules_field_check
+    CHECK (field IN ('icao24', 'callsign', 'military_block'));
+
+INSERT INTO classification_rules (name, field, pattern, priority, description)
+SELECT 'Known military ICAO24 blocks', 'military_block', '.', 50,
+       'Addresses in military sub-blocks allocated by any state'
+WHERE NOT EXISTS (
+    SELECT 1 FROM classification_rules WHERE field = 'military_block'
+) AND NOT EXISTS (
+    SELECT 1 FROM seed_markers WHERE name = 'military_block_rule'
+);
+
+INSERT INTO seed_markers (name) VALUES ('military_block_rule')
+ON CONFLICT (name) DO NOTHING;
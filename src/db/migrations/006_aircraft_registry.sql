@@ -0,0 +1,19 @@
+-- Local aircraft database (e.g. the OpenSky aircraft database CSV dump) and
+-- the registry details copied onto aircraft assets
+
+CREATE TABLE IF NOT EXISTS aircraft_registry (
+    icao24 TEXT PRIMARY KEY,
+    registration TEXT,
+    typecode TEXT,
+    model TEXT,
+    operator TEXT,
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_aircraft_registry_typecode ON aircraft_registry(typecode);
+
+ALTER TABLE assets ADD COLUMN IF NOT EXISTS registration TEXT;
+ALTER TABLE assets ADD COLUMN IF NOT EXISTS typecode TEXT;
+ALTER TABLE assets ADD COLUMN IF NOT EXISTS operator TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_assets_typecode ON assets(typecode);
@@ -0,0 +1,11 @@
+-- Remaining OpenSky state vector fields
+
+ALTER TABLE flight_events ADD COLUMN IF NOT EXISTS geo_alt INTEGER;
+ALTER TABLE flight_events ADD COLUMN IF NOT EXISTS squawk TEXT;
+ALTER TABLE flight_events ADD COLUMN IF NOT EXISTS spi BOOLEAN DEFAULT false;
+ALTER TABLE flight_events ADD COLUMN IF NOT EXISTS sensors INTEGER[];
+-- 0 = ADS-B, 1 = ASTERIX, 2 = MLAT, 3 = FLARM
+ALTER TABLE flight_events ADD COLUMN IF NOT EXISTS position_source SMALLINT;
+ALTER TABLE flight_events ADD COLUMN IF NOT EXISTS time_position TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_flight_events_squawk ON flight_events(squawk, ts DESC) WHERE squawk IS NOT NULL;
@@ -0,0 +1,28 @@
+-- Detected flight anomalies (emergency squawks, SPI, rapid descents, tracks
+-- lost over the sea, newly seen foreign military aircraft)
+
+CREATE TABLE IF NOT EXISTS events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    type TEXT NOT NULL CHECK (type IN ('emergency_squawk', 'spi', 'rapid_descent', 'lost_over_sea', 'foreign_military')),
+    severity TEXT NOT NULL DEFAULT 'warning' CHECK (severity IN ('info', 'warning', 'critical')),
+    asset_id UUID REFERENCES assets(id) ON DELETE CASCADE,
+    icao24 TEXT NOT NULL,
+    callsign TEXT,
+    country_code CHAR(2),
+    ts TIMESTAMPTZ NOT NULL,
+    lat REAL,
+    lon REAL,
+    altitude INTEGER,
+    summary TEXT NOT NULL,
+    details JSONB,
+    -- Identifies one occurrence so re-detection after a restart is ignored
+    event_key TEXT UNIQUE NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_events_ts ON events(ts DESC);
+CREATE INDEX IF NOT EXISTS idx_events_type ON events(type, ts DESC);
+CREATE INDEX IF NOT EXISTS idx_events_asset ON events(asset_id, ts DESC);
+
+-- Event types an alert subscription is notified about (none by default)
+ALTER TABLE alert_subscriptions ADD COLUMN IF NOT EXISTS event_types TEXT[] NOT NULL DEFAULT '{}';
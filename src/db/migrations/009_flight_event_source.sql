@@ -0,0 +1,4 @@
+-- Which flight source (opensky, readsb, sbs, ...) each position came from
+ALTER TABLE flight_events ADD COLUMN IF NOT EXISTS source TEXT NOT NULL DEFAULT 'opensky';
+
+CREATE INDEX IF NOT EXISTS idx_flight_events_source ON flight_events(source, ts DESC);
@@ -0,0 +1,3 @@
+-- Every source that contributed to a fused flight position; `source` is the
+-- one whose position was kept. Rows written before fusion leave it empty.
+ALTER TABLE flight_events ADD COLUMN IF NOT EXISTS sources TEXT[] NOT NULL DEFAULT '{}';
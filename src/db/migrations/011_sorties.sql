@@ -0,0 +1,30 @@
+-- Flights derived from flight_events: one row per airborne period of an asset.
+-- departure_ts/arrival_ts are only set when the takeoff or landing was seen;
+-- start_ts/end_ts are the first and last airborne reports.
+CREATE TABLE IF NOT EXISTS sorties (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    asset_id UUID NOT NULL REFERENCES assets(id) ON DELETE CASCADE,
+    status TEXT NOT NULL DEFAULT 'complete' CHECK (status IN ('in_progress', 'complete')),
+    start_ts TIMESTAMPTZ NOT NULL,
+    end_ts TIMESTAMPTZ NOT NULL,
+    departure_ts TIMESTAMPTZ,
+    arrival_ts TIMESTAMPTZ,
+    departure_airfield TEXT,
+    arrival_airfield TEXT,
+    departure_lat REAL,
+    departure_lon REAL,
+    arrival_lat REAL,
+    arrival_lon REAL,
+    duration_seconds INTEGER NOT NULL,
+    max_altitude INTEGER,
+    distance_km REAL NOT NULL DEFAULT 0,
+    point_count INTEGER NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (asset_id, start_ts)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sorties_start ON sorties(start_ts DESC);
+CREATE INDEX IF NOT EXISTS idx_sorties_asset ON sorties(asset_id, start_ts DESC);
+CREATE INDEX IF NOT EXISTS idx_sorties_departure_airfield ON sorties(departure_airfield, start_ts DESC);
+CREATE INDEX IF NOT EXISTS idx_sorties_arrival_airfield ON sorties(arrival_airfield, start_ts DESC);
@@ -0,0 +1,11 @@
+-- Military airfields, seeded at startup from the list bundled in
+-- src/services/airfields.js; rows edited or added here are kept
+CREATE TABLE IF NOT EXISTS airfields (
+    icao CHAR(4) PRIMARY KEY,
+    name TEXT NOT NULL,
+    lat REAL NOT NULL,
+    lon REAL NOT NULL,
+    operator TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
@@ -0,0 +1,52 @@
+-- User-drawn areas of interest; military aircraft entering or leaving one
+-- raise a geofence event. Polygons are a ring of [lon, lat] pairs (GeoJSON
+-- order, first vertex not repeated); circles are a centre and radius.
+CREATE TABLE IF NOT EXISTS geofences (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    shape TEXT NOT NULL CHECK (shape IN ('polygon', 'circle')),
+    coordinates JSONB,
+    center_lat REAL,
+    center_lon REAL,
+    radius_km REAL,
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (
+        (shape = 'polygon' AND coordinates IS NOT NULL) OR
+        (shape = 'circle' AND center_lat IS NOT NULL AND center_lon IS NOT NULL AND radius_km > 0)
+    )
+);
+
+CREATE INDEX IF NOT EXISTS idx_geofences_user ON geofences(user_id);
+
+-- Aircraft currently inside each geofence; absent means outside
+CREATE TABLE IF NOT EXISTS geofence_states (
+    geofence_id UUID NOT NULL REFERENCES geofences(id) ON DELETE CASCADE,
+    icao24 TEXT NOT NULL,
+    entered_at TIMESTAMPTZ NOT NULL,
+    PRIMARY KEY (geofence_id, icao24)
+);
+
+-- 'lost' closes out an aircraft that stopped reporting while inside
+CREATE TABLE IF NOT EXISTS geofence_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    geofence_id UUID NOT NULL REFERENCES geofences(id) ON DELETE CASCADE,
+    type TEXT NOT NULL CHECK (type IN ('entry', 'exit', 'lost')),
+    asset_id UUID REFERENCES assets(id) ON DELETE CASCADE,
+    icao24 TEXT NOT NULL,
+    callsign TEXT,
+    ts TIMESTAMPTZ NOT NULL,
+    lat REAL,
+    lon REAL,
+    altitude INTEGER,
+    event_key TEXT UNIQUE NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE geofence_events DROP CONSTRAINT IF EXISTS geofence_events_type_check;
+ALTER TABLE geofence_events ADD CONSTRAINT geofence_events_type_check
+    CHECK (type IN ('entry', 'exit', 'lost'));
+
+CREATE INDEX IF NOT EXISTS idx_geofence_events_geofence ON geofence_events(geofence_id, ts DESC);
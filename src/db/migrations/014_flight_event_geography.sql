@@ -0,0 +1,14 @@
+-- GiST index on each position as a geography point for spatial search. An
+-- expression index rather than a stored column, so the flight_events
+-- hypertable isn't rewritten; TimescaleDB builds it chunk by chunk. Only
+-- added where PostGIS is installed; without it /api/v1/flights/search falls
+-- back to plain lat/lon predicates. The query side must use the same
+-- expression (see src/services/spatial.js).
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'postgis') THEN
+        CREATE INDEX IF NOT EXISTS idx_flight_events_geog ON flight_events
+            USING GIST ((ST_SetSRID(ST_MakePoint(lon, lat), 4326)::geography));
+    END IF;
+END
+$$;
@@ -0,0 +1,25 @@
+-- Per-user watchlists of aircraft by ICAO24 address or callsign. A watched
+-- aircraft showing up again after a quiet period raises a watchlist hit.
+CREATE TABLE IF NOT EXISTS watchlist_entries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    field TEXT NOT NULL CHECK (field IN ('icao24', 'callsign')),
+    value TEXT NOT NULL,
+    label TEXT,
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (user_id, field, value)
+);
+
+CREATE INDEX IF NOT EXISTS idx_watchlist_entries_user ON watchlist_entries(user_id);
+
+-- When each aircraft matching an entry was last seen; a callsign entry can
+-- match several airframes
+CREATE TABLE IF NOT EXISTS watchlist_sightings (
+    entry_id UUID NOT NULL REFERENCES watchlist_entries(id) ON DELETE CASCADE,
+    icao24 TEXT NOT NULL,
+    last_seen_at TIMESTAMPTZ NOT NULL,
+    last_hit_at TIMESTAMPTZ,
+    PRIMARY KEY (entry_id, icao24)
+);
@@ -0,0 +1,409 @@
+//
+
+// Military airfield activity routes for ForceFlow UK
+import AirfieldService from "../services/airfields.js";
+import { formatSortie } from "../services/sorties.js";
+import { distanceKm } from "../services/geography.js";
+
+const icaoParams = {
+    type: "object",
+    properties: {
+        icao: { type: "string", pattern: "^[A-Za-z]{4}$" },
+    },
+    required: ["icao"],
+};
+
+const boardQuery = {
+    type: "object",
+    properties: {
+        hours: { type: "integer", minimum: 1, maximum: 168, default: 24 },
+        limit: { type: "integer", minimum: 1, maximum: 500, default: 50 },
+    },
+};
+
+export default async function airfieldRoutes(fastify, options) {
+    const airfieldService =
+        options.airfieldService || new AirfieldService(fastify);
+
+    function findAirfield(request, reply) {
+        const icao = request.params.icao.toUpperCase();
+        const airfield = airfieldService.airfields.find(
+            (candidate) => candidate.icao === icao,
+        );
+
+        if (!airfield) {
+            reply.code(404).send({
+                code: "ERR_NOT_FOUND",
+                message: `Airfield ${icao} not found`,
+            });
+        }
+        return airfield;
+    }
+
+    // Sorties arriving at or departing from an airfield, newest first
+    async function board(request, reply, column, timeExpression, label) {
+        const airfield = findAirfield(request, reply);
+        if (!airfield) return reply;
+
+        const { hours = 24, limit = 50 } = request.query;
+        const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+
+        try {
+            const client = await fastify.pg.connect();
+
+            const result = await client.query(
+                `
+                SELECT s.*, a.code, a.callsign, a.registration, a.typecode,
+                       a.name AS aircraft_type, a.operator
+                FROM sorties s
+                JOIN assets a ON s.asset_id = a.id
+                WHERE s.${column} = $1 AND ${timeExpression} > $2
+                ORDER BY ${timeExpression} DESC
+                LIMIT $3
+            `,
+                [airfield.icao, since, limit],
+            );
+
+            client.release();
+
+            return {
+                airfield,
+                data: result.rows.map(formatSortie),
+                metadata: {
+                    count: result.rows.length,
+                    hours,
+                },
+            };
+        } catch (error) {
+            fastify.log.error(`Failed to fetch airfield ${label}:`, error);
+            return reply.code(500).send({
+                code: "ERR_DATABASE_QUERY",
+                message: `Failed to retrieve ${label}`,
+            });
+        }
+    }
+
+    // List known airfields
+    fastify.get(
+        "/",
+        {
+            preHandler: fastify.authenticate,
+            schema: {
+                querystring: {
+                    type: "object",
+                    properties: {
+                        // e.g. "RAF", "USAF", "Royal Navy"
+                        operator: { type: "string" },
+                    },
+                },
+            },
+        },
+        async (request, reply) => {
+            const { operator } = request.query;
+
+            const airfields = operator
+                ? airfieldService.airfields.filter(
+                      (airfield) =>
+                          airfield.operator?.toLowerCase() ===
+                          operator.toLowerCase(),
+                  )
+                : airfieldService.airfields;
+
+            return {
+                data: airfields,
+                metadata: {
+                    count: airfields.length,
+                },
+            };
+        },
+    );
+
+    // Nearest airfield to a position, if one is within the resolution radius
+    fastify.get(
+        "/nearest",
+        {
+            preHandler: fastify.authenticate,
+            schema: {
+                querystring: {
+                    type: "object",
+                    properties: {
+                        lat: { type: "number", minimum: -90, maximum: 90 },
+                        lon: { type: "number", minimum: -180, maximum: 180 },
+                    },
+                    required: ["lat", "lon"],
+                },
+            },
+        },
+        async (request, reply) => {
+            const { lat, lon } = request.query;
+            const airfield = airfieldService.resolve({
+                lat,
+                lon,
+                onGround: true,
+            });
+
+            if (!airfield) {
+                return reply.code(404).send({
+                    code: "ERR_NOT_FOUND",
+                    message: `No airfield within ${airfieldService.radiusKm} km`,
+                });
+            }
+
+            return { airfield };
+        },
+    );
+
+    // Get a single airfield
+    fastify.get(
+        "/:icao",
+        {
+            preHandler: fastify.authenticate,
+            schema: { params: icaoParams },
+        },
+        async (request, reply) => {
+            const airfield = findAirfield(request, reply);
+            if (!airfield) return reply;
+
+            return { airfield };
+        },
+    );
+
+    // Recent arrivals, by landing time (or last report for landings that
+    // weren't seen)
+    fastify.get(
+        "/:icao/arrivals",
+        {
+            preHandler: fastify.authenticate,
+            schema: { params: icaoParams, querystring: boardQuery },
+        },
+        async (request, reply) =>
+            board(
+                request,
+                reply,
+                "arrival_airfield",
+                "COALESCE(s.arrival_ts, s.end_ts)",
+                "arrivals",
+            ),
+    );
+
+    // Recent departures, by takeoff time
+    fastify.get(
+        "/:icao/departures",
+        {
+            preHandler: fastify.authenticate,
+            schema: { params: icaoParams, querystring: boardQuery },
+        },
+        async (request, reply) =>
+            board(
+                request,
+                reply,
+                "departure_airfield",
+                "s.start_ts",
+                "departures",
+            ),
+    );
+
+    // Aircraft whose latest report is on the ground at the airfield
+    fastify.get(
+        "/:icao/on-ground",
+        {
+            preHandler: fastify.authenticate,
+            schema: {
+                params: icaoParams,
+                querystring: {
+                    type: "object",
+                    properties: {
+                        // Ignore aircraft not heard from for this long
+                        minutes: {
+                            type: "integer",
+                            minimum: 1,
+                            maximum: 1440,
+                            default: 30,
+                        },
+                    },
+                },
+            },
+        },
+        async (request, reply) => {
+            const airfield = findAirfield(request, reply);
+            if (!airfield) return reply;
+
+            const { minutes = 30 } = request.query;
+            const since = new Date(Date.now() - minutes * 60 * 1000);
+
+            // Bounding box around the radius to narrow the scan; the exact
+            // distance is checked below
+            const latDelta = airfieldService.radiusKm / 111;
+            const lonDelta =
+                latDelta / Math.cos((airfield.lat * Math.PI) / 180);
+
+            try {
+                const client = await fastify.pg.connect();
+
+                const result = await client.query(
+                    `
+                SELECT latest.*, a.code, a.callsign, a.registration,
+                       a.typecode, a.name AS aircraft_type, a.operator
+                FROM (
+                    SELECT DISTINCT ON (asset_id)
+                        asset_id, ts, lat, lon, alt, velocity, heading,
+                        on_ground
+                    FROM flight_events
+                    WHERE ts > $1
+                    ORDER BY asset_id, ts DESC
+                ) latest
+                JOIN assets a ON latest.asset_id = a.id
+                WHERE latest.on_ground = true
+                  AND latest.lat BETWEEN $2 AND $3
+                  AND latest.lon BETWEEN $4 AND $5
+                ORDER BY latest.ts DESC
+            `,
+                    [
+                        since,
+                        airfield.lat - latDelta,
+                        airfield.lat + latDelta,
+                        airfield.lon - lonDelta,
+                        airfield.lon + lonDelta,
+                    ],
+                );
+
+                client.release();
+
+                // Only aircraft this airfield is the nearest one to
+                const aircraft = result.rows
+                    .filter(
+                        (row) =>
+                            airfieldService.resolve({
+                                lat: parseFloat(row.lat),
+                                lon: parseFloat(row.lon),
+                                onGround: true,
+                            })?.icao === airfield.icao,
+                    )
+                    .map((row) => ({
+                        code: row.code,
+                        callsign: row.callsign,
+                        registration: row.registration,
+                        typecode: row.typecode,
+                        aircraftType: row.aircraft_type,
+                        operator: row.operator,
+                        lastSeen: row.ts.toISOString(),
+                        lat: parseFloat(row.lat),
+                        lon: parseFloat(row.lon),
+                        distanceKm:
+                            Math.round(
+                                distanceKm(
+                                    airfield.lat,
+                                    airfield.lon,
+                                    parseFloat(row.lat),
+                                    parseFloat(row.lon),
+                                ) * 10,
+                            ) / 10,
+                    }));
+
+                return {
+                    airfield,
+                    data: aircraft,
+                    metadata: {
+                        count: aircraft.length,
+                        minutes,
+                    },
+                };
+            } catch (error) {
+                fastify.log.error("Failed to fetch aircraft on ground:", error);
+                return reply.code(500).send({
+                    code: "ERR_DATABASE_QUERY",
+                    message: "Failed to retrieve aircraft on ground",
+                });
+            }
+        },
+    );
+
+    // Hourly arrival and departure counts, oldest hour first
+    fastify.get(
+        "/:icao/movements",
+        {
+            preHandler: fastify.authenticate,
+            schema: {
+                params: icaoParams,
+                querystring: {
+                    type: "object",
+                    properties: {
+                        hours: {
+                            type: "integer",
+                            minimum: 1,
+                            maximum: 168,
+                            default: 24,
+                        },
+                    },
+                },
+            },
+        },
+        async (request, reply) => {
+            const airfield = findAirfield(request, reply);
+            if (!airfield) return reply;
+
+            const { hours = 24 } = request.query;
+            const now = new Date();
+            const since = new Date(
+                now.getTime() - (hours - 1) * 60 * 60 * 1000,
+            );
+
+            try {
+                const client = await fastify.pg.connect();
+
+                const result = await client.query(
+                    `
+                WITH buckets AS (
+                    SELECT generate_series(
+                        date_trunc('hour', $2::timestamptz),
+                        date_trunc('hour', $3::timestamptz),
+                        interval '1 hour'
+                    ) AS hour
+                )
+                SELECT b.hour,
+                    (SELECT COUNT(*) FROM sorties s
+                     WHERE s.arrival_airfield = $1
+                       AND date_trunc('hour', COALESCE(s.arrival_ts, s.end_ts)) = b.hour
+                    ) AS arrivals,
+                    (SELECT COUNT(*) FROM sorties s
+                     WHERE s.departure_airfield = $1
+                       AND date_trunc('hour', s.start_ts) = b.hour
+                    ) AS departures
+                FROM buckets b
+                ORDER BY b.hour ASC
+            `,
+                    [airfield.icao, since, now],
+                );
+
+                client.release();
+
+                const data = result.rows.map((row) => ({
+                    hour: row.hour.toISOString(),
+                    arrivals: parseInt(row.arrivals),
+                    departures: parseInt(row.departures),
+                }));
+
+                return {
+                    airfield,
+                    data,
+                    totals: {
+                        arrivals: data.reduce(
+                            (sum, row) => sum + row.arrivals,
+                            0,
+                        ),
+                        departures: data.reduce(
+                            (sum, row) => sum + row.departures,
+                            0,
+                        ),
+                    },
+                };
+            } catch (error) {
+                fastify.log.error("Failed to fetch airfield movements:", error);
+                return reply.code(500).send({
+                    code: "ERR_DATABASE_QUERY",
+                    message: "Failed to retrieve airfield movements",
+                });
+            }
+        },
+    );
+}
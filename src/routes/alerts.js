@@ -0,0 +1,469 @@
+//
+
+// Alert subscription API routes for ForceFlow UK
+import crypto from "crypto";
+import { EVENT_TYPES } from "../services/events.js";
+import { GEOFENCE_EVENT_TYPES } from "../services/geofences.js";
+import { WATCHLIST_EVENT_TYPES } from "../services/watchlist.js";
+import { webhookUrlProblem } from "../services/alerts.js";
+
+const subscriptionBodySchema = {
+    type: "object",
+    properties: {
+        webhook_url: {
+            type: ["string", "null"],
+            format: "uri",
+            pattern: "^https://",
+        },
+        email_enabled: { type: "boolean", default: true },
+        threshold: { type: "number", minimum: 0, maximum: 100, default: 90 },
+        active: { type: "boolean", default: true },
+        // Flight event types to be alerted about, e.g. ["emergency_squawk"];
+        // geofence and watchlist alerts only for the user's own geofences
+        // and watchlist entries
+        event_types: {
+            type: "array",
+            items: {
+                type: "string",
+                enum: [
+                    ...EVENT_TYPES,
+                    ...GEOFENCE_EVENT_TYPES,
+                    ...WATCHLIST_EVENT_TYPES,
+                ],
+            },
+            uniqueItems: true,
+        },
+    },
+};
+
+const idParamsSchema = {
+    type: "object",
+    properties: {
+        id: { type: "string", format: "uuid" },
+    },
+    required: ["id"],
+};
+
+function formatSubscription(row) {
+    return {
+        id: row.id,
+        webhookUrl: row.webhook_url,
+        emailEnabled: row.email_enabled,
+        threshold: parseFloat(row.threshold),
+        active: row.active,
+        eventTypes: row.event_types || [],
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+    };
+}
+
+export default async function alertRoutes(fastify, options) {
+    // List the current user's subscriptions
+    fastify.get(
+        "/subscriptions",
+        {
+            preHandler: fastify.authenticate,
+        },
+        async (request, reply) => {
+            try {
+                const client = await fastify.pg.connect();
+
+                const result = await client.query(
+                    `
+                SELECT *
+                FROM alert_subscriptions
+                WHERE user_id = $1
+                ORDER BY created_at DESC
+            `,
+                    [request.user.userId],
+                );
+
+                client.release();
+
+                return {
+                    data: result.rows.map(formatSubscription),
+                    metadata: { count: result.rows.length },
+                };
+            } catch (error) {
+                fastify.log.error("Failed to list alert subscriptions:", error);
+                return reply.code(500).send({
+                    code: "ERR_DATABASE_QUERY",
+                    message: "Failed to retrieve alert subscriptions",
+                });
+            }
+        },
+    );
+
+    // Get a single subscription
+    fastify.get(
+        "/subscriptions/:id",
+        {
+            preHandler: fastify.authenticate,
+            schema: { params: idParamsSchema },
+        },
+        async (request, reply) => {
+            try {
+                const client = await fastify.pg.connect();
+
+                const result = await client.query(
+                    "SELECT * FROM alert_subscriptions WHERE id = $1 AND user_id = $2",
+                    [request.params.id, request.user.userId],
+                );
+
+                client.release();
+
+                if (result.rows.length === 0) {
+                    return reply.code(404).send({
+                        code: "ERR_NOT_FOUND",
+                        message: "Alert subscription not found",
+                    });
+                }
+
+                return { subscription: formatSubscription(result.rows[0]) };
+            } catch (error) {
+                fastify.log.error("Failed to fetch alert subscription:", error);
+                return reply.code(500).send({
+                    code: "ERR_DATABASE_QUERY",
+                    message: "Failed to retrieve alert subscription",
+                });
+            }
+        },
+    );
+
+    // Create a subscription
+    fastify.post(
+        "/subscriptions",
+        {
+            preHandler: fastify.authenticate,
+            schema: { body: subscriptionBodySchema },
+        },
+        async (request, reply) => {
+            const {
+                webhook_url = null,
+                email_enabled = true,
+                threshold = 90,
+                active = true,
+                event_types = [],
+            } = request.body || {};
+
+            if (!webhook_url && !email_enabled) {
+                return reply.code(400).send({
+                    code: "ERR_NO_ALERT_CHANNEL",
+                    message: "Enable email or provide a webhook_url",
+                });
+            }
+
+            const problem =
+                webhook_url && (await webhookUrlProblem(webhook_url));
+            if (problem) {
+                return reply.code(400).send({
+                    code: "ERR_INVALID_WEBHOOK_URL",
+                    message: problem,
+                });
+            }
+
+            try {
+                const client = await fastify.pg.connect();
+
+                // Signing secret for webhook deliveries
+                const webhookSecret = crypto.randomBytes(32).toString("hex");
+
+                const result = await client.query(
+                    `
+                INSERT INTO alert_subscriptions
+                (user_id, webhook_url, webhook_secret, email_enabled, threshold, active, event_types)
+                VALUES ($1, $2, $3, $4, $5, $6, $7)
+                RETURNING *
+            `,
+                    [
+                        request.user.userId,
+                        webhook_url,
+                        webhookSecret,
+                        email_enabled,
+                        threshold,
+                        active,
+                        event_types,
+                    ],
+                );
+
+                client.release();
+
+                return reply.code(201).send({
+                    message: "Alert subscription created successfully",
+                    subscription: formatSubscription(result.rows[0]),
+                    webhookSecret, // Return signing secret only once
+                });
+            } catch (error) {
+                fastify.log.error(
+                    "Failed to create alert subscription:",
+                    error,
+                );
+                return reply.code(500).send({
+                    code: "ERR_SUBSCRIPTION_CREATE_FAILED",
+                    message: "Failed to create alert subscription",
+                });
+            }
+        },
+    );
+
+    // Update a subscription (only supplied fields change)
+    fastify.put(
+        "/subscriptions/:id",
+        {
+            preHandler: fastify.authenticate,
+            schema: {
+                params: idParamsSchema,
+                body: {
+                    ...subscriptionBodySchema,
+                    properties: {
+                        ...subscriptionBodySchema.properties,
+                        email_enabled: { type: "boolean" },
+                        threshold: { type: "number", minimum: 0, maximum: 100 },
+                        active: { type: "boolean" },
+                    },
+                },
+            },
+        },
+        async (request, reply) => {
+            const body = request.body || {};
+
+            const problem =
+                body.webhook_url && (await webhookUrlProblem(body.webhook_url));
+            if (problem) {
+                return reply.code(400).send({
+                    code: "ERR_INVALID_WEBHOOK_URL",
+                    message: problem,
+                });
+            }
+
+            try {
+                const client = await fastify.pg.connect();
+
+                const existing = await client.query(
+                    "SELECT webhook_url, webhook_secret, email_enabled FROM alert_subscriptions WHERE id = $1 AND user_id = $2",
+                    [request.params.id, request.user.userId],
+                );
+
+                if (existing.rows.length === 0) {
+                    client.release();
+                    return reply.code(404).send({
+                        code: "ERR_NOT_FOUND",
+                        message: "Alert subscription not found",
+                    });
+                }
+
+                const webhookUrl =
+                    "webhook_url" in body
+                        ? body.webhook_url
+                        : existing.rows[0].webhook_url;
+                const emailEnabled =
+                    body.email_enabled ?? existing.rows[0].email_enabled;
+
+                if (!webhookUrl && !emailEnabled) {
+                    client.release();
+                    return reply.code(400).send({
+                        code: "ERR_NO_ALERT_CHANNEL",
+                        message: "Enable email or provide a webhook_url",
+                    });
+                }
+
+                // Subscriptions created before webhook signing have no
+                // secret; issue one when they get a webhook
+                const webhookSecret =
+                    webhookUrl && !existing.rows[0].webhook_secret
+                        ? crypto.randomBytes(32).toString("hex")
+                        : null;
+
+                const result = await client.query(
+                    `
+                UPDATE alert_subscriptions SET
+                    webhook_url = CASE WHEN $1 THEN $2 ELSE webhook_url END,
+                    email_enabled = COALESCE($3, email_enabled),
+                    threshold = COALESCE($4, threshold),
+                    active = COALESCE($5, active),
+                    event_types = COALESCE($6, event_types),
+                    webhook_secret = COALESCE(webhook_secret, $9),
+                    updated_at = NOW()
+                WHERE id = $7 AND user_id = $8
+                RETURNING *
+            `,
+                    [
+                        "webhook_url" in body,
+                        body.webhook_url ?? null,
+                        body.email_enabled ?? null,
+                        body.threshold ?? null,
+                        body.active ?? null,
+                        body.event_types ?? null,
+                        request.params.id,
+                        request.user.userId,
+                        webhookSecret,
+                    ],
+                );
+
+                client.release();
+
+                if (result.rows.length === 0) {
+                    return reply.code(404).send({
+                        code: "ERR_NOT_FOUND",
+                        message: "Alert subscription not found",
+                    });
+                }
+
+                return {
+                    message: "Alert subscription updated successfully",
+                    subscription: formatSubscription(result.rows[0]),
+                    // Only when one was just generated, as on create
+                    ...(webhookSecret && { webhookSecret }),
+                };
+            } catch (error) {
+                fastify.log.error(
+                    "Failed to update alert subscription:",
+                    error,
+                );
+                return reply.code(500).send({
+                    code: "ERR_SUBSCRIPTION_UPDATE_FAILED",
+                    message: "Failed to update alert subscription",
+                });
+            }
+        },
+    );
+
+    // Delete a subscription
+    fastify.delete(
+        "/subscriptions/:id",
+        {
+            preHandler: fastify.authenticate,
+            schema: { params: idParamsSchema },
+        },
+        async (request, reply) => {
+            try {
+                const client = await fastify.pg.connect();
+
+                const result = await client.query(
+                    "DELETE FROM alert_subscriptions WHERE id = $1 AND user_id = $2",
+                    [request.params.id, request.user.userId],
+                );
+
+                client.release();
+
+                if (result.rowCount === 0) {
+                    return reply.code(404).send({
+                        code: "ERR_NOT_FOUND",
+                        message: "Alert subscription not found",
+                    });
+                }
+
+                return { message: "Alert subscription deleted successfully" };
+            } catch (error) {
+                fastify.log.error(
+                    "Failed to delete alert subscription:",
+                    error,
+                );
+                return reply.code(500).send({
+                    code: "ERR_SUBSCRIPTION_DELETE_FAILED",
+                    message: "Failed to delete alert subscription",
+                });
+            }
+        },
+    );
+
+    // Delivery history for a subscription
+    fastify.get(
+        "/subscriptions/:id/deliveries",
+        {
+            preHandler: fastify.authenticate,
+            schema: {
+                params: idParamsSchema,
+                querystring: {
+                    type: "object",
+                    properties: {
+                        limit: {
+                            type: "integer",
+                            minimum: 1,
+                            maximum: 500,
+                            default: 50,
+                        },
+                        status: {
+                            type: "string",
+                            enum: [
+                                "pending",
+                                "retrying",
+                                "delivered",
+                                "failed",
+                            ],
+                        },
+                    },
+                },
+            },
+        },
+        async (request, reply) => {
+            const { limit = 50, status } = request.query;
+
+            try {
+                const client = await fastify.pg.connect();
+
+                const owner = await client.query(
+                    "SELECT id FROM alert_subscriptions WHERE id = $1 AND user_id = $2",
+                    [request.params.id, request.user.userId],
+                );
+
+                if (owner.rows.length === 0) {
+                    client.release();
+                    return reply.code(404).send({
+                        code: "ERR_NOT_FOUND",
+                        message: "Alert subscription not found",
+                    });
+                }
+
+                const params = [request.params.id, limit];
+                let statusFilter = "";
+                if (status) {
+                    params.push(status);
+                    statusFilter = "AND status = $3";
+                }
+
+                const result = await client.query(
+                    `
+                SELECT id, channel, event_type, event_key, status, attempts,
+                       response_status, last_error, next_attempt_at,
+                       created_at, delivered_at
+                FROM alert_deliveries
+                WHERE subscription_id = $1 ${statusFilter}
+                ORDER BY created_at DESC
+                LIMIT $2
+            `,
+                    params,
+                );
+
+                client.release();
+
+                return {
+                    subscription: request.params.id,
+                    data: result.rows.map((row) => ({
+                        id: row.id,
+                        channel: row.channel,
+                        eventType: row.event_type,
+                        eventKey: row.event_key,
+                        status: row.status,
+                        attempts: row.attempts,
+                        responseStatus: row.response_status,
+                        lastError: row.last_error,
+                        nextAttemptAt:
+                            row.status === "retrying"
+                                ? row.next_attempt_at
+                                : null,
+                        createdAt: row.created_at,
+                        deliveredAt: row.delivered_at,
+                    })),
+                    metadata: { count: result.rows.length },
+                };
+            } catch (error) {
+                fastify.log.error("Failed to fetch alert deliveries:", error);
+                return reply.code(500).send({
+                    code: "ERR_DATABASE_QUERY",
+                    message: "Failed to retrieve alert deliveries",
+                });
+            }
+        },
+    );
+}
@@ -0,0 +1,419 @@
+//
+
+// Military classification rule API routes for ForceFlow UK
+import ClassificationService from "../services/classification.js";
+import { countryForAddress, lookupAddress } from "../services/icao24.js";
+
+const ruleBodySchema = {
+    type: "object",
+    required: ["name", "field", "pattern"],
+    properties: {
+        name: { type: "string", minLength: 1 },
+        field: {
+            type: "string",
+            enum: ["icao24", "callsign", "military_block"],
+        },
+        // Case-insensitive regular expression, e.g. "^43C" or "^(RRR|ASCOT)";
+        // military_block rules match the block's country, e.g. "^(GB|NATO)$"
+        pattern: { type: "string", minLength: 1, maxLength: 200 },
+        action: {
+            type: "string",
+            enum: ["include", "exclude"],
+            default: "include",
+        },
+        priority: { type: "integer", default: 100 },
+        country_code: {
+            type: ["string", "null"],
+            pattern: "^[A-Za-z]{2}$",
+        },
+        description: { type: ["string", "null"] },
+        enabled: { type: "boolean", default: true },
+    },
+};
+
+const idParamsSchema = {
+    type: "object",
+    properties: {
+        id: { type: "string", format: "uuid" },
+    },
+    required: ["id"],
+};
+
+function formatRule(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        field: row.field,
+        pattern: row.pattern,
+        action: row.action,
+        priority: row.priority,
+        countryCode: row.country_code ? row.country_code.trim() : null,
+        description: row.description,
+        enabled: row.enabled,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+    };
+}
+
+export default async function classificationRoutes(fastify, options) {
+    const classifier =
+        options.classificationService || new ClassificationService(fastify);
+
+    const analystOnly = [
+        fastify.authenticate,
+        fastify.authorize(["admin", "analyst"]),
+    ];
+    const adminOnly = [fastify.authenticate, fastify.authorize(["admin"])];
+
+    // Patterns must compile identically for ingestion (JS) and queries (SQL)
+    async function validatePattern(client, pattern) {
+        try {
+            new RegExp(pattern, "i");
+            await client.query("SELECT '' ~* $1", [pattern]);
+            return null;
+        } catch (error) {
+            return `Invalid pattern: ${error.message}`;
+        }
+    }
+
+    // List rules in evaluation order (analyst/admin)
+    fastify.get(
+        "/rules",
+        {
+            preHandler: analystOnly,
+        },
+        async (request, reply) => {
+            try {
+                const client = await fastify.pg.connect();
+
+                const result = await client.query(`
+                SELECT *
+                FROM classification_rules
+                ORDER BY priority DESC, created_at ASC
+            `);
+
+                client.release();
+
+                return {
+                    data: result.rows.map(formatRule),
+                    metadata: {
+                        count: result.rows.length,
+                        active: classifier.rules.length,
+                        lastReload: classifier.lastReload,
+                    },
+                };
+            } catch (error) {
+                fastify.log.error(
+                    "Failed to list classification rules:",
+                    error,
+                );
+                return reply.code(500).send({
+                    code: "ERR_DATABASE_QUERY",
+                    message: "Failed to retrieve classification rules",
+                });
+            }
+        },
+    );
+
+    // Get a single rule (analyst/admin)
+    fastify.get(
+        "/rules/:id",
+        {
+            preHandler: analystOnly,
+            schema: { params: idParamsSchema },
+        },
+        async (request, reply) => {
+            try {
+                const client = await fastify.pg.connect();
+
+                const result = await client.query(
+                    "SELECT * FROM classification_rules WHERE id = $1",
+                    [request.params.id],
+                );
+
+                client.release();
+
+                if (result.rows.length === 0) {
+                    return reply.code(404).send({
+                        code: "ERR_NOT_FOUND",
+                        message: "Classification rule not found",
+                    });
+                }
+
+                return { rule: formatRule(result.rows[0]) };
+            } catch (error) {
+                fastify.log.error(
+                    "Failed to fetch classification rule:",
+                    error,
+                );
+                return reply.code(500).send({
+                    code: "ERR_DATABASE_QUERY",
+                    message: "Failed to retrieve classification rule",
+                });
+            }
+        },
+    );
+
+    // Create a rule (admin)
+    fastify.post(
+        "/rules",
+        {
+            preHandler: adminOnly,
+            schema: { body: ruleBodySchema },
+        },
+        async (request, reply) => {
+            const {
+                name,
+                field,
+                pattern,
+                action = "include",
+                priority = 100,
+                country_code = null,
+                description = null,
+                enabled = true,
+            } = request.body;
+
+            const client = await fastify.pg.connect();
+
+            try {
+                const patternError = await validatePattern(client, pattern);
+                if (patternError) {
+                    return reply.code(400).send({
+                        code: "ERR_INVALID_PATTERN",
+                        message: patternError,
+                    });
+                }
+
+                const result = await client.query(
+                    `
+                INSERT INTO classification_rules
+                (name, field, pattern, action, priority, country_code, description, enabled)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                RETURNING *
+            `,
+                    [
+                        name,
+                        field,
+                        pattern,
+                        action,
+                        priority,
+                        country_code ? country_code.toUpperCase() : null,
+                        description,
+                        enabled,
+                    ],
+                );
+
+                await classifier.reload();
+
+                return reply.code(201).send({
+                    message: "Classification rule created successfully",
+                    rule: formatRule(result.rows[0]),
+                });
+            } catch (error) {
+                fastify.log.error(
+                    "Failed to create classification rule:",
+                    error,
+                );
+                return reply.code(500).send({
+                    code: "ERR_RULE_CREATE_FAILED",
+                    message: "Failed to create classification rule",
+                });
+            } finally {
+                client.release();
+            }
+        },
+    );
+
+    // Replace a rule (admin)
+    fastify.put(
+        "/rules/:id",
+        {
+            preHandler: adminOnly,
+            schema: { params: idParamsSchema, body: ruleBodySchema },
+        },
+        async (request, reply) => {
+            const {
+                name,
+                field,
+                pattern,
+                action = "include",
+                priority = 100,
+                country_code = null,
+                description = null,
+                enabled = true,
+            } = request.body;
+
+            const client = await fastify.pg.connect();
+
+            try {
+                const patternError = await validatePattern(client, pattern);
+                if (patternError) {
+                    return reply.code(400).send({
+                        code: "ERR_INVALID_PATTERN",
+                        message: patternError,
+                    });
+                }
+
+                const result = await client.query(
+                    `
+                UPDATE classification_rules SET
+                    name = $1,
+                    field = $2,
+                    pattern = $3,
+                    action = $4,
+                    priority = $5,
+                    country_code = $6,
+                    description = $7,
+                    enabled = $8,
+                    updated_at = NOW()
+                WHERE id = $9
+                RETURNING *
+            `,
+                    [
+                        name,
+                        field,
+                        pattern,
+                        action,
+                        priority,
+                        country_code ? country_code.toUpperCase() : null,
+                        description,
+                        enabled,
+                        request.params.id,
+                    ],
+                );
+
+                if (result.rows.length === 0) {
+                    return reply.code(404).send({
+                        code: "ERR_NOT_FOUND",
+                        message: "Classification rule not found",
+                    });
+                }
+
+                await classifier.reload();
+
+                return {
+                    message: "Classification rule updated successfully",
+                    rule: formatRule(result.rows[0]),
+                };
+            } catch (error) {
+                fastify.log.error(
+                    "Failed to update classification rule:",
+                    error,
+                );
+                return reply.code(500).send({
+                    code: "ERR_RULE_UPDATE_FAILED",
+                    message: "Failed to update classification rule",
+                });
+            } finally {
+                client.release();
+            }
+        },
+    );
+
+    // Delete a rule (admin)
+    fastify.delete(
+        "/rules/:id",
+        {
+            preHandler: adminOnly,
+            schema: { params: idParamsSchema },
+        },
+        async (request, reply) => {
+            try {
+                const client = await fastify.pg.connect();
+
+                const result = await client.query(
+                    "DELETE FROM classification_rules WHERE id = $1",
+                    [request.params.id],
+                );
+
+                client.release();
+
+                if (result.rowCount === 0) {
+                    return reply.code(404).send({
+                        code: "ERR_NOT_FOUND",
+                        message: "Classification rule not found",
+                    });
+                }
+
+                await classifier.reload();
+
+                return { message: "Classification rule deleted successfully" };
+            } catch (error) {
+                fastify.log.error(
+                    "Failed to delete classification rule:",
+                    error,
+                );
+                return reply.code(500).send({
+                    code: "ERR_RULE_DELETE_FAILED",
+                    message: "Failed to delete classification rule",
+                });
+            }
+        },
+    );
+
+    // Force a reload of the active rule set (admin)
+    fastify.post(
+        "/rules/reload",
+        {
+            preHandler: adminOnly,
+        },
+        async (request, reply) => {
+            const count = await classifier.reload();
+
+            if (classifier.lastError) {
+                return reply.code(500).send({
+                    code: "ERR_RULE_RELOAD_FAILED",
+                    message: `Failed to reload classification rules: ${classifier.lastError}`,
+                });
+            }
+
+            return {
+                message: "Classification rules reloaded",
+                active: count,
+                lastReload: classifier.lastReload,
+            };
+        },
+    );
+
+    // Check how the active rules classify an aircraft (analyst/admin)
+    fastify.post(
+        "/classify",
+        {
+            preHandler: analystOnly,
+            schema: {
+                body: {
+                    type: "object",
+                    properties: {
+                        icao24: { type: "string" },
+                        callsign: { type: "string" },
+                        country_code: { type: "string" },
+                    },
+                },
+            },
+        },
+        async (request, reply) => {
+            await classifier.ensureLoaded();
+
+            const { icao24, callsign, country_code } = request.body || {};
+
+            // Same country attribution as ingestion unless one is given
+            const countryCode = country_code
+                ? country_code.toUpperCase()
+                : countryForAddress(icao24);
+
+            const result = classifier.classify({
+                icao24,
+                callsign,
+                countryCode,
+            });
+
+            return {
+                icao24: icao24 || null,
+                callsign: callsign || null,
+                countryCode,
+                address: icao24 ? lookupAddress(icao24) : null,
+                ...result,
+            };
+        },
+    );
+}
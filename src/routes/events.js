@@ -0,0 +1,173 @@
+//
+
+// Flight event API routes for ForceFlow UK
+import { EVENT_TYPES } from "../services/events.js";
+
+function formatEvent(row) {
+    return {
+        id: row.id,
+        type: row.type,
+        severity: row.severity,
+        summary: row.summary,
+        icao24: row.icao24,
+        callsign: row.callsign,
+        countryCode: row.country_code,
+        timestamp: row.ts.toISOString(),
+        lat: row.lat,
+        lon: row.lon,
+        altitude: row.altitude,
+        details: row.details,
+        createdAt: row.created_at,
+    };
+}
+
+export default async function eventRoutes(fastify, options) {
+    // List detected flight events, newest first
+    fastify.get(
+        "/",
+        {
+            preHandler: fastify.authenticate,
+            schema: {
+                querystring: {
+                    type: "object",
+                    properties: {
+                        hours: {
+                            type: "integer",
+                            minimum: 1,
+                            maximum: 720,
+                            default: 24,
+                        },
+                        // Comma-separated, e.g. "emergency_squawk,spi"
+                        type: { type: "string" },
+                        severity: {
+                            type: "string",
+                            enum: ["info", "warning", "critical"],
+                        },
+                        icao24: {
+                            type: "string",
+                            pattern: "^[0-9A-Fa-f]{6}$",
+                        },
+                        limit: {
+                            type: "integer",
+                            minimum: 1,
+                            maximum: 1000,
+                            default: 100,
+                        },
+                    },
+                },
+            },
+        },
+        async (request, reply) => {
+            const {
+                hours = 24,
+                type,
+                severity,
+                icao24,
+                limit = 100,
+            } = request.query;
+
+            const types = (type || "")
+                .split(",")
+                .map((t) => t.trim().toLowerCase())
+                .filter(Boolean);
+            const unknown = types.filter((t) => !EVENT_TYPES.includes(t));
+            if (unknown.length > 0) {
+                return reply.code(400).send({
+                    code: "ERR_INVALID_EVENT_TYPE",
+                    message: `Unknown event type ${unknown.join(", ")}; expected one of ${EVENT_TYPES.join(", ")}`,
+                });
+            }
+
+            try {
+                const client = await fastify.pg.connect();
+
+                const params = [limit];
+                let query = `
+                SELECT *
+                FROM events
+                WHERE ts > NOW() - INTERVAL '${hours} hours'
+            `;
+
+                if (types.length > 0) {
+                    params.push(types);
+                    query += ` AND type = ANY($${params.length})`;
+                }
+                if (severity) {
+                    params.push(severity);
+                    query += ` AND severity = $${params.length}`;
+                }
+                if (icao24) {
+                    params.push(icao24.toUpperCase());
+                    query += ` AND icao24 = $${params.length}`;
+                }
+
+                query += `
+                ORDER BY ts DESC
+                LIMIT $1
+            `;
+
+                const result = await client.query(query, params);
+                client.release();
+
+                return {
+                    data: result.rows.map(formatEvent),
+                    metadata: {
+                        count: result.rows.length,
+                        timeRange: `${hours} hours`,
+                        types: types.length > 0 ? types : null,
+                    },
+                };
+            } catch (error) {
+                fastify.log.error("Failed to fetch flight events:", error);
+                return reply.code(500).send({
+                    code: "ERR_DATABASE_QUERY",
+                    message: "Failed to retrieve flight events",
+                });
+            }
+        },
+    );
+
+    // Get a single event
+    fastify.get(
+        "/:id",
+        {
+            preHandler: fastify.authenticate,
+            schema: {
+                params: {
+                    type: "object",
+                    properties: {
+                        id: { type: "string", format: "uuid" },
+                    },
+                    required: ["id"],
+                },
+            },
+        },
+        async (request, reply) => {
+            try {
+                const client = await fastify.pg.connect();
+
+                const result = await client.query(
+                    "SELECT * FROM events WHERE id = $1",
+                    [request.params.id],
+                );
+
+                client.release();
+
+                if (result.rows.length === 0) {
+                    return reply.code(404).send({
+                        code: "ERR_NOT_FOUND",
+                        message: "Event not found",
+                    });
+                }
+
+                return { event: formatEvent(result.rows[0]) };
+            } catch (error) {
+                fastify.log.error("Failed to fetch flight event:", error);
+                return reply.code(500).send({
+                    code: "ERR_DATABASE_QUERY",
+                    message: "Failed to retrieve flight event",
+                });
+            }
+        },
+    );
+}
@@ -0,0 +1,509 @@
+//
+
+// Exercise/training area API routes for ForceFlow UK
+import {
+    normaliseExercise,
+    parseExerciseDocument,
+} from "../services/exercises.js";
+
+const exerciseBodySchema = {
+    type: "object",
+    required: ["name", "ts_start"],
+    properties: {
+        name: { type: "string", minLength: 1 },
+        ts_start: { type: "string", format: "date-time" },
+        ts_end: { type: ["string", "null"], format: "date-time" },
+        area_lat: { type: ["number", "null"], minimum: -90, maximum: 90 },
+        area_lon: { type: ["number", "null"], minimum: -180, maximum: 180 },
+        area_radius: { type: ["number", "null"], minimum: 0 },
+        description: { type: ["string", "null"] },
+        exercise_type: { type: ["string", "null"] },
+        source_document: { type: ["string", "null"] },
+    },
+};
+
+const idParamsSchema = {
+    type: "object",
+    properties: {
+        id: { type: "string", format: "uuid" },
+    },
+    required: ["id"],
+};
+
+function formatExercise(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        start: row.ts_start.toISOString(),
+        end: row.ts_end ? row.ts_end.toISOString() : null,
+        area: {
+            lat: row.area_lat,
+            lon: row.area_lon,
+            radius: row.area_radius,
+        },
+        description: row.description,
+        type: row.exercise_type,
+        sourceDocument: row.source_document,
+        createdAt: row.created_at,
+    };
+}
+
+export default async function exerciseRoutes(fastify, options) {
+    const analystOnly = [
+        fastify.authenticate,
+        fastify.authorize(["admin", "analyst"]),
+    ];
+
+    // Currently active exercises (public endpoint)
+    fastify.get("/active", async (request, reply) => {
+        try {
+            const client = await fastify.pg.connect();
+
+            const result = await client.query(`
+                SELECT *
+                FROM exercises
+                WHERE ts_start <= NOW() AND (ts_end IS NULL OR ts_end >= NOW())
+                ORDER BY ts_start ASC
+            `);
+
+            client.release();
+
+            return {
+                data: result.rows.map(formatExercise),
+                metadata: {
+                    count: result.rows.length,
+                    lastUpdate: new Date().toISOString(),
+                },
+            };
+        } catch (error) {
+            fastify.log.error("Failed to fetch active exercises:", error);
+            return reply.code(500).send({
+                code: "ERR_DATABASE_QUERY",
+                message: "Failed to retrieve active exercises",
+            });
+        }
+    });
+
+    // Exercises starting within the next N days (public endpoint)
+    fastify.get(
+        "/upcoming",
+        {
+            schema: {
+                querystring: {
+                    type: "object",
+                    properties: {
+                        days: {
+                            type: "integer",
+                            minimum: 1,
+                            maximum: 365,
+                            default: 30,
+                        },
+                    },
+                },
+            },
+        },
+        async (request, reply) => {
+            const { days = 30 } = request.query;
+
+            try {
+                const client = await fastify.pg.connect();
+
+                const result = await client.query(`
+                SELECT *
+                FROM exercises
+                WHERE ts_start > NOW()
+                  AND ts_start <= NOW() + INTERVAL '${days} days'
+                ORDER BY ts_start ASC
+            `);
+
+                client.release();
+
+                return {
+                    data: result.rows.map(formatExercise),
+                    metadata: {
+                        count: result.rows.length,
+                        timeRange: `${days} days`,
+                        lastUpdate: new Date().toISOString(),
+                    },
+                };
+            } catch (error) {
+                fastify.log.error("Failed to fetch upcoming exercises:", error);
+                return reply.code(500).send({
+                    code: "ERR_DATABASE_QUERY",
+                    message: "Failed to retrieve upcoming exercises",
+                });
+            }
+        },
+    );
+
+    // List all exercises (analyst/admin)
+    fastify.get(
+        "/",
+        {
+            preHandler: analystOnly,
+            schema: {
+                querystring: {
+                    type: "object",
+                    properties: {
+                        limit: {
+                            type: "integer",
+                            minimum: 1,
+                            maximum: 1000,
+                            default: 100,
+                        },
+                        offset: { type: "integer", minimum: 0, default: 0 },
+                        source_document: { type: "string" },
+                    },
+                },
+            },
+        },
+        async (request, reply) => {
+            const { limit = 100, offset = 0, source_document } = request.query;
+
+            try {
+                const client = await fastify.pg.connect();
+
+                const params = [limit, offset];
+                let where = "";
+                if (source_document) {
+                    params.push(source_document);
+                    where = "WHERE source_document = $3";
+                }
+
+                const result = await client.query(
+                    `
+                SELECT *
+                FROM exercises
+                ${where}
+                ORDER BY ts_start DESC
+                LIMIT $1 OFFSET $2
+            `,
+                    params,
+                );
+
+                client.release();
+
+                return {
+                    data: result.rows.map(formatExercise),
+                    metadata: {
+                        count: result.rows.length,
+                        limit,
+                        offset,
+                    },
+                };
+            } catch (error) {
+                fastify.log.error("Failed to list exercises:", error);
+                return reply.code(500).send({
+                    code: "ERR_DATABASE_QUERY",
+                    message: "Failed to retrieve exercises",
+                });
+            }
+        },
+    );
+
+    // Get a single exercise (analyst/admin)
+    fastify.get(
+        "/:id",
+        {
+            preHandler: analystOnly,
+            schema: { params: idParamsSchema },
+        },
+        async (request, reply) => {
+            try {
+                const client = await fastify.pg.connect();
+
+                const result = await client.query(
+                    "SELECT * FROM exercises WHERE id = $1",
+                    [request.params.id],
+                );
+
+                client.release();
+
+                if (result.rows.length === 0) {
+                    return reply.code(404).send({
+                        code: "ERR_NOT_FOUND",
+                        message: "Exercise not found",
+                    });
+                }
+
+                return { exercise: formatExercise(result.rows[0]) };
+            } catch (error) {
+                fastify.log.error("Failed to fetch exercise:", error);
+                return reply.code(500).send({
+                    code: "ERR_DATABASE_QUERY",
+                    message: "Failed to retrieve exercise",
+                });
+            }
+        },
+    );
+
+    // Create an exercise (analyst/admin)
+    fastify.post(
+        "/",
+        {
+            preHandler: analystOnly,
+            schema: { body: exerciseBodySchema },
+        },
+        async (request, reply) => {
+            const { exercise, error } = normaliseExercise(request.body);
+            if (error) {
+                return reply.code(400).send({
+                    code: "ERR_INVALID_EXERCISE",
+                    message: error,
+                });
+            }
+
+            try {
+                const client = await fastify.pg.connect();
+
+                const result = await client.query(
+                    `
+                INSERT INTO exercises
+                (name, ts_start, ts_end, area_lat, area_lon, area_radius,
+                 description, exercise_type, source_document)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                RETURNING *
+            `,
+                    [
+                        exercise.name,
+                        exercise.ts_start,
+                        exercise.ts_end,
+                        exercise.area_lat,
+                        exercise.area_lon,
+                        exercise.area_radius,
+                        exercise.description,
+                        exercise.exercise_type,
+                        request.body.source_document || null,
+                    ],
+                );
+
+                client.release();
+
+                return reply.code(201).send({
+                    message: "Exercise created successfully",
+                    exercise: formatExercise(result.rows[0]),
+                });
+            } catch (error) {
+                fastify.log.error("Failed to create exercise:", error);
+                return reply.code(500).send({
+                    code: "ERR_EXERCISE_CREATE_FAILED",
+                    message: "Failed to create exercise",
+                });
+            }
+        },
+    );
+
+    // Replace an exercise (analyst/admin)
+    fastify.put(
+        "/:id",
+        {
+            preHandler: analystOnly,
+            schema: { params: idParamsSchema, body: exerciseBodySchema },
+        },
+        async (request, reply) => {
+            const { exercise, error } = normaliseExercise(request.body);
+            if (error) {
+                return reply.code(400).send({
+                    code: "ERR_INVALID_EXERCISE",
+                    message: error,
+                });
+            }
+
+            try {
+                const client = await fastify.pg.connect();
+
+                const result = await client.query(
+                    `
+                UPDATE exercises SET
+                    name = $1,
+                    ts_start = $2,
+                    ts_end = $3,
+                    area_lat = $4,
+                    area_lon = $5,
+                    area_radius = $6,
+                    description = $7,
+                    exercise_type = $8,
+                    source_document = $9
+                WHERE id = $10
+                RETURNING *
+            `,
+                    [
+                        exercise.name,
+                        exercise.ts_start,
+                        exercise.ts_end,
+                        exercise.area_lat,
+                        exercise.area_lon,
+                        exercise.area_radius,
+                        exercise.description,
+                        exercise.exercise_type,
+                        request.body.source_document || null,
+                        request.params.id,
+                    ],
+                );
+
+                client.release();
+
+                if (result.rows.length === 0) {
+                    return reply.code(404).send({
+                        code: "ERR_NOT_FOUND",
+                        message: "Exercise not found",
+                    });
+                }
+
+                return {
+                    message: "Exercise updated successfully",
+                    exercise: formatExercise(result.rows[0]),
+                };
+            } catch (error) {
+                fastify.log.error("Failed to update exercise:", error);
+                return reply.code(500).send({
+                    code: "ERR_EXERCISE_UPDATE_FAILED",
+                    message: "Failed to update exercise",
+                });
+            }
+        },
+    );
+
+    // Delete an exercise (analyst/admin)
+    fastify.delete(
+        "/:id",
+        {
+            preHandler: analystOnly,
+            schema: { params: idParamsSchema },
+        },
+        async (request, reply) => {
+            try {
+                const client = await fastify.pg.connect();
+
+                const result = await client.query(
+                    "DELETE FROM exercises WHERE id = $1",
+                    [request.params.id],
+                );
+
+                client.release();
+
+                if (result.rowCount === 0) {
+                    return reply.code(404).send({
+                        code: "ERR_NOT_FOUND",
+                        message: "Exercise not found",
+                    });
+                }
+
+                return { message: "Exercise deleted successfully" };
+            } catch (error) {
+                fastify.log.error("Failed to delete exercise:", error);
+                return reply.code(500).send({
+                    code: "ERR_EXERCISE_DELETE_FAILED",
+                    message: "Failed to delete exercise",
+                });
+            }
+        },
+    );
+
+    // Bulk import from a CSV/JSON source document (analyst/admin)
+    fastify.post(
+        "/import",
+        {
+            preHandler: analystOnly,
+            schema: {
+                body: {
+                    type: "object",
+                    required: ["source_document", "content"],
+                    properties: {
+                        source_document: { type: "string", minLength: 1 },
+                        format: {
+                            type: "string",
+                            enum: ["csv", "json"],
+                            default: "csv",
+                        },
+                        content: { type: "string", minLength: 1 },
+                        // Replace rows previously imported from the same document
+                        replace: { type: "boolean", default: true },
+                    },
+                },
+            },
+        },
+        async (request, reply) => {
+            const {
+                source_document,
+                format = "csv",
+                content,
+                replace = true,
+            } = request.body;
+
+            let parsed;
+            try {
+                parsed = parseExerciseDocument(content, format);
+            } catch (error) {
+                return reply.code(400).send({
+                    code: "ERR_INVALID_DOCUMENT",
+                    message: `Could not parse ${format.toUpperCase()} document: ${error.message}`,
+                });
+            }
+
+            if (parsed.exercises.length === 0) {
+                return reply.code(400).send({
+                    code: "ERR_NO_EXERCISES",
+                    message: "No valid exercises found in document",
+                    errors: parsed.errors,
+                });
+            }
+
+            const client = await fastify.pg.connect();
+
+            try {
+                await client.query("BEGIN");
+
+                let replaced = 0;
+                if (replace) {
+                    const deleted = await client.query(
+                        "DELETE FROM exercises WHERE source_document = $1",
+                        [source_document],
+                    );
+                    replaced = deleted.rowCount;
+                }
+
+                for (const exercise of parsed.exercises) {
+                    await client.query(
+                        `
+                    INSERT INTO exercises
+                    (name, ts_start, ts_end, area_lat, area_lon, area_radius,
+                     description, exercise_type, source_document)
+                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                `,
+                        [
+                            exercise.name,
+                            exercise.ts_start,
+                            exercise.ts_end,
+                            exercise.area_lat,
+                            exercise.area_lon,
+                            exercise.area_radius,
+                            exercise.description,
+                            exercise.exercise_type,
+                            source_document,
+                        ],
+                    );
+                }
+
+                await client.query("COMMIT");
+
+                return {
+                    message: "Exercises imported successfully",
+                    sourceDocument: source_document,
+                    imported: parsed.exercises.length,
+                    replaced,
+                    errors: parsed.errors,
+                };
+            } catch (error) {
+                await client.query("ROLLBACK");
+                fastify.log.error("Failed to import exercises:", error);
+                return reply.code(500).send({
+                    code: "ERR_EXERCISE_IMPORT_FAILED",
+                    message: "Failed to import exercises",
+                });
+            } finally {
+                client.release();
+            }
+        },
+    );
+}
@@ -1,7 +1,155 @@
 //
 
 // Flight data API routes for ForceFlow UK
+import { Readable } from "stream";
+import ClassificationService from "../services/classification.js";
+import { formatSortie } from "../services/sorties.js";
+import {
+    areaCondition,
+    hasGeography,
+    searchArea,
+} from "../services/spatial.js";
+import {
+    EXPORT_FORMATS,
+    contentType,
+    encodePositions,
+    encodeTrack,
+    filename,
+    negotiateFormat,
+} from "../services/export.js";
+
+// Rows fetched per query when streaming a track export
+const TRACK_PAGE_SIZE = 5000;
+
+// Parse an ISO date or date-time query value; null when absent, undefined
+// when invalid. A bare date as an end bound means the end of that day.
+function parseDate(value, endOfDay = false) {
+    if (!value) return null;
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return undefined;
+
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        date.setUTCDate(date.getUTCDate() + 1);
+    }
+    return date;
+}
+
+// Columns read by formatPosition, from flight_events fe joined to assets a
+const POSITION_COLUMNS = `
+    a.code,
+    a.callsign,
+    a.registration,
+    a.typecode,
+    a.name as aircraft_type,
+    a.operator,
+    fe.ts as timestamp,
+    fe.lat,
+    fe.lon,
+    fe.alt as altitude,
+    fe.velocity,
+    fe.heading,
+    fe.on_ground,
+    fe.geo_alt as geo_altitude,
+    fe.squawk,
+    fe.spi,
+    fe.position_source,
+    fe.time_position,
+    fe.sensors,
+    fe.source,
+    COALESCE(NULLIF(fe.sources, '{}'), ARRAY[fe.source]) AS sources
+`;
+
+function formatPosition(row) {
+    return {
+        code: row.code,
+        callsign: row.callsign,
+        registration: row.registration,
+        typecode: row.typecode,
+        aircraftType: row.aircraft_type,
+        operator: row.operator,
+        timestamp: row.timestamp.toISOString(),
+        lat: parseFloat(row.lat),
+        lon: parseFloat(row.lon),
+        altitude: row.altitude,
+        velocity: row.velocity,
+        heading: row.heading,
+        onGround: row.on_ground,
+        geoAltitude: row.geo_altitude,
+        squawk: row.squawk,
+        spi: row.spi,
+        positionSource: row.position_source,
+        timePosition: row.time_position
+            ? row.time_position.toISOString()
+            : null,
+        sensors: row.sensors,
+        source: row.source,
+        sources: row.sources,
+    };
+}
+
 export default async function flightRoutes(fastify, options) {
+    const classifier =
+        options.classificationService || new ClassificationService(fastify);
+
+    // Whether flight_events has the PostGIS geography index; checked on
+    // the first search
+    let geography = null;
+
+    // Send an export as a download, streamed chunk by chunk
+    function sendExport(reply, format, name, chunks) {
+        return reply
+            .header(
+                "Content-Disposition",
+                `attachment; filename="${filename(name, format)}"`,
+            )
+            .type(contentType(format))
+            .send(Readable.from(chunks));
+    }
+
+    // One page of a track since `since`, continuing after the { ts, id }
+    // cursor of the previous page's last row. The cursor's ts is the raw
+    // timestamptz text, so microseconds survive the round trip, and id breaks
+    // ties between rows with the same ts.
+    function trackPage(code, since, after = null) {
+        const params = [code, since, TRACK_PAGE_SIZE];
+        let cursor = "";
+        if (after) {
+            params.push(after.ts, after.id);
+            cursor = "AND (fe.ts, fe.id) > ($4::timestamptz, $5::uuid)";
+        }
+
+        return fastify.pg.query(
+            `
+            SELECT ${POSITION_COLUMNS},
+                fe.ts::text AS cursor_ts,
+                fe.id AS cursor_id
+            FROM flight_events fe
+            JOIN assets a ON fe.asset_id = a.id
+            WHERE a.code = $1 AND fe.ts > $2 ${cursor}
+            ORDER BY fe.ts ASC, fe.id ASC
+            LIMIT $3
+        `,
+            params,
+        );
+    }
+
+    // Positions of a track from its first page onwards, fetching the rest a
+    // page at a time
+    async function* trackPositions(code, since, rows) {
+        while (rows.length > 0) {
+            yield* rows.map(formatPosition);
+            if (rows.length < TRACK_PAGE_SIZE) return;
+            const last = rows[rows.length - 1];
+            rows = (
+                await trackPage(code, since, {
+                    ts: last.cursor_ts,
+                    id: last.cursor_id,
+                })
+            ).rows;
+        }
+    }
+
     // Get recent flight data (requires authentication)
     fastify.get(
         "/recent",
@@ -24,6 +172,20 @@ export default async function flightRoutes(fastify, options) {
                             default: 100,
                         },
                         military_only: { type: "boolean", default: true },
+                        // Overrides the Accept header
+                        format: { type: "string", enum: EXPORT_FORMATS },
+                        // Comma-separated ICAO type designators, e.g. "EUFI,A332"
+                        type: { type: "string" },
+                        // Comma-separated transponder codes, e.g. "7500,7600,7700"
+                        squawk: { type: "string" },
+                        spi: { type: "boolean" },
+                        position_source: {
+                            type: "integer",
+                            minimum: 0,
+                            maximum: 3,
+                        },
+                        // Comma-separated flight sources, e.g. "opensky,readsb"
+                        source: { type: "string" },
                     },
                 },
                 response: {
@@ -37,12 +199,43 @@ export default async function flightRoutes(fastify, options) {
                                     properties: {
                                         code: { type: "string" },
                                         callsign: { type: ["string", "null"] },
+                                        registration: {
+                                            type: ["string", "null"],
+                                        },
+                                        typecode: { type: ["string", "null"] },
+                                        aircraftType: {
+                                            type: ["string", "null"],
+                                        },
+                                        operator: { type: ["string", "null"] },
                                         timestamp: { type: "string" },
                                         lat: { type: "number" },
                                         lon: { type: "number" },
                                         altitude: { type: ["number", "null"] },
                                         velocity: { type: ["number", "null"] },
                                         heading: { type: ["number", "null"] },
+                                        onGround: {
+                                            type: ["boolean", "null"],
+                                        },
+                                        geoAltitude: {
+                                            type: ["number", "null"],
+                                        },
+                                        squawk: { type: ["string", "null"] },
+                                        spi: { type: ["boolean", "null"] },
+                                        positionSource: {
+                                            type: ["integer", "null"],
+                                        },
+                                        timePosition: {
+                                            type: ["string", "null"],
+                                        },
+                                        sensors: {
+                                            type: ["array", "null"],
+                                            items: { type: "integer" },
+                                        },
+                                        source: { type: "string" },
+                                        sources: {
+                                            type: "array",
+                                            items: { type: "string" },
+                                        },
                                     },
                                 },
                             },
@@ -52,6 +245,19 @@ export default async function flightRoutes(fastify, options) {
                                     count: { type: "integer" },
                                     timeRange: { type: "string" },
                                     lastUpdate: { type: "string" },
+                                    militaryOnly: { type: "boolean" },
+                                    types: {
+                                        type: ["array", "null"],
+                                        items: { type: "string" },
+                                    },
+                                    squawks: {
+                                        type: ["array", "null"],
+                                        items: { type: "string" },
+                                    },
+                                    sources: {
+                                        type: ["array", "null"],
+                                        items: { type: "string" },
+                                    },
                                 },
                             },
                         },
@@ -64,38 +270,77 @@ export default async function flightRoutes(fastify, options) {
                 minutes = 15,
                 limit = 100,
                 military_only = true,
+                type,
+                squawk,
+                spi,
+                position_source,
+                source,
             } = request.query;
+            const format = negotiateFormat(request);
+
+            const squawks = (squawk || "")
+                .split(",")
+                .map((s) => s.trim())
+                .filter(Boolean);
+            if (squawks.some((s) => !/^[0-7]{4}$/.test(s))) {
+                return reply.code(400).send({
+                    code: "ERR_INVALID_SQUAWK",
+                    message: "Squawk codes must be four octal digits",
+                });
+            }
 
             try {
+                await classifier.ensureLoaded();
+
                 const client = await fastify.pg.connect();
+                const params = [limit];
 
                 // Query recent flight events with optional military filtering
                 let query = `
-                SELECT 
-                    a.code,
-                    a.callsign,
-                    fe.ts as timestamp,
-                    fe.lat,
-                    fe.lon,
-                    fe.alt as altitude,
-                    fe.velocity,
-                    fe.heading,
-                    fe.on_ground
+                SELECT ${POSITION_COLUMNS}
                 FROM flight_events fe
                 JOIN assets a ON fe.asset_id = a.id
                 WHERE fe.ts > NOW() - INTERVAL '${minutes} minutes'
             `;
 
-                // Add military filtering if requested
+                // Add military filtering if requested, using the same
+                // classification rules as ingestion
                 if (military_only) {
-                    query += ` AND (
-                    a.code LIKE '43C%' OR  -- RAF aircraft hex codes
-                    a.code LIKE '400%' OR  -- UK military ranges
-                    a.callsign LIKE 'RRR%' OR  -- RAF callsigns
-                    a.callsign LIKE 'ASCOT%' OR -- RAF transport
-                    a.callsign LIKE 'KNIFE%' OR -- RAF training
-                    a.callsign LIKE 'TARTAN%'   -- Scottish aircraft
-                )`;
+                    query += ` AND ${classifier.sqlCondition("a", params)}`;
+                }
+
+                const typecodes = (type || "")
+                    .split(",")
+                    .map((t) => t.trim().toUpperCase())
+                    .filter(Boolean);
+                if (typecodes.length > 0) {
+                    params.push(typecodes);
+                    query += ` AND a.typecode = ANY($${params.length})`;
+                }
+
+                if (squawks.length > 0) {
+                    params.push(squawks);
+                    query += ` AND fe.squawk = ANY($${params.length})`;
+                }
+
+                if (spi !== undefined) {
+                    params.push(spi);
+                    query += ` AND COALESCE(fe.spi, false) = $${params.length}`;
+                }
+
+                if (position_source !== undefined) {
+                    params.push(position_source);
+                    query += ` AND fe.position_source = $${params.length}`;
+                }
+
+                const sources = (source || "")
+                    .split(",")
+                    .map((s) => s.trim().toLowerCase())
+                    .filter(Boolean);
+                if (sources.length > 0) {
+                    params.push(sources);
+                    // Positions any of these sources contributed to
+                    query += ` AND (fe.source = ANY($${params.length}) OR fe.sources && $${params.length})`;
                 }
 
                 query += `
@@ -103,26 +348,32 @@ export default async function flightRoutes(fastify, options) {
                 LIMIT $1
             `;
 
-                const result = await client.query(query, [limit]);
+                const result = await client.query(query, params);
                 client.release();
 
+                if (format !== "json") {
+                    return sendExport(
+                        reply,
+                        format,
+                        "recent-flights",
+                        encodePositions(
+                            format,
+                            { name: `Flights in the last ${minutes} minutes` },
+                            result.rows.map(formatPosition),
+                        ),
+                    );
+                }
+
                 return {
-                    data: result.rows.map((row) => ({
-                        code: row.code,
-                        callsign: row.callsign,
-                        timestamp: row.timestamp.toISOString(),
-                        lat: parseFloat(row.lat),
-                        lon: parseFloat(row.lon),
-                        altitude: row.altitude,
-                        velocity: row.velocity,
-                        heading: row.heading,
-                        onGround: row.on_ground,
-                    })),
+                    data: result.rows.map(formatPosition),
                     metadata: {
                         count: result.rows.length,
                         timeRange: `${minutes} minutes`,
                         lastUpdate: new Date().toISOString(),
                         militaryOnly: military_only,
+                        types: typecodes.length > 0 ? typecodes : null,
+                        squawks: squawks.length > 0 ? squawks : null,
+                        sources: sources.length > 0 ? sources : null,
                     },
                 };
             } catch (error) {
@@ -135,6 +386,122 @@ export default async function flightRoutes(fastify, options) {
         },
     );
 
+    // Positions inside an area (bounding box, GeoJSON polygon or point and
+    // radius) within a time range, oldest first
+    fastify.get(
+        "/search",
+        {
+            preHandler: fastify.authenticate,
+            schema: {
+                querystring: {
+                    type: "object",
+                    properties: {
+                        lamin: { type: "number", minimum: -90, maximum: 90 },
+                        lamax: { type: "number", minimum: -90, maximum: 90 },
+                        lomin: { type: "number", minimum: -180, maximum: 180 },
+                        lomax: { type: "number", minimum: -180, maximum: 180 },
+                        // GeoJSON Polygon geometry; only the outer ring is used
+                        polygon: { type: "string" },
+                        lat: { type: "number", minimum: -90, maximum: 90 },
+                        lon: { type: "number", minimum: -180, maximum: 180 },
+                        radius_km: {
+                            type: "number",
+                            exclusiveMinimum: 0,
+                            maximum: 1000,
+                        },
+                        // ISO date or date-time; positions in [from, to), a
+                        // bare `to` date includes that day
+                        from: { type: "string" },
+                        to: { type: "string" },
+                        // ICAO24 address of one aircraft
+                        code: { type: "string" },
+                        limit: {
+                            type: "integer",
+                            minimum: 1,
+                            maximum: 10000,
+                            default: 1000,
+                        },
+                    },
+                    required: ["from", "to"],
+                },
+            },
+        },
+        async (request, reply) => {
+            const { code, limit = 1000 } = request.query;
+
+            const from = parseDate(request.query.from);
+            const to = parseDate(request.query.to, true);
+            if (!from || !to || from >= to) {
+                return reply.code(400).send({
+                    code: "ERR_INVALID_DATE",
+                    message:
+                        "from and to must be ISO dates or date-times, from before to",
+                });
+            }
+
+            const { area, error } = searchArea(request.query);
+            if (error) {
+                return reply.code(400).send({
+                    code: "ERR_INVALID_SEARCH_AREA",
+                    message: error,
+                });
+            }
+
+            try {
+                if (geography === null) {
+                    geography = await hasGeography(fastify.pg);
+                    fastify.log.info(
+                        geography
+                            ? "Spatial search using PostGIS"
+                            : "PostGIS geography unavailable, spatial search using lat/lon",
+                    );
+                }
+
+                const client = await fastify.pg.connect();
+                const params = [limit, from, to];
+
+                let query = `
+                SELECT ${POSITION_COLUMNS}
+                FROM flight_events fe
+                JOIN assets a ON fe.asset_id = a.id
+                WHERE fe.ts >= $2 AND fe.ts < $3
+                  AND ${areaCondition(area, "fe", params, { geography })}
+            `;
+
+                if (code) {
+                    params.push(code.toUpperCase());
+                    query += ` AND a.code = $${params.length}`;
+                }
+
+                query += `
+                ORDER BY fe.ts ASC
+                LIMIT $1
+            `;
+
+                const result = await client.query(query, params);
+                client.release();
+
+                return {
+                    data: result.rows.map(formatPosition),
+                    metadata: {
+                        count: result.rows.length,
+                        truncated: result.rows.length === limit,
+                        from: from.toISOString(),
+                        to: to.toISOString(),
+                        area: area.type,
+                        postgis: geography,
+                    },
+                };
+            } catch (error) {
+                fastify.log.error("Failed to search flights:", error);
+                return reply.code(500).send({
+                    code: "ERR_DATABASE_QUERY",
+                    message: "Failed to search flight data",
+                });
+            }
+        },
+    );
+
     // Get flight tracks for a specific aircraft
     fastify.get(
         "/track/:code",
@@ -157,6 +524,8 @@ export default async function flightRoutes(fastify, options) {
                             maximum: 72,
                             default: 24,
                         },
+                        // Overrides the Accept header
+                        format: { type: "string", enum: EXPORT_FORMATS },
                     },
                 },
             },
@@ -164,6 +533,49 @@ export default async function flightRoutes(fastify, options) {
         async (request, reply) => {
             const { code } = request.params;
             const { hours = 24 } = request.query;
+            const format = negotiateFormat(request);
+
+            if (format !== "json") {
+                try {
+                    const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+                    const first = await trackPage(code.toUpperCase(), since);
+
+                    if (first.rows.length === 0) {
+                        return reply.code(404).send({
+                            code: "ERR_NOT_FOUND",
+                            message: `No flight data found for aircraft ${code}`,
+                        });
+                    }
+
+                    const asset = first.rows[0];
+                    const details = {
+                        name: `${asset.callsign || asset.code} (${asset.code})`,
+                        code: asset.code,
+                        callsign: asset.callsign,
+                        registration: asset.registration,
+                        typecode: asset.typecode,
+                        aircraftType: asset.aircraft_type,
+                        operator: asset.operator,
+                    };
+
+                    return sendExport(
+                        reply,
+                        format,
+                        `${asset.code}-track`,
+                        encodeTrack(
+                            format,
+                            details,
+                            trackPositions(asset.code, since, first.rows),
+                        ),
+                    );
+                } catch (error) {
+                    fastify.log.error("Failed to export flight track:", error);
+                    return reply.code(500).send({
+                        code: "ERR_DATABASE_QUERY",
+                        message: "Failed to retrieve flight track",
+                    });
+                }
+            }
 
             try {
                 const client = await fastify.pg.connect();
@@ -177,7 +589,20 @@ export default async function flightRoutes(fastify, options) {
                     fe.alt as altitude,
                     fe.velocity,
                     fe.heading,
-                    fe.on_ground
+                    fe.on_ground,
+                    fe.geo_alt as geo_altitude,
+                    fe.squawk,
+                    fe.spi,
+                    fe.position_source,
+                    fe.time_position,
+                    fe.sensors,
+                    fe.source,
+                    COALESCE(NULLIF(fe.sources, '{}'), ARRAY[fe.source]) AS sources,
+                    a.callsign,
+                    a.registration,
+                    a.typecode,
+                    a.name as aircraft_type,
+                    a.operator
                 FROM flight_events fe
                 JOIN assets a ON fe.asset_id = a.id
                 WHERE a.code = $1 
@@ -196,8 +621,17 @@ export default async function flightRoutes(fastify, options) {
                     });
                 }
 
+                const asset = result.rows[0];
+
                 return {
                     aircraft: code.toUpperCase(),
+                    details: {
+                        callsign: asset.callsign,
+                        registration: asset.registration,
+                        typecode: asset.typecode,
+                        aircraftType: asset.aircraft_type,
+                        operator: asset.operator,
+                    },
                     track: result.rows.map((row) => ({
                         timestamp: row.timestamp.toISOString(),
                         lat: parseFloat(row.lat),
@@ -206,6 +640,16 @@ export default async function flightRoutes(fastify, options) {
                         velocity: row.velocity,
                         heading: row.heading,
                         onGround: row.on_ground,
+                        geoAltitude: row.geo_altitude,
+                        squawk: row.squawk,
+                        spi: row.spi,
+                        positionSource: row.position_source,
+                        timePosition: row.time_position
+                            ? row.time_position.toISOString()
+                            : null,
+                        sensors: row.sensors,
+                        source: row.source,
+                        sources: row.sources,
                     })),
                     metadata: {
                         pointCount: result.rows.length,
@@ -227,6 +671,189 @@ export default async function flightRoutes(fastify, options) {
         },
     );
 
+    // List sorties derived from flight events, newest first
+    fastify.get(
+        "/sorties",
+        {
+            preHandler: fastify.authenticate,
+            schema: {
+                querystring: {
+                    type: "object",
+                    properties: {
+                        // ICAO24 address of the aircraft
+                        code: { type: "string" },
+                        // ICAO code of the departure or arrival airfield
+                        airfield: {
+                            type: "string",
+                            pattern: "^[A-Za-z]{4}$",
+                        },
+                        // ISO date or date-time; sorties starting in
+                        // [from, to), a bare `to` date includes that day
+                        from: { type: "string" },
+                        to: { type: "string" },
+                        status: {
+                            type: "string",
+                            enum: ["in_progress", "complete"],
+                        },
+                        limit: {
+                            type: "integer",
+                            minimum: 1,
+                            maximum: 1000,
+                            default: 100,
+                        },
+                    },
+                },
+            },
+        },
+        async (request, reply) => {
+            const { code, airfield, status, limit = 100 } = request.query;
+
+            const from = parseDate(request.query.from);
+            const to = parseDate(request.query.to, true);
+            if (from === undefined || to === undefined) {
+                return reply.code(400).send({
+                    code: "ERR_INVALID_DATE",
+                    message: "from and to must be ISO dates or date-times",
+                });
+            }
+
+            try {
+                const client = await fastify.pg.connect();
+
+                const params = [limit];
+                let query = `
+                SELECT s.*, a.code, a.callsign, a.registration, a.typecode,
+                       a.name AS aircraft_type, a.operator
+                FROM sorties s
+                JOIN assets a ON s.asset_id = a.id
+                WHERE true
+            `;
+
+                if (code) {
+                    params.push(code.toUpperCase());
+                    query += ` AND a.code = $${params.length}`;
+                }
+                if (airfield) {
+                    params.push(airfield.toUpperCase());
+                    query += ` AND (s.departure_airfield = $${params.length} OR s.arrival_airfield = $${params.length})`;
+                }
+                if (from) {
+                    params.push(from);
+                    query += ` AND s.start_ts >= $${params.length}`;
+                }
+                if (to) {
+                    params.push(to);
+                    query += ` AND s.start_ts < $${params.length}`;
+                }
+                if (status) {
+                    params.push(status);
+                    query += ` AND s.status = $${params.length}`;
+                }
+
+                query += `
+                ORDER BY s.start_ts DESC
+                LIMIT $1
+            `;
+
+                const result = await client.query(query, params);
+                client.release();
+
+                return {
+                    data: result.rows.map(formatSortie),
+                    metadata: {
+                        count: result.rows.length,
+                        from: from ? from.toISOString() : null,
+                        to: to ? to.toISOString() : null,
+                        airfield: airfield ? airfield.toUpperCase() : null,
+                    },
+                };
+            } catch (error) {
+                fastify.log.error("Failed to fetch sorties:", error);
+                return reply.code(500).send({
+                    code: "ERR_DATABASE_QUERY",
+                    message: "Failed to retrieve sorties",
+                });
+            }
+        },
+    );
+
+    // Get a single sortie with its track
+    fastify.get(
+        "/sorties/:id",
+        {
+            preHandler: fastify.authenticate,
+            schema: {
+                params: {
+                    type: "object",
+                    properties: {
+                        id: { type: "string", format: "uuid" },
+                    },
+                    required: ["id"],
+                },
+            },
+        },
+        async (request, reply) => {
+            try {
+                const client = await fastify.pg.connect();
+
+                const result = await client.query(
+                    `
+                SELECT s.*, a.code, a.callsign, a.registration, a.typecode,
+                       a.name AS aircraft_type, a.operator
+                FROM sorties s
+                JOIN assets a ON s.asset_id = a.id
+                WHERE s.id = $1
+            `,
+                    [request.params.id],
+                );
+
+                if (result.rows.length === 0) {
+                    client.release();
+                    return reply.code(404).send({
+                        code: "ERR_NOT_FOUND",
+                        message: "Sortie not found",
+                    });
+                }
+
+                const sortie = result.rows[0];
+                const track = await client.query(
+                    `
+                SELECT ts, lat, lon, alt, velocity, heading, on_ground
+                FROM flight_events
+                WHERE asset_id = $1 AND ts >= $2 AND ts <= $3
+                ORDER BY ts ASC
+            `,
+                    [
+                        sortie.asset_id,
+                        sortie.start_ts,
+                        sortie.arrival_ts || sortie.end_ts,
+                    ],
+                );
+
+                client.release();
+
+                return {
+                    sortie: formatSortie(sortie),
+                    track: track.rows.map((row) => ({
+                        timestamp: row.ts.toISOString(),
+                        lat: parseFloat(row.lat),
+                        lon: parseFloat(row.lon),
+                        altitude: row.alt,
+                        velocity: row.velocity,
+                        heading: row.heading,
+                        onGround: row.on_ground,
+                    })),
+                };
+            } catch (error) {
+                fastify.log.error("Failed to fetch sortie:", error);
+                return reply.code(500).send({
+                    code: "ERR_DATABASE_QUERY",
+                    message: "Failed to retrieve sortie",
+                });
+            }
+        },
+    );
+
     // Get live flight statistics
     fastify.get(
         "/stats",
@@ -0,0 +1,432 @@
+//
+
+// Geofence API routes for ForceFlow UK
+import { formatGeofence, validateGeofence } from "../services/geofences.js";
+
+const geofenceBodySchema = {
+    type: "object",
+    properties: {
+        name: { type: "string", minLength: 1, maxLength: 200 },
+        shape: { type: "string", enum: ["polygon", "circle"] },
+        // Polygon ring of [lon, lat] pairs (GeoJSON order)
+        coordinates: {
+            type: "array",
+            maxItems: 1000,
+            items: {
+                type: "array",
+                minItems: 2,
+                maxItems: 2,
+                items: { type: "number" },
+            },
+        },
+        center: {
+            type: "object",
+            properties: {
+                lat: { type: "number" },
+                lon: { type: "number" },
+            },
+            required: ["lat", "lon"],
+        },
+        radius_km: { type: "number", maximum: 1000 },
+        active: { type: "boolean" },
+    },
+};
+
+const idParamsSchema = {
+    type: "object",
+    properties: {
+        id: { type: "string", format: "uuid" },
+    },
+    required: ["id"],
+};
+
+export default async function geofenceRoutes(fastify, options) {
+    const geofenceMonitor = options.geofenceMonitor || null;
+
+    // Have the monitor pick up a change; the change itself is already saved
+    async function refresh() {
+        if (!geofenceMonitor) return;
+        try {
+            await geofenceMonitor.reload();
+        } catch (error) {
+            fastify.log.error("Failed to reload geofences:", error);
+        }
+    }
+
+    // List the current user's geofences
+    fastify.get(
+        "/",
+        {
+            preHandler: fastify.authenticate,
+        },
+        async (request, reply) => {
+            try {
+                const client = await fastify.pg.connect();
+
+                const result = await client.query(
+                    `
+                SELECT *
+                FROM geofences
+                WHERE user_id = $1
+                ORDER BY created_at DESC
+            `,
+                    [request.user.userId],
+                );
+
+                client.release();
+
+                return {
+                    data: result.rows.map(formatGeofence),
+                    metadata: { count: result.rows.length },
+                };
+            } catch (error) {
+                fastify.log.error("Failed to list geofences:", error);
+                return reply.code(500).send({
+                    code: "ERR_DATABASE_QUERY",
+                    message: "Failed to retrieve geofences",
+                });
+            }
+        },
+    );
+
+    // Get a single geofence with the aircraft currently inside it
+    fastify.get(
+        "/:id",
+        {
+            preHandler: fastify.authenticate,
+            schema: { params: idParamsSchema },
+        },
+        async (request, reply) => {
+            try {
+                const client = await fastify.pg.connect();
+
+                const result = await client.query(
+                    "SELECT * FROM geofences WHERE id = $1 AND user_id = $2",
+                    [request.params.id, request.user.userId],
+                );
+
+                if (result.rows.length === 0) {
+                    client.release();
+                    return reply.code(404).send({
+                        code: "ERR_NOT_FOUND",
+                        message: "Geofence not found",
+                    });
+                }
+
+                const inside = await client.query(
+                    `
+                SELECT gs.icao24, gs.entered_at, a.callsign
+                FROM geofence_states gs
+                LEFT JOIN assets a ON a.code = gs.icao24
+                WHERE gs.geofence_id = $1
+                ORDER BY gs.entered_at DESC
+            `,
+                    [request.params.id],
+                );
+
+                client.release();
+
+                return {
+                    geofence: formatGeofence(result.rows[0]),
+                    inside: inside.rows.map((row) => ({
+                        code: row.icao24,
+                        callsign: row.callsign,
+                        enteredAt: row.entered_at,
+                    })),
+                };
+            } catch (error) {
+                fastify.log.error("Failed to fetch geofence:", error);
+                return reply.code(500).send({
+                    code: "ERR_DATABASE_QUERY",
+                    message: "Failed to retrieve geofence",
+                });
+            }
+        },
+    );
+
+    // Create a geofence
+    fastify.post(
+        "/",
+        {
+            preHandler: fastify.authenticate,
+            schema: {
+                body: {
+                    ...geofenceBodySchema,
+                    required: ["name", "shape"],
+                },
+            },
+        },
+        async (request, reply) => {
+            const body = request.body;
+
+            const problem = validateGeofence(body);
+            if (problem) {
+                return reply.code(400).send({
+                    code: "ERR_INVALID_GEOFENCE",
+                    message: problem,
+                });
+            }
+
+            try {
+                const client = await fastify.pg.connect();
+
+                const circle = body.shape === "circle";
+                const result = await client.query(
+                    `
+                INSERT INTO geofences
+                (user_id, name, shape, coordinates, center_lat, center_lon, radius_km, active)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                RETURNING *
+            `,
+                    [
+                        request.user.userId,
+                        body.name,
+                        body.shape,
+                        circle ? null : JSON.stringify(body.coordinates),
+                        circle ? body.center.lat : null,
+                        circle ? body.center.lon : null,
+                        circle ? body.radius_km : null,
+                        body.active ?? true,
+                    ],
+                );
+
+                client.release();
+                await refresh();
+
+                return reply.code(201).send({
+                    message: "Geofence created successfully",
+                    geofence: formatGeofence(result.rows[0]),
+                });
+            } catch (error) {
+                fastify.log.error("Failed to create geofence:", error);
+                return reply.code(500).send({
+                    code: "ERR_GEOFENCE_CREATE_FAILED",
+                    message: "Failed to create geofence",
+                });
+            }
+        },
+    );
+
+    // Update a geofence (only supplied fields change)
+    fastify.put(
+        "/:id",
+        {
+            preHandler: fastify.authenticate,
+            schema: {
+                params: idParamsSchema,
+                body: geofenceBodySchema,
+            },
+        },
+        async (request, reply) => {
+            const body = request.body || {};
+
+            try {
+                const client = await fastify.pg.connect();
+
+                const existing = await client.query(
+                    "SELECT * FROM geofences WHERE id = $1 AND user_id = $2",
+                    [request.params.id, request.user.userId],
+                );
+
+                if (existing.rows.length === 0) {
+                    client.release();
+                    return reply.code(404).send({
+                        code: "ERR_NOT_FOUND",
+                        message: "Geofence not found",
+                    });
+                }
+
+                const current = existing.rows[0];
+                const geofence = {
+                    shape: body.shape ?? current.shape,
+                    coordinates: body.coordinates ?? current.coordinates,
+                    center:
+                        body.center ??
+                        (current.center_lat !== null
+                            ? {
+                                  lat: current.center_lat,
+                                  lon: current.center_lon,
+                              }
+                            : null),
+                    radius_km: body.radius_km ?? current.radius_km,
+                };
+
+                const problem = validateGeofence(geofence);
+                if (problem) {
+                    client.release();
+                    return reply.code(400).send({
+                        code: "ERR_INVALID_GEOFENCE",
+                        message: problem,
+                    });
+                }
+
+                const circle = geofence.shape === "circle";
+                const result = await client.query(
+                    `
+                UPDATE geofences SET
+                    name = COALESCE($1, name),
+                    shape = $2,
+                    coordinates = $3,
+                    center_lat = $4,
+                    center_lon = $5,
+                    radius_km = $6,
+                    active = COALESCE($7, active),
+                    updated_at = NOW()
+                WHERE id = $8 AND user_id = $9
+                RETURNING *
+            `,
+                    [
+                        body.name ?? null,
+                        geofence.shape,
+                        circle ? null : JSON.stringify(geofence.coordinates),
+                        circle ? geofence.center.lat : null,
+                        circle ? geofence.center.lon : null,
+                        circle ? geofence.radius_km : null,
+                        body.active ?? null,
+                        request.params.id,
+                        request.user.userId,
+                    ],
+                );
+
+                client.release();
+                await refresh();
+
+                return {
+                    message: "Geofence updated successfully",
+                    geofence: formatGeofence(result.rows[0]),
+                };
+            } catch (error) {
+                fastify.log.error("Failed to update geofence:", error);
+                return reply.code(500).send({
+                    code: "ERR_GEOFENCE_UPDATE_FAILED",
+                    message: "Failed to update geofence",
+                });
+            }
+        },
+    );
+
+    // Delete a geofence along with its events
+    fastify.delete(
+        "/:id",
+        {
+            preHandler: fastify.authenticate,
+            schema: { params: idParamsSchema },
+        },
+        async (request, reply) => {
+            try {
+                const client = await fastify.pg.connect();
+
+                const result = await client.query(
+                    "DELETE FROM geofences WHERE id = $1 AND user_id = $2",
+                    [request.params.id, request.user.userId],
+                );
+
+                client.release();
+
+                if (result.rowCount === 0) {
+                    return reply.code(404).send({
+                        code: "ERR_NOT_FOUND",
+                        message: "Geofence not found",
+                    });
+                }
+
+                await refresh();
+
+                return { message: "Geofence deleted successfully" };
+            } catch (error) {
+                fastify.log.error("Failed to delete geofence:", error);
+                return reply.code(500).send({
+                    code: "ERR_GEOFENCE_DELETE_FAILED",
+                    message: "Failed to delete geofence",
+                });
+            }
+        },
+    );
+
+    // Entry, exit and lost-contact history for a geofence, newest first
+    fastify.get(
+        "/:id/events",
+        {
+            preHandler: fastify.authenticate,
+            schema: {
+                params: idParamsSchema,
+                querystring: {
+                    type: "object",
+                    properties: {
+                        type: {
+                            type: "string",
+                            enum: ["entry", "exit", "lost"],
+                        },
+                        limit: {
+                            type: "integer",
+                            minimum: 1,
+                            maximum: 500,
+                            default: 50,
+                        },
+                    },
+                },
+            },
+        },
+        async (request, reply) => {
+            const { type, limit = 50 } = request.query;
+
+            try {
+                const client = await fastify.pg.connect();
+
+                const owner = await client.query(
+                    "SELECT id FROM geofences WHERE id = $1 AND user_id = $2",
+                    [request.params.id, request.user.userId],
+                );
+
+                if (owner.rows.length === 0) {
+                    client.release();
+                    return reply.code(404).send({
+                        code: "ERR_NOT_FOUND",
+                        message: "Geofence not found",
+                    });
+                }
+
+                const params = [request.params.id, limit];
+                let typeFilter = "";
+                if (type) {
+                    params.push(type);
+                    typeFilter = "AND type = $3";
+                }
+
+                const result = await client.query(
+                    `
+                SELECT *
+                FROM geofence_events
+                WHERE geofence_id = $1 ${typeFilter}
+                ORDER BY ts DESC
+                LIMIT $2
+            `,
+                    params,
+                );
+
+                client.release();
+
+                return {
+                    geofence: request.params.id,
+                    data: result.rows.map((row) => ({
+                        id: row.id,
+                        type: row.type,
+                        code: row.icao24,
+                        callsign: row.callsign,
+                        timestamp: row.ts,
+                        lat: row.lat,
+                        lon: row.lon,
+                        altitude: row.altitude,
+                    })),
+                    metadata: { count: result.rows.length },
+                };
+            } catch (error) {
+                fastify.log.error("Failed to fetch geofence events:", error);
+                return reply.code(500).send({
+                    code: "ERR_DATABASE_QUERY",
+                    message: "Failed to retrieve geofence events",
+                });
+            }
+        },
+    );
+}
@@ -0,0 +1,195 @@
+//
+
+// NOTAM API routes for ForceFlow UK
+import NotamService from "../services/notams.js";
+
+export default async function notamRoutes(fastify, options) {
+    const notamService = options.notamService || new NotamService(fastify);
+
+    // List NOTAMs active within a time window and optional bounding box
+    fastify.get(
+        "/",
+        {
+            preHandler: fastify.authenticate,
+            schema: {
+                querystring: {
+                    type: "object",
+                    properties: {
+                        from: { type: "string", format: "date-time" },
+                        to: { type: "string", format: "date-time" },
+                        lamin: { type: "number", minimum: -90, maximum: 90 },
+                        lamax: { type: "number", minimum: -90, maximum: 90 },
+                        lomin: { type: "number", minimum: -180, maximum: 180 },
+                        lomax: { type: "number", minimum: -180, maximum: 180 },
+                        category: { type: "string" },
+                        military_only: { type: "boolean", default: false },
+                        limit: {
+                            type: "integer",
+                            minimum: 1,
+                            maximum: 1000,
+                            default: 200,
+                        },
+                    },
+                },
+            },
+        },
+        async (request, reply) => {
+            const {
+                lamin,
+                lamax,
+                lomin,
+                lomax,
+                category,
+                military_only = false,
+                limit = 200,
+            } = request.query;
+
+            const from = request.query.from
+                ? new Date(request.query.from)
+                : new Date();
+            const to = request.query.to ? new Date(request.query.to) : from;
+
+            if (to < from) {
+                return reply.code(400).send({
+                    code: "ERR_INVALID_TIME_RANGE",
+                    message: "'to' must not be earlier than 'from'",
+                });
+            }
+
+            const bounds = [lamin, lamax, lomin, lomax];
+            const hasBounds = bounds.some((value) => value !== undefined);
+            if (hasBounds && bounds.some((value) => value === undefined)) {
+                return reply.code(400).send({
+                    code: "ERR_INVALID_BOUNDS",
+                    message:
+                        "Bounding box requires lamin, lamax, lomin and lomax",
+                });
+            }
+
+            try {
+                const client = await fastify.pg.connect();
+
+                const params = [from, to];
+                let query = `
+                SELECT
+                    id, ts_start, ts_end, title, description, category,
+                    geom_lat, geom_lon, geom_radius, source_url,
+                    location, qcode, lower_fl, upper_fl, military
+                FROM notams
+                WHERE ts_start <= $2 AND (ts_end IS NULL OR ts_end >= $1)
+            `;
+
+                if (hasBounds) {
+                    params.push(lamin, lamax, lomin, lomax);
+                    // Match areas that reach into the box, not just those
+                    // centred in it: widen by the radius (1 nm is 1/60 of a
+                    // degree of latitude)
+                    const latRadius = "COALESCE(geom_radius, 0) / 60.0";
+                    const lonRadius = `${latRadius} / GREATEST(cos(radians(geom_lat)), 0.01)`;
+                    query += `
+                    AND geom_lat + ${latRadius} >= $3 AND geom_lat - ${latRadius} <= $4
+                    AND geom_lon + ${lonRadius} >= $5 AND geom_lon - ${lonRadius} <= $6`;
+                }
+
+                if (category) {
+                    params.push(category);
+                    query += ` AND category = $${params.length}`;
+                }
+
+                if (military_only) {
+                    query += ` AND military = true`;
+                }
+
+                params.push(limit);
+                query += `
+                ORDER BY ts_start DESC
+                LIMIT $${params.length}
+            `;
+
+                const result = await client.query(query, params);
+                client.release();
+
+                return {
+                    data: result.rows.map((row) => ({
+                        id: row.id,
+                        location: row.location,
+                        qcode: row.qcode,
+                        category: row.category,
+                        military: !!row.military,
+                        title: row.title,
+                        description: row.description,
+                        start: row.ts_start.toISOString(),
+                        end: row.ts_end ? row.ts_end.toISOString() : null,
+                        lat: row.geom_lat,
+                        lon: row.geom_lon,
+                        radiusNm: row.geom_radius,
+                        lowerFl: row.lower_fl,
+                        upperFl: row.upper_fl,
+                        sourceUrl: row.source_url,
+                    })),
+                    metadata: {
+                        count: result.rows.length,
+                        from: from.toISOString(),
+                        to: to.toISOString(),
+                        bounds: hasBounds
+                            ? { lamin, lamax, lomin, lomax }
+                            : null,
+                        militaryOnly: military_only,
+                    },
+                };
+            } catch (error) {
+                fastify.log.error("Failed to fetch NOTAMs:", error);
+                return reply.code(500).send({
+                    code: "ERR_DATABASE_QUERY",
+                    message: "Failed to retrieve NOTAMs",
+                });
+            }
+        },
+    );
+
+    // Import raw ICAO NOTAM text (analyst/admin)
+    fastify.post(
+        "/import",
+        {
+            preHandler: [
+                fastify.authenticate,
+                fastify.authorize(["admin", "analyst"]),
+            ],
+            schema: {
+                body: {
+                    type: "object",
+                    required: ["text"],
+                    properties: {
+                        text: { type: "string", minLength: 1 },
+                        source_url: { type: "string" },
+                    },
+                },
+            },
+        },
+        async (request, reply) => {
+            const { text, source_url = null } = request.body;
+
+            try {
+                const result = await notamService.importText(text, source_url);
+
+                if (result.parsed === 0) {
+                    return reply.code(400).send({
+                        code: "ERR_NO_NOTAMS_PARSED",
+                        message: "No ICAO-format NOTAMs found in request body",
+                    });
+                }
+
+                return {
+                    message: "NOTAMs imported successfully",
+                    ...result,
+                };
+            } catch (error) {
+                fastify.log.error("Failed to import NOTAMs:", error);
+                return reply.code(500).send({
+                    code: "ERR_NOTAM_IMPORT_FAILED",
+                    message: "Failed to import NOTAMs",
+                });
+            }
+        },
+    );
+}
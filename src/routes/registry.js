@@ -0,0 +1,92 @@
+//
+
+// Aircraft registry API routes for ForceFlow UK
+import RegistryService from "../services/registry.js";
+import { lookupAddress } from "../services/icao24.js";
+
+export default async function registryRoutes(fastify, options) {
+    const registryService =
+        options.registryService || new RegistryService(fastify);
+
+    // Registry entry and ICAO24 allocation for an address
+    fastify.get(
+        "/aircraft/:icao24",
+        {
+            preHandler: fastify.authenticate,
+            schema: {
+                params: {
+                    type: "object",
+                    properties: {
+                        icao24: { type: "string", pattern: "^[0-9A-Fa-f]{6}$" },
+                    },
+                    required: ["icao24"],
+                },
+            },
+        },
+        async (request, reply) => {
+            const icao24 = request.params.icao24.toUpperCase();
+
+            try {
+                const client = await fastify.pg.connect();
+
+                const result = await client.query(
+                    "SELECT * FROM aircraft_registry WHERE icao24 = $1",
+                    [icao24],
+                );
+
+                client.release();
+
+                const entry = result.rows[0];
+
+                return {
+                    icao24,
+                    registration: entry?.registration || null,
+                    typecode: entry?.typecode || null,
+                    aircraftType: entry?.model || null,
+                    operator: entry?.operator || null,
+                    inRegistry: !!entry,
+                    allocation: lookupAddress(icao24),
+                };
+            } catch (error) {
+                fastify.log.error("Failed to look up aircraft:", error);
+                return reply.code(500).send({
+                    code: "ERR_DATABASE_QUERY",
+                    message: "Failed to look up aircraft",
+                });
+            }
+        },
+    );
+
+    // Re-import the configured aircraft database file (admin)
+    fastify.post(
+        "/import",
+        {
+            preHandler: [fastify.authenticate, fastify.authorize(["admin"])],
+        },
+        async (request, reply) => {
+            if (!registryService.filePath) {
+                return reply.code(400).send({
+                    code: "ERR_NOT_CONFIGURED",
+                    message: "AIRCRAFT_DB_FILE is not configured",
+                });
+            }
+
+            if (registryService.isImporting) {
+                return reply.code(409).send({
+                    code: "ERR_IMPORT_RUNNING",
+                    message: "Aircraft database import already running",
+                });
+            }
+
+            // Large dumps take a while; progress shows in /api/v1/services/status
+            registryService.importFile().catch((error) => {
+                fastify.log.error("Aircraft database import failed:", error);
+            });
+
+            return reply.code(202).send({
+                message: "Aircraft database import started",
+                file: registryService.filePath,
+            });
+        },
+    );
+}
@@ -0,0 +1,302 @@
+//
+
+// Ship data API routes for ForceFlow UK
+import { NAV_STATUS } from "../services/aivdm.js";
+
+function decodeNavStatus(value) {
+    if (value === null || value === undefined) return null;
+    return NAV_STATUS[value] || "unknown";
+}
+
+export default async function shipRoutes(fastify, options) {
+    // Get recent ship data (requires authentication)
+    fastify.get(
+        "/recent",
+        {
+            preHandler: fastify.authenticate,
+            schema: {
+                querystring: {
+                    type: "object",
+                    properties: {
+                        minutes: {
+                            type: "integer",
+                            minimum: 1,
+                            maximum: 1440,
+                            default: 15,
+                        },
+                        limit: {
+                            type: "integer",
+                            minimum: 1,
+                            maximum: 1000,
+                            default: 100,
+                        },
+                        naval_only: { type: "boolean", default: true },
+                    },
+                },
+                response: {
+                    200: {
+                        type: "object",
+                        properties: {
+                            data: {
+                                type: "array",
+                                items: {
+                                    type: "object",
+                                    properties: {
+                                        mmsi: { type: "string" },
+                                        callsign: { type: ["string", "null"] },
+                                        name: { type: ["string", "null"] },
+                                        timestamp: { type: "string" },
+                                        lat: { type: "number" },
+                                        lon: { type: "number" },
+                                        sog: { type: ["number", "null"] },
+                                        cog: { type: ["number", "null"] },
+                                        heading: { type: ["number", "null"] },
+                                        navStatus: {
+                                            type: ["string", "null"],
+                                        },
+                                        naval: { type: "boolean" },
+                                    },
+                                },
+                            },
+                            metadata: {
+                                type: "object",
+                                properties: {
+                                    count: { type: "integer" },
+                                    timeRange: { type: "string" },
+                                    lastUpdate: { type: "string" },
+                                    navalOnly: { type: "boolean" },
+                                },
+                            },
+                        },
+                    },
+                },
+            },
+        },
+        async (request, reply) => {
+            const {
+                minutes = 15,
+                limit = 100,
+                naval_only = true,
+            } = request.query;
+
+            try {
+                const client = await fastify.pg.connect();
+
+                // Query recent ship events with optional naval filtering
+                let query = `
+                SELECT
+                    a.code as mmsi,
+                    a.callsign,
+                    a.name,
+                    a.military,
+                    se.ts as timestamp,
+                    se.lat,
+                    se.lon,
+                    se.sog,
+                    se.cog,
+                    se.heading,
+                    se.nav_status
+                FROM ship_events se
+                JOIN assets a ON se.asset_id = a.id
+                WHERE se.ts > NOW() - INTERVAL '${minutes} minutes'
+            `;
+
+                if (naval_only) {
+                    query += ` AND a.military = true`;
+                }
+
+                query += `
+                ORDER BY se.ts DESC
+                LIMIT $1
+            `;
+
+                const result = await client.query(query, [limit]);
+                client.release();
+
+                return {
+                    data: result.rows.map((row) => ({
+                        mmsi: row.mmsi,
+                        callsign: row.callsign,
+                        name: row.name,
+                        timestamp: row.timestamp.toISOString(),
+                        lat: parseFloat(row.lat),
+                        lon: parseFloat(row.lon),
+                        sog: row.sog,
+                        cog: row.cog,
+                        heading: row.heading,
+                        navStatus: decodeNavStatus(row.nav_status),
+                        naval: !!row.military,
+                    })),
+                    metadata: {
+                        count: result.rows.length,
+                        timeRange: `${minutes} minutes`,
+                        lastUpdate: new Date().toISOString(),
+                        navalOnly: naval_only,
+                    },
+                };
+            } catch (error) {
+                fastify.log.error("Failed to fetch recent ships:", error);
+                return reply.code(500).send({
+                    code: "ERR_DATABASE_QUERY",
+                    message: "Failed to retrieve ship data",
+                });
+            }
+        },
+    );
+
+    // Get track for a specific vessel
+    fastify.get(
+        "/track/:mmsi",
+        {
+            preHandler: fastify.authenticate,
+            schema: {
+                params: {
+                    type: "object",
+                    properties: {
+                        mmsi: { type: "string", pattern: "^[0-9]{9}$" },
+                    },
+                    required: ["mmsi"],
+                },
+                querystring: {
+                    type: "object",
+                    properties: {
+                        hours: {
+                            type: "integer",
+                            minimum: 1,
+                            maximum: 72,
+                            default: 24,
+                        },
+                    },
+                },
+            },
+        },
+        async (request, reply) => {
+            const { mmsi } = request.params;
+            const { hours = 24 } = request.query;
+
+            try {
+                const client = await fastify.pg.connect();
+
+                const result = await client.query(
+                    `
+                SELECT
+                    se.ts as timestamp,
+                    se.lat,
+                    se.lon,
+                    se.sog,
+                    se.cog,
+                    se.heading,
+                    se.nav_status
+                FROM ship_events se
+                JOIN assets a ON se.asset_id = a.id
+                WHERE a.code = $1
+                  AND a.type = 'ship'
+                  AND se.ts > NOW() - INTERVAL '${hours} hours'
+                ORDER BY se.ts ASC
+            `,
+                    [mmsi],
+                );
+
+                client.release();
+
+                if (result.rows.length === 0) {
+                    return reply.code(404).send({
+                        code: "ERR_NOT_FOUND",
+                        message: `No ship data found for vessel ${mmsi}`,
+                    });
+                }
+
+                return {
+                    vessel: mmsi,
+                    track: result.rows.map((row) => ({
+                        timestamp: row.timestamp.toISOString(),
+                        lat: parseFloat(row.lat),
+                        lon: parseFloat(row.lon),
+                        sog: row.sog,
+                        cog: row.cog,
+                        heading: row.heading,
+                        navStatus: decodeNavStatus(row.nav_status),
+                    })),
+                    metadata: {
+                        pointCount: result.rows.length,
+                        timeRange: `${hours} hours`,
+                        firstPoint: result.rows[0].timestamp.toISOString(),
+                        lastPoint:
+                            result.rows[
+                                result.rows.length - 1
+                            ].timestamp.toISOString(),
+                    },
+                };
+            } catch (error) {
+                fastify.log.error("Failed to fetch ship track:", error);
+                return reply.code(500).send({
+                    code: "ERR_DATABASE_QUERY",
+                    message: "Failed to retrieve ship track",
+                });
+            }
+        },
+    );
+
+    // Get live ship statistics
+    fastify.get(
+        "/stats",
+        {
+            preHandler: fastify.authenticate,
+        },
+        async (request, reply) => {
+            try {
+                const client = await fastify.pg.connect();
+
+                // Latest report per vessel over the last hour (AIS reports less often than ADS-B)
+                const stats = await client.query(`
+                WITH latest AS (
+                    SELECT DISTINCT ON (se.asset_id)
+                        se.asset_id, se.ts, se.sog, se.nav_status, a.military
+                    FROM ship_events se
+                    JOIN assets a ON se.asset_id = a.id
+                    WHERE se.ts > NOW() - INTERVAL '60 minutes'
+                    ORDER BY se.asset_id, se.ts DESC
+                )
+                SELECT
+                    COUNT(*) as total_vessels,
+                    COUNT(CASE WHEN nav_status IN (0, 8) OR (nav_status IS NULL AND sog > 0.5) THEN 1 END) as underway,
+                    COUNT(CASE WHEN nav_status IN (1, 5) THEN 1 END) as stationary,
+                    COUNT(CASE WHEN military = true THEN 1 END) as naval_vessels,
+                    AVG(sog) FILTER (WHERE sog > 0.5) as avg_speed,
+                    MAX(sog) as max_speed,
+                    COUNT(CASE WHEN ts > NOW() - INTERVAL '5 minutes' THEN 1 END) as active_last_5min
+                FROM latest
+            `);
+
+                client.release();
+
+                const row = stats.rows[0];
+
+                return {
+                    timestamp: new Date().toISOString(),
+                    ships: {
+                        total: parseInt(row.total_vessels),
+                        underway: parseInt(row.underway),
+                        stationary: parseInt(row.stationary),
+                        activeLast5Min: parseInt(row.active_last_5min),
+                        navalVessels: parseInt(row.naval_vessels),
+                    },
+                    metrics: {
+                        averageSpeed: row.avg_speed
+                            ? parseFloat(parseFloat(row.avg_speed).toFixed(1))
+                            : null,
+                        maxSpeed: row.max_speed
+                            ? parseFloat(parseFloat(row.max_speed).toFixed(1))
+                            : null,
+                    },
+                };
+            } catch (error) {
+                fastify.log.error("Failed to fetch ship statistics:", error);
+                return reply.code(500).send({
+                    code: "ERR_DATABASE_QUERY",
+                    message: "Failed to retrieve ship statistics",
+                });
+            }
+        },
+    );
+}
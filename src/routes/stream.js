@@ -0,0 +1,161 @@
+//
+
+// Real-time Server-Sent Events stream for ForceFlow UK
+import PositionStream, { parseList } from "../services/stream.js";
+
+const HEARTBEAT_MS = 15000;
+
+// A client is disconnected once this much output is queued for it, or when
+// its socket hasn't drained for this long
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+const DRAIN_TIMEOUT_MS = 30000;
+
+export default async function streamRoutes(fastify, options) {
+    const positionStream =
+        options.positionStream || new PositionStream(fastify);
+
+    // EventSource can't set headers, so accept the JWT as ?token= too
+    async function tokenFromQuery(request, reply) {
+        if (!request.headers.authorization && request.query.token) {
+            request.headers.authorization = `Bearer ${request.query.token}`;
+        }
+    }
+
+    // Live military aircraft positions as each OpenSky batch commits
+    fastify.get(
+        "/flights",
+        {
+            preHandler: [tokenFromQuery, fastify.authenticate],
+            schema: {
+                querystring: {
+                    type: "object",
+                    properties: {
+                        token: { type: "string" },
+                        lamin: { type: "number", minimum: -90, maximum: 90 },
+                        lamax: { type: "number", minimum: -90, maximum: 90 },
+                        lomin: { type: "number", minimum: -180, maximum: 180 },
+                        lomax: { type: "number", minimum: -180, maximum: 180 },
+                        // Comma-separated ISO country codes, e.g. "GB,US"
+                        country: { type: "string" },
+                        // Comma-separated callsign prefixes, e.g. "RRR,ASCOT"
+                        callsign: { type: "string" },
+                        // Comma-separated transponder codes, e.g. "7500,7600,7700"
+                        squawk: { type: "string" },
+                        // Resume point for clients that can't send Last-Event-ID
+                        last_event_id: { type: "string" },
+                    },
+                },
+            },
+        },
+        async (request, reply) => {
+            const { lamin, lamax, lomin, lomax, country, callsign, squawk } =
+                request.query;
+
+            const bboxValues = [lamin, lamax, lomin, lomax];
+            const bboxCount = bboxValues.filter((v) => v !== undefined).length;
+            if (bboxCount !== 0 && bboxCount !== 4) {
+                return reply.code(400).send({
+                    code: "ERR_INVALID_BBOX",
+                    message:
+                        "Bounding box requires all of lamin, lamax, lomin and lomax",
+                });
+            }
+
+            const squawks = parseList(squawk);
+            if (squawks.some((code) => !/^[0-7]{4}$/.test(code))) {
+                return reply.code(400).send({
+                    code: "ERR_INVALID_SQUAWK",
+                    message: "Squawk codes must be four octal digits",
+                });
+            }
+
+            if (positionStream.isFull()) {
+                return reply.code(503).send({
+                    code: "ERR_STREAM_FULL",
+                    message: "Too many stream clients, try again later",
+                });
+            }
+
+            const filters = {
+                bbox: bboxCount === 4 ? { lamin, lamax, lomin, lomax } : null,
+                countries: parseList(country),
+                callsigns: parseList(callsign),
+                squawks,
+            };
+
+            const lastEventId =
+                request.headers["last-event-id"] ||
+                request.query.last_event_id ||
+                null;
+
+            reply.hijack();
+            const res = reply.raw;
+
+            res.writeHead(200, {
+                ...reply.getHeaders(),
+                "Content-Type": "text/event-stream; charset=utf-8",
+                "Cache-Control": "no-cache, no-transform",
+                Connection: "keep-alive",
+                "X-Accel-Buffering": "no",
+            });
+
+            let drainTimer = null;
+            const disconnect = (reason) => {
+                request.log.warn(`Dropping slow stream client: ${reason}`);
+                res.destroy();
+            };
+
+            const write = (chunk) => {
+                if (res.destroyed) return;
+                if (res.writableLength > MAX_BUFFERED_BYTES) {
+                    disconnect(`${res.writableLength} bytes queued`);
+                    return;
+                }
+                if (res.write(chunk) || drainTimer) return;
+
+                drainTimer = setTimeout(
+                    () => disconnect(`not drained in ${DRAIN_TIMEOUT_MS}ms`),
+                    DRAIN_TIMEOUT_MS,
+                );
+                res.once("drain", () => {
+                    clearTimeout(drainTimer);
+                    drainTimer = null;
+                });
+            };
+
+            const send = (event, id, data) => {
+                let message = `event: ${event}\n`;
+                if (id) message += `id: ${id}\n`;
+                message += `data: ${JSON.stringify(data)}\n\n`;
+                write(message);
+            };
+
+            // Reconnect delay hint for EventSource, then confirm the filters
+            write("retry: 5000\n\n");
+            send("ready", null, {
+                lastEventId: positionStream.lastEventId,
+                filters: {
+                    bbox: filters.bbox,
+                    country: filters.countries,
+                    callsign: filters.callsigns,
+                    squawk: filters.squawks,
+                },
+            });
+
+            const heartbeat = setInterval(() => {
+                write(": ping\n\n");
+            }, HEARTBEAT_MS);
+
+            const unsubscribe = positionStream.subscribe(
+                { filters, send, close: () => res.end() },
+                lastEventId,
+            );
+
+            request.raw.on("close", () => {
+                clearInterval(heartbeat);
+                clearTimeout(drainTimer);
+                unsubscribe();
+            });
+        },
+    );
+}
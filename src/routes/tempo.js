@@ -1,7 +1,11 @@
 //
 
 // Tempo Index routes for ForceFlow UK
+import TempoService, { floorToHour } from "../services/tempo.js";
+
 export default async function tempoRoutes(fastify, options) {
+    const tempoService = options.tempoService || new TempoService(fastify);
+
     // Get current tempo index (public endpoint)
     fastify.get(
         "/index",
@@ -17,7 +21,10 @@ export default async function tempoRoutes(fastify, options) {
                                     score: { type: "number" },
                                     timestamp: { type: "string" },
                                     status: { type: "string" },
-                                    drivers: { type: "object" },
+                                    drivers: {
+                                        type: "object",
+                                        additionalProperties: true,
+                                    },
                                 },
                             },
                             trend: {
@@ -234,151 +241,13 @@ export default async function tempoRoutes(fastify, options) {
         },
         async (request, reply) => {
             try {
-                const client = await fastify.pg.connect();
-
-                // Get current activity counts for the last hour
-                const now = new Date();
-                const hourAgo = new Date(now.getTime() - 60 * 60 * 1000);
-
-                // Count recent flights
-                const flightResult = await client.query(
-                    `
-                SELECT COUNT(*) as count
-                FROM flight_events
-                WHERE ts > $1
-            `,
-                    [hourAgo],
-                );
-
-                // Count recent ships (noting 72h AIS delay)
-                const shipResult = await client.query(
-                    `
-                SELECT COUNT(*) as count
-                FROM ship_events
-                WHERE ts > $1
-            `,
-                    [new Date(now.getTime() - 72 * 60 * 60 * 1000)],
-                ); // 72 hours ago
-
-                // Count active NOTAMs
-                const notamResult = await client.query(
-                    `
-                SELECT COUNT(*) as count
-                FROM notams
-                WHERE ts_start <= $1 AND (ts_end IS NULL OR ts_end >= $1)
-            `,
-                    [now],
-                );
-
-                // Count active exercises
-                const exerciseResult = await client.query(
-                    `
-                SELECT COUNT(*) as count
-                FROM exercises
-                WHERE ts_start <= $1 AND (ts_end IS NULL OR ts_end >= $1)
-            `,
-                    [now],
-                );
-
-                const flightCount = parseInt(flightResult.rows[0].count);
-                const shipCount = parseInt(shipResult.rows[0].count);
-                const notamCount = parseInt(notamResult.rows[0].count);
-                const exerciseCount = parseInt(exerciseResult.rows[0].count);
-
-                // Simple scoring algorithm (will be replaced with ML model in Phase 4)
-                // Based on historical averages and standard deviations
-                const baselineFlights = 50; // typical hourly flight count
-                const baselineShips = 20;
-                const baselineNotams = 10;
-                const baselineExercises = 2;
-
-                // Calculate z-scores and weighted sum
-                const flightScore = Math.max(
-                    0,
-                    ((flightCount - baselineFlights) / baselineFlights) * 100,
-                );
-                const shipScore = Math.max(
-                    0,
-                    ((shipCount - baselineShips) / baselineShips) * 100,
-                );
-                const notamScore = Math.max(
-                    0,
-                    ((notamCount - baselineNotams) / baselineNotams) * 100,
-                );
-                const exerciseScore = Math.max(
-                    0,
-                    ((exerciseCount - baselineExercises) / baselineExercises) *
-                        100,
-                );
-
-                // Weighted composite score
-                const compositeScore = Math.min(
-                    100,
-                    flightScore * 0.4 +
-                        shipScore * 0.2 +
-                        notamScore * 0.3 +
-                        exerciseScore * 0.1 +
-                        50, // baseline score
-                );
-
-                // Store the score
-                const hourTimestamp = new Date(
-                    Math.floor(now.getTime() / (60 * 60 * 1000)) *
-                        (60 * 60 * 1000),
-                );
-
-                await client.query(
-                    `
-                INSERT INTO tempo_scores (ts, score, drivers, flight_count, ship_count, notam_count, exercise_count)
-                VALUES ($1, $2, $3, $4, $5, $6, $7)
-                ON CONFLICT (ts) DO UPDATE SET
-                    score = EXCLUDED.score,
-                    drivers = EXCLUDED.drivers,
-                    flight_count = EXCLUDED.flight_count,
-                    ship_count = EXCLUDED.ship_count,
-                    notam_count = EXCLUDED.notam_count,
-                    exercise_count = EXCLUDED.exercise_count
-            `,
-                    [
-                        hourTimestamp,
-                        compositeScore.toFixed(2),
-                        JSON.stringify({
-                            flight_score: flightScore.toFixed(2),
-                            ship_score: shipScore.toFixed(2),
-                            notam_score: notamScore.toFixed(2),
-                            exercise_score: exerciseScore.toFixed(2),
-                        }),
-                        flightCount,
-                        shipCount,
-                        notamCount,
-                        exerciseCount,
-                    ],
+                const result = await tempoService.calculate(
+                    floorToHour(new Date()),
                 );
 
-                client.release();
-
                 return {
                     message: "Tempo score calculated successfully",
-                    timestamp: hourTimestamp.toISOString(),
-                    score: parseFloat(compositeScore.toFixed(2)),
-                    components: {
-                        flights: {
-                            count: flightCount,
-                            score: parseFloat(flightScore.toFixed(2)),
-                        },
-                        ships: {
-                            count: shipCount,
-                            score: parseFloat(shipScore.toFixed(2)),
-                        },
-                        notams: {
-                            count: notamCount,
-                            score: parseFloat(notamScore.toFixed(2)),
-                        },
-                        exercises: {
-                            count: exerciseCount,
-                            score: parseFloat(exerciseScore.toFixed(2)),
-                        },
-                    },
+                    ...result,
                 };
             } catch (error) {
                 fastify.log.error("Failed to calculate tempo score:", error);
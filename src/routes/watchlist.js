@@ -0,0 +1,241 @@
+//
+
+// Watchlist API routes for ForceFlow UK
+import {
+    WATCHLIST_FIELDS,
+    formatWatchlistEntry,
+    normalizeWatchValue,
+} from "../services/watchlist.js";
+
+const idParamsSchema = {
+    type: "object",
+    properties: {
+        id: { type: "string", format: "uuid" },
+    },
+    required: ["id"],
+};
+
+export default async function watchlistRoutes(fastify, options) {
+    const watchlistMonitor = options.watchlistMonitor || null;
+
+    // Have the monitor pick up a change; the change itself is already saved
+    async function refresh() {
+        if (!watchlistMonitor) return;
+        try {
+            await watchlistMonitor.reload();
+        } catch (error) {
+            fastify.log.error("Failed to reload watchlists:", error);
+        }
+    }
+
+    // List the current user's watchlist with when each entry was last seen
+    fastify.get(
+        "/",
+        {
+            preHandler: fastify.authenticate,
+        },
+        async (request, reply) => {
+            try {
+                const client = await fastify.pg.connect();
+
+                const result = await client.query(
+                    `
+                SELECT w.*, MAX(ws.last_seen_at) AS last_seen_at
+                FROM watchlist_entries w
+                LEFT JOIN watchlist_sightings ws ON ws.entry_id = w.id
+                WHERE w.user_id = $1
+                GROUP BY w.id
+                ORDER BY w.created_at DESC
+            `,
+                    [request.user.userId],
+                );
+
+                client.release();
+
+                return {
+                    data: result.rows.map(formatWatchlistEntry),
+                    metadata: { count: result.rows.length },
+                };
+            } catch (error) {
+                fastify.log.error("Failed to list watchlist:", error);
+                return reply.code(500).send({
+                    code: "ERR_DATABASE_QUERY",
+                    message: "Failed to retrieve watchlist",
+                });
+            }
+        },
+    );
+
+    // Watch an aircraft by ICAO24 address or callsign
+    fastify.post(
+        "/",
+        {
+            preHandler: fastify.authenticate,
+            schema: {
+                body: {
+                    type: "object",
+                    properties: {
+                        field: { type: "string", enum: WATCHLIST_FIELDS },
+                        value: { type: "string", minLength: 1, maxLength: 8 },
+                        label: { type: ["string", "null"], maxLength: 200 },
+                        active: { type: "boolean", default: true },
+                    },
+                    required: ["field", "value"],
+                },
+            },
+        },
+        async (request, reply) => {
+            const { field, label = null, active } = request.body;
+
+            const value = normalizeWatchValue(field, request.body.value);
+            if (!value) {
+                return reply.code(400).send({
+                    code: "ERR_INVALID_WATCHLIST_ENTRY",
+                    message:
+                        field === "icao24"
+                            ? "icao24 must be a 6-digit hex address"
+                            : "callsign must be 1 to 8 letters or digits",
+                });
+            }
+
+            try {
+                const client = await fastify.pg.connect();
+
+                const result = await client.query(
+                    `
+                INSERT INTO watchlist_entries (user_id, field, value, label, active)
+                VALUES ($1, $2, $3, $4, $5)
+                ON CONFLICT (user_id, field, value) DO NOTHING
+                RETURNING *
+            `,
+                    [request.user.userId, field, value, label, active],
+                );
+
+                client.release();
+
+                if (result.rows.length === 0) {
+                    return reply.code(409).send({
+                        code: "ERR_WATCHLIST_ENTRY_EXISTS",
+                        message: `${field} ${value} is already on your watchlist`,
+                    });
+                }
+
+                await refresh();
+
+                return reply.code(201).send({
+                    message: "Watchlist entry created successfully",
+                    entry: formatWatchlistEntry(result.rows[0]),
+                });
+            } catch (error) {
+                fastify.log.error("Failed to create watchlist entry:", error);
+                return reply.code(500).send({
+                    code: "ERR_WATCHLIST_CREATE_FAILED",
+                    message: "Failed to create watchlist entry",
+                });
+            }
+        },
+    );
+
+    // Update an entry's label or pause it (only supplied fields change)
+    fastify.put(
+        "/:id",
+        {
+            preHandler: fastify.authenticate,
+            schema: {
+                params: idParamsSchema,
+                body: {
+                    type: "object",
+                    properties: {
+                        label: { type: ["string", "null"], maxLength: 200 },
+                        active: { type: "boolean" },
+                    },
+                },
+            },
+        },
+        async (request, reply) => {
+            const body = request.body || {};
+
+            try {
+                const client = await fastify.pg.connect();
+
+                const result = await client.query(
+                    `
+                UPDATE watchlist_entries SET
+                    label = CASE WHEN $1 THEN $2 ELSE label END,
+                    active = COALESCE($3, active),
+                    updated_at = NOW()
+                WHERE id = $4 AND user_id = $5
+                RETURNING *
+            `,
+                    [
+                        body.label !== undefined,
+                        body.label ?? null,
+                        body.active ?? null,
+                        request.params.id,
+                        request.user.userId,
+                    ],
+                );
+
+                client.release();
+
+                if (result.rows.length === 0) {
+                    return reply.code(404).send({
+                        code: "ERR_NOT_FOUND",
+                        message: "Watchlist entry not found",
+                    });
+                }
+
+                await refresh();
+
+                return {
+                    message: "Watchlist entry updated successfully",
+                    entry: formatWatchlistEntry(result.rows[0]),
+                };
+            } catch (error) {
+                fastify.log.error("Failed to update watchlist entry:", error);
+                return reply.code(500).send({
+                    code: "ERR_WATCHLIST_UPDATE_FAILED",
+                    message: "Failed to update watchlist entry",
+                });
+            }
+        },
+    );
+
+    // Stop watching an aircraft
+    fastify.delete(
+        "/:id",
+        {
+            preHandler: fastify.authenticate,
+            schema: { params: idParamsSchema },
+        },
+        async (request, reply) => {
+            try {
+                const client = await fastify.pg.connect();
+
+                const result = await client.query(
+                    "DELETE FROM watchlist_entries WHERE id = $1 AND user_id = $2",
+                    [request.params.id, request.user.userId],
+                );
+
+                client.release();
+
+                if (result.rowCount === 0) {
+                    return reply.code(404).send({
+                        code: "ERR_NOT_FOUND",
+                        message: "Watchlist entry not found",
+                    });
+                }
+
+                await refresh();
+
+                return { message: "Watchlist entry deleted successfully" };
+            } catch (error) {
+                fastify.log.error("Failed to delete watchlist entry:", error);
+                return reply.code(500).send({
+                    code: "ERR_WATCHLIST_DELETE_FAILED",
+                    message: "Failed to delete watchlist entry",
+                });
+            }
+        },
+    );
+}
@@ -16,6 +16,18 @@ import flightRoutes from "./routes/flights.js";
 import authRoutes from "./routes/auth.js";
 import tempoRoutes from "./routes/tempo.js";
 import healthRoutes from "./routes/health.js";
+import geofenceRoutes from "./routes/geofences.js";
+import watchlistRoutes from "./routes/watchlist.js";
+import airfieldRoutes from "./routes/airfields.js";
+import eventRoutes from "./routes/events.js";
+import registryRoutes from "./routes/registry.js";
+import classificationRoutes from "./routes/classification.js";
+import streamRoutes from "./routes/stream.js";
+import { serializeRequest } from "./services/stream.js";
+import alertRoutes from "./routes/alerts.js";
+import exerciseRoutes from "./routes/exercises.js";
+import notamRoutes from "./routes/notams.js";
+import shipRoutes from "./routes/ships.js";
 
 dotenv.config();
 
@@ -33,6 +45,7 @@ const fastify = Fastify({
                       },
                   }
                 : undefined,
+        serializers: { req: serializeRequest },
     },
     trustProxy: true,
 });
@@ -184,6 +197,19 @@ async function registerRoutes() {
     // API routes (require authentication)
     await fastify.register(flightRoutes, { prefix: "/api/v1/flights" });
     await fastify.register(tempoRoutes, { prefix: "/api/v1/tempo" });
+    await fastify.register(shipRoutes, { prefix: "/api/v1/ships" });
+    await fastify.register(notamRoutes, { prefix: "/api/v1/notams" });
+    await fastify.register(exerciseRoutes, { prefix: "/api/v1/exercises" });
+    await fastify.register(alertRoutes, { prefix: "/api/v1/alerts" });
+    await fastify.register(streamRoutes, { prefix: "/api/v1/stream" });
+    await fastify.register(registryRoutes, { prefix: "/api/v1/registry" });
+    await fastify.register(eventRoutes, { prefix: "/api/v1/events" });
+    await fastify.register(airfieldRoutes, { prefix: "/api/v1/airfields" });
+    await fastify.register(geofenceRoutes, { prefix: "/api/v1/geofences" });
+    await fastify.register(watchlistRoutes, { prefix: "/api/v1/watchlist" });
+    await fastify.register(classificationRoutes, {
+        prefix: "/api/v1/classification",
+    });
 
     // Root route
     fastify.get("/", async (request, reply) => {
@@ -196,6 +222,16 @@ async function registerRoutes() {
                 health: "/health",
                 flights: "/api/v1/flights",
                 tempo: "/api/v1/tempo-index",
+                ships: "/api/v1/ships",
+                notams: "/api/v1/notams",
+                exercises: "/api/v1/exercises",
+                alerts: "/api/v1/alerts",
+                stream: "/api/v1/stream",
+                classification: "/api/v1/classification",
+                registry: "/api/v1/registry",
+                events: "/api/v1/events",
+                airfields: "/api/v1/airfields",
+                geofences: "/api/v1/geofences",
                 auth: "/api/v1/auth",
             },
         };
@@ -0,0 +1,149 @@
+import { distanceKm } from "./geography.js";
+
+// Military airfields in the UK area of interest (and USAF bases there).
+// Positions are aerodrome reference points to about 100 m.
+// prettier-ignore
+export const AIRFIELDS = [
+    { icao: "EGVN", name: "RAF Brize Norton", lat: 51.75, lon: -1.5836, operator: "RAF" },
+    { icao: "EGQS", name: "RAF Lossiemouth", lat: 57.7052, lon: -3.3392, operator: "RAF" },
+    { icao: "EGXC", name: "RAF Coningsby", lat: 53.093, lon: -0.166, operator: "RAF" },
+    { icao: "EGXW", name: "RAF Waddington", lat: 53.1662, lon: -0.5238, operator: "RAF" },
+    { icao: "EGYM", name: "RAF Marham", lat: 52.6484, lon: 0.5507, operator: "RAF" },
+    { icao: "EGWU", name: "RAF Northolt", lat: 51.553, lon: -0.4182, operator: "RAF" },
+    { icao: "EGXE", name: "RAF Leeming", lat: 54.2924, lon: -1.5354, operator: "RAF" },
+    { icao: "EGOV", name: "RAF Valley", lat: 53.2481, lon: -4.5353, operator: "RAF" },
+    { icao: "EGOQ", name: "RAF Mona", lat: 53.2586, lon: -4.3736, operator: "RAF" },
+    { icao: "EGYD", name: "RAF Cranwell", lat: 53.0303, lon: -0.4833, operator: "RAF" },
+    { icao: "EGXT", name: "RAF Wittering", lat: 52.6126, lon: -0.4765, operator: "RAF" },
+    { icao: "EGOS", name: "RAF Shawbury", lat: 52.7982, lon: -2.668, operator: "RAF" },
+    { icao: "EGWC", name: "RAF Cosford", lat: 52.6403, lon: -2.3056, operator: "RAF" },
+    { icao: "EGUB", name: "RAF Benson", lat: 51.6164, lon: -1.0958, operator: "RAF" },
+    { icao: "EGVO", name: "RAF Odiham", lat: 51.2341, lon: -0.9428, operator: "RAF" },
+    { icao: "EGUN", name: "RAF Mildenhall", lat: 52.3619, lon: 0.4864, operator: "USAF" },
+    { icao: "EGUL", name: "RAF Lakenheath", lat: 52.4093, lon: 0.561, operator: "USAF" },
+    { icao: "EGVA", name: "RAF Fairford", lat: 51.6822, lon: -1.79, operator: "USAF" },
+    { icao: "EGDY", name: "RNAS Yeovilton", lat: 51.0094, lon: -2.6388, operator: "Royal Navy" },
+    { icao: "EGDR", name: "RNAS Culdrose", lat: 50.0861, lon: -5.2558, operator: "Royal Navy" },
+    { icao: "EGVP", name: "AAC Middle Wallop", lat: 51.1394, lon: -1.5686, operator: "Army Air Corps" },
+    { icao: "EGUW", name: "Wattisham Flying Station", lat: 52.1273, lon: 0.9562, operator: "Army Air Corps" },
+    { icao: "EGDN", name: "Netheravon", lat: 51.2472, lon: -1.7542, operator: "Army Air Corps" },
+    { icao: "EGAA", name: "JHC Flying Station Aldergrove", lat: 54.6575, lon: -6.2158, operator: "Army Air Corps" },
+    { icao: "EGQL", name: "Leuchars Station", lat: 56.3729, lon: -2.8684, operator: "Army" },
+    { icao: "EGDM", name: "MoD Boscombe Down", lat: 51.1521, lon: -1.7474, operator: "MoD" },
+    { icao: "EGDX", name: "MoD St Athan", lat: 51.4048, lon: -3.4357, operator: "MoD" },
+    { icao: "EGNO", name: "BAE Warton", lat: 53.7451, lon: -2.8831, operator: "BAE Systems" },
+];
+
+// Closest airfield within `maxKm` of a point, or null
+export function nearestAirfield(lat, lon, maxKm = 10, airfields = AIRFIELDS) {
+    let nearest = null;
+    let nearestKm = maxKm;
+
+    for (const airfield of airfields) {
+        const km = distanceKm(lat, lon, airfield.lat, airfield.lon);
+        if (km <= nearestKm) {
+            nearest = { ...airfield, distanceKm: km };
+            nearestKm = km;
+        }
+    }
+
+    return nearest;
+}
+
+// Keeps the airfields table seeded from the bundled list above (rows edited
+// or added in the database are left alone) and resolves positions to the
+// airfield they are at
+class AirfieldService {
+    constructor(fastify) {
+        this.fastify = fastify;
+
+        // Used until the table has been loaded, or if it can't be
+        this.airfields = AIRFIELDS;
+        this.loaded = false;
+        this.lastError = null;
+
+        // Points further than this from an airfield aren't at it
+        this.radiusKm = parseFloat(process.env.AIRFIELD_RADIUS_KM || "10");
+        // Airborne points above this are overflying rather than arriving or
+        // departing
+        this.maxAltitude = parseInt(process.env.AIRFIELD_MAX_ALT_M || "600");
+    }
+
+    async seed() {
+        const result = await this.fastify.pg.query(
+            `
+            INSERT INTO airfields (icao, name, lat, lon, operator)
+            SELECT * FROM unnest($1::text[], $2::text[], $3::real[], $4::real[], $5::text[])
+            ON CONFLICT (icao) DO NOTHING
+        `,
+            [
+                AIRFIELDS.map((airfield) => airfield.icao),
+                AIRFIELDS.map((airfield) => airfield.name),
+                AIRFIELDS.map((airfield) => airfield.lat),
+                AIRFIELDS.map((airfield) => airfield.lon),
+                AIRFIELDS.map((airfield) => airfield.operator),
+            ],
+        );
+
+        return result.rowCount;
+    }
+
+    async reload() {
+        const result = await this.fastify.pg.query(
+            "SELECT icao, name, lat, lon, operator FROM airfields ORDER BY icao",
+        );
+
+        this.airfields = result.rows;
+        this.loaded = true;
+    }
+
+    // Airfield a point is at: on the ground, or low enough to be arriving
+    // or departing, within the radius
+    resolve(point) {
+        if (
+            !point.onGround &&
+            point.altitude !== null &&
+            point.altitude !== undefined &&
+            point.altitude > this.maxAltitude
+        ) {
+            return null;
+        }
+
+        return nearestAirfield(
+            point.lat,
+            point.lon,
+            this.radiusKm,
+            this.airfields,
+        );
+    }
+
+    async start() {
+        try {
+            const added = await this.seed();
+            await this.reload();
+            this.lastError = null;
+            this.fastify.log.info(
+                `Loaded ${this.airfields.length} airfields (${added} added from the bundled list)`,
+            );
+        } catch (error) {
+            this.lastError = error.message;
+            this.fastify.log.error(
+                "Failed to load airfields, using the bundled list:",
+                error,
+            );
+        }
+    }
+
+    getStatus() {
+        return {
+            service: "Airfields",
+            running: this.loaded,
+            airfields: this.airfields.length,
+            radiusKm: this.radiusKm,
+            maxAltitude: this.maxAltitude,
+            lastError: this.lastError,
+        };
+    }
+}
+
+export default AirfieldService;
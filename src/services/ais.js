@@ -0,0 +1,547 @@
+import fs from "fs";
+import readline from "readline";
+import dgram from "dgram";
+import net from "net";
+import cron from "node-cron";
+import { AivdmDecoder } from "./aivdm.js";
+
+// Time of a position report: the receiver time (tag block, else now) moved
+// to the UTC second the report carries, in the minute before if that second
+// is still to come
+export function reportTime(receivedAt, second) {
+    const ts = new Date(receivedAt);
+    ts.setUTCMilliseconds(0);
+
+    // 60-63 mean the second isn't available
+    if (second === null || second === undefined || second > 59) return ts;
+
+    if (second > ts.getUTCSeconds()) {
+        ts.setUTCMinutes(ts.getUTCMinutes() - 1);
+    }
+    ts.setUTCSeconds(second);
+    return ts;
+}
+
+class AisService {
+    constructor(fastify) {
+        this.fastify = fastify;
+
+        // Feed configuration: "file", "udp" or "tcp"
+        this.source = process.env.AIS_SOURCE || null;
+        this.filePath = process.env.AIS_FILE;
+        this.udpPort = parseInt(process.env.AIS_UDP_PORT || "10110");
+        this.tcpHost = process.env.AIS_TCP_HOST;
+        this.tcpPort = parseInt(process.env.AIS_TCP_PORT || "10110");
+
+        // Only persist vessels classified as naval unless told otherwise
+        this.navalOnly = process.env.AIS_NAVAL_ONLY !== "false";
+
+        // Static data is forgotten for vessels not heard from in this long
+        this.vesselTtlMs =
+            parseInt(process.env.AIS_VESSEL_TTL_HOURS || "24") * 60 * 60 * 1000;
+
+        this.decoder = new AivdmDecoder();
+        this.isRunning = false;
+        this.isFlushing = false;
+        this.lastRun = null;
+        this.socket = null;
+        this.reconnectTimer = null;
+        this.flushTask = null;
+
+        // Position reports since the last flush, keyed by MMSI and time
+        this.pendingPositions = new Map();
+        // Static/voyage data (type 5/24) keyed by MMSI
+        this.vessels = new Map();
+
+        this.stats = {
+            sentences: 0,
+            decoded: 0,
+            positions: 0,
+            staticReports: 0,
+            outOfBounds: 0,
+            stored: 0,
+            errors: 0,
+        };
+
+        this.ukBounds = {
+            lamin: 49.5,
+            lamax: 61.0,
+            lomin: -11.0,
+            lomax: 2.0,
+        };
+
+        // Vessel name prefixes used by naval and auxiliary fleets
+        this.navalNamePatterns = [
+            /^HMS\s/,
+            /^RFA\s/,
+            /^USS\s/,
+            /^USNS\s/,
+            /^HNLMS\s/,
+            /^HNOMS\s/,
+            /^HDMS\s/,
+            /^FGS\s/,
+            /^HSWMS\s/,
+            /^ITS\s/,
+            /^ESPS\s/,
+            /^NRP\s/,
+            /^BNS\s/,
+            /^FS\s/,
+            /^LE\s/,
+            /WARSHIP/,
+            /NAVY/,
+        ];
+
+        // US government vessel block; extend as other navies are identified
+        this.navalMmsiPatterns = [/^3669/];
+
+        // AIS ship type 35 = "engaged in military operations"
+        this.navalShipTypes = [35];
+
+        // Maritime Identification Digits (first 3 of MMSI) to ISO code
+        this.midCountryMap = {
+            205: "BE",
+            211: "DE",
+            218: "DE",
+            219: "DK",
+            220: "DK",
+            224: "ES",
+            225: "ES",
+            226: "FR",
+            227: "FR",
+            228: "FR",
+            230: "FI",
+            232: "GB",
+            233: "GB",
+            234: "GB",
+            235: "GB",
+            237: "GR",
+            239: "GR",
+            240: "GR",
+            241: "GR",
+            244: "NL",
+            245: "NL",
+            246: "NL",
+            247: "IT",
+            250: "IE",
+            257: "NO",
+            258: "NO",
+            259: "NO",
+            261: "PL",
+            263: "PT",
+            265: "SE",
+            266: "SE",
+            271: "TR",
+            273: "RU",
+            316: "CA",
+            338: "US",
+            366: "US",
+            367: "US",
+            368: "US",
+            369: "US",
+        };
+    }
+
+    getCountryCode(mmsi) {
+        return this.midCountryMap[mmsi.substring(0, 3)] || null;
+    }
+
+    isNavalVessel(mmsi, vessel = {}) {
+        if (this.navalMmsiPatterns.some((pattern) => pattern.test(mmsi))) {
+            return true;
+        }
+
+        if (vessel.shipType && this.navalShipTypes.includes(vessel.shipType)) {
+            return true;
+        }
+
+        if (vessel.name) {
+            const name = vessel.name.toUpperCase();
+            if (this.navalNamePatterns.some((pattern) => pattern.test(name))) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    isWithinBounds(lat, lon) {
+        return (
+            lat >= this.ukBounds.lamin &&
+            lat <= this.ukBounds.lamax &&
+            lon >= this.ukBounds.lomin &&
+            lon <= this.ukBounds.lomax
+        );
+    }
+
+    // Feed a raw line (or several, newline separated) from any source
+    handleData(data) {
+        for (const line of data.toString().split(/\r?\n/)) {
+            if (!line.trim()) continue;
+            this.stats.sentences++;
+
+            let message;
+            try {
+                message = this.decoder.decode(line);
+            } catch (error) {
+                this.stats.errors++;
+                continue;
+            }
+
+            if (!message) continue;
+            this.stats.decoded++;
+
+            if (message.kind === "static") {
+                this.handleStatic(message);
+            } else {
+                this.handlePosition(message);
+            }
+        }
+    }
+
+    handleStatic(message) {
+        this.stats.staticReports++;
+
+        const vessel = this.vessels.get(message.mmsi) || {};
+        for (const field of ["name", "callsign", "shipType"]) {
+            if (message[field] !== undefined && message[field] !== null) {
+                vessel[field] = message[field];
+            }
+        }
+        vessel.updatedAt = Date.now();
+        vessel.seenAt = vessel.updatedAt;
+
+        this.vessels.set(message.mmsi, vessel);
+    }
+
+    handlePosition(message) {
+        if (message.lat === null || message.lon === null) return;
+
+        if (!this.isWithinBounds(message.lat, message.lon)) {
+            this.stats.outOfBounds++;
+            return;
+        }
+
+        this.stats.positions++;
+
+        const vessel = this.vessels.get(message.mmsi);
+        if (vessel) vessel.seenAt = Date.now();
+
+        // AIS position reports only carry the UTC second; the rest of the
+        // time comes from the tag block when a recording has one
+        const ts = reportTime(message.receivedAt || new Date(), message.second);
+
+        this.pendingPositions.set(`${message.mmsi}:${ts.getTime()}`, {
+            ...message,
+            ts,
+        });
+    }
+
+    pruneVessels(now = Date.now()) {
+        for (const [mmsi, vessel] of this.vessels) {
+            if (now - vessel.seenAt > this.vesselTtlMs) {
+                this.vessels.delete(mmsi);
+            }
+        }
+    }
+
+    async processReports(reports) {
+        if (!reports || reports.length === 0) {
+            return;
+        }
+
+        const client = await this.fastify.pg.connect();
+        let processed = 0;
+        let navalCount = 0;
+        let errors = 0;
+
+        try {
+            for (const report of reports) {
+                try {
+                    await client.query("BEGIN");
+
+                    const vessel = this.vessels.get(report.mmsi) || {};
+                    let isNaval = this.isNavalVessel(report.mmsi, vessel);
+
+                    const existing = await client.query(
+                        "SELECT id, military FROM assets WHERE code = $1",
+                        [report.mmsi],
+                    );
+
+                    if (existing.rows.length > 0 && existing.rows[0].military) {
+                        isNaval = true;
+                    }
+
+                    if (this.navalOnly && !isNaval) {
+                        await client.query("ROLLBACK");
+                        continue;
+                    }
+
+                    if (isNaval) navalCount++;
+
+                    let assetId;
+                    if (existing.rows.length === 0) {
+                        const newAsset = await client.query(
+                            `
+                            INSERT INTO assets (type, code, callsign, name, country_code, ship_type, military)
+                            VALUES ('ship', $1, $2, $3, $4, $5, $6)
+                            RETURNING id
+                        `,
+                            [
+                                report.mmsi,
+                                vessel.callsign || null,
+                                vessel.name || null,
+                                this.getCountryCode(report.mmsi),
+                                vessel.shipType ?? null,
+                                isNaval,
+                            ],
+                        );
+                        assetId = newAsset.rows[0].id;
+                    } else {
+                        assetId = existing.rows[0].id;
+
+                        if (vessel.updatedAt) {
+                            await client.query(
+                                `
+                                UPDATE assets SET
+                                    callsign = COALESCE($1, callsign),
+                                    name = COALESCE($2, name),
+                                    ship_type = COALESCE($3, ship_type),
+                                    military = military OR $4,
+                                    updated_at = NOW()
+                                WHERE id = $5
+                            `,
+                                [
+                                    vessel.callsign || null,
+                                    vessel.name || null,
+                                    vessel.shipType ?? null,
+                                    isNaval,
+                                    assetId,
+                                ],
+                            );
+                        }
+                    }
+
+                    await client.query(
+                        `
+                        INSERT INTO ship_events
+                        (asset_id, ts, lat, lon, sog, cog, heading, nav_status)
+                        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                        ON CONFLICT (asset_id, ts) DO UPDATE SET
+                            lat = EXCLUDED.lat,
+                            lon = EXCLUDED.lon,
+                            sog = EXCLUDED.sog,
+                            cog = EXCLUDED.cog,
+                            heading = EXCLUDED.heading,
+                            nav_status = EXCLUDED.nav_status
+                    `,
+                        [
+                            assetId,
+                            report.ts,
+                            report.lat,
+                            report.lon,
+                            report.sog,
+                            report.cog,
+                            report.heading,
+                            report.navStatus,
+                        ],
+                    );
+
+                    await client.query("COMMIT");
+                    processed++;
+                } catch (reportError) {
+                    try {
+                        await client.query("ROLLBACK");
+                    } catch (rollbackError) {
+                        // Ignore rollback errors for already rolled back transactions
+                    }
+
+                    errors++;
+                    this.fastify.log.error(
+                        `Error processing vessel ${report.mmsi}: ${
+                            reportError.message || "Unknown error"
+                        } (Code: ${reportError.code || "N/A"})`,
+                    );
+                }
+            }
+
+            this.stats.stored += processed;
+            this.stats.errors += errors;
+
+            this.fastify.log.info(
+                `Processed ${processed} ship events (${navalCount} naval vessels, ${errors} errors) from ${reports.length} position reports`,
+            );
+        } finally {
+            client.release();
+        }
+    }
+
+    async flush() {
+        this.pruneVessels();
+
+        if (this.isFlushing || this.pendingPositions.size === 0) {
+            return;
+        }
+
+        this.isFlushing = true;
+
+        const reports = Array.from(this.pendingPositions.values());
+        this.pendingPositions.clear();
+
+        try {
+            await this.processReports(reports);
+            this.lastRun = new Date().toISOString();
+        } catch (error) {
+            this.fastify.log.error("AIS data ingestion failed:", error);
+        } finally {
+            this.isFlushing = false;
+        }
+    }
+
+    startFile() {
+        if (!this.filePath || !fs.existsSync(this.filePath)) {
+            this.fastify.log.error(`AIS file not found: ${this.filePath}`);
+            return;
+        }
+
+        const reader = readline.createInterface({
+            input: fs.createReadStream(this.filePath),
+            crlfDelay: Infinity,
+        });
+
+        reader.on("line", (line) => this.handleData(line));
+        reader.on("close", async () => {
+            this.fastify.log.info(`Finished reading AIS file ${this.filePath}`);
+            await this.flush();
+        });
+    }
+
+    startUdp() {
+        this.socket = dgram.createSocket("udp4");
+
+        this.socket.on("message", (message) => this.handleData(message));
+        this.socket.on("error", (error) => {
+            this.fastify.log.error("AIS UDP socket error:", error.message);
+        });
+
+        this.socket.bind(this.udpPort, () => {
+            this.fastify.log.info(
+                `Listening for AIS on UDP port ${this.udpPort}`,
+            );
+        });
+    }
+
+    startTcp() {
+        if (!this.tcpHost) {
+            this.fastify.log.error("AIS_TCP_HOST is not configured");
+            return;
+        }
+
+        let buffer = "";
+        this.socket = net.createConnection(
+            { host: this.tcpHost, port: this.tcpPort },
+            () => {
+                this.fastify.log.info(
+                    `Connected to AIS feed ${this.tcpHost}:${this.tcpPort}`,
+                );
+            },
+        );
+
+        this.socket.on("data", (chunk) => {
+            buffer += chunk.toString();
+            const lastNewline = buffer.lastIndexOf("\n");
+            if (lastNewline === -1) return;
+
+            this.handleData(buffer.slice(0, lastNewline));
+            buffer = buffer.slice(lastNewline + 1);
+        });
+
+        this.socket.on("error", (error) => {
+            this.fastify.log.error("AIS TCP feed error:", error.message);
+        });
+
+        this.socket.on("close", () => {
+            this.socket = null;
+            if (!this.isRunning) return;
+
+            this.fastify.log.warn("AIS TCP feed closed, reconnecting in 5s...");
+            this.reconnectTimer = setTimeout(() => this.startTcp(), 5000);
+        });
+    }
+
+    start() {
+        if (!this.source) {
+            this.fastify.log.warn(
+                "No AIS_SOURCE configured, AIS ingestion disabled",
+            );
+            return;
+        }
+
+        this.fastify.log.info(
+            `Starting AIS data ingestion service (${this.source})...`,
+        );
+        this.isRunning = true;
+
+        switch (this.source) {
+            case "file":
+                this.startFile();
+                break;
+            case "udp":
+                this.startUdp();
+                break;
+            case "tcp":
+                this.startTcp();
+                break;
+            default:
+                this.fastify.log.error(`Unknown AIS_SOURCE: ${this.source}`);
+                this.isRunning = false;
+                return;
+        }
+
+        this.flushTask = cron.schedule("*/30 * * * * *", async () => {
+            await this.flush();
+        });
+
+        this.fastify.log.info(
+            "AIS ingestion service started (flush every 30 seconds)",
+        );
+    }
+
+    stop() {
+        this.isRunning = false;
+
+        if (this.flushTask) {
+            this.flushTask.stop();
+            this.flushTask = null;
+        }
+
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+
+        if (this.socket) {
+            if (this.socket.destroy) this.socket.destroy();
+            else this.socket.close();
+            this.socket = null;
+        }
+
+        this.fastify.log.info("AIS ingestion service stopped");
+    }
+
+    getStatus() {
+        return {
+            service: "AIS",
+            running: this.isRunning,
+            configured: !!this.source,
+            source: this.source,
+            navalOnly: this.navalOnly,
+            lastRun: this.lastRun || null,
+            pendingPositions: this.pendingPositions.size,
+            knownVessels: this.vessels.size,
+            stats: this.stats,
+            bounds: this.ukBounds,
+        };
+    }
+}
+
+export default AisService;
@@ -0,0 +1,299 @@
+// AIVDM/AIVDO (NMEA 0183 AIS) sentence decoding for ForceFlow UK
+// Covers the message types we ingest: position reports 1/2/3 (Class A),
+// 18 (Class B) and static data 5 (Class A) / 24 (Class B).
+
+// Validate the NMEA checksum (XOR of everything between "!" and "*")
+export function validChecksum(sentence) {
+    const star = sentence.lastIndexOf("*");
+    if (star === -1) return true; // Some feeds strip checksums
+
+    const expected = parseInt(sentence.slice(star + 1, star + 3), 16);
+    let checksum = 0;
+    for (let i = 1; i < star; i++) {
+        checksum ^= sentence.charCodeAt(i);
+    }
+
+    return checksum === expected;
+}
+
+// Receiver time from an NMEA 4.10 tag block ("\c:1700000000,s:rx1*4A\"),
+// in seconds or milliseconds since the epoch; null if there isn't one
+export function tagBlockTime(prefix) {
+    const block = /\\([^\\]*)\\/.exec(prefix);
+    if (!block) return null;
+
+    const field = block[1]
+        .split("*")[0]
+        .split(",")
+        .find((entry) => entry.startsWith("c:"));
+    const value = field ? Number(field.slice(2)) : NaN;
+    if (!Number.isFinite(value) || value <= 0) return null;
+
+    return new Date(value > 1e11 ? value : value * 1000);
+}
+
+// Split a raw line into its NMEA fields. Lines may carry a tag block or
+// receiver prefix before the "!" so we start from the sentence marker.
+export function parseSentence(line) {
+    if (!line) return null;
+
+    const start = line.indexOf("!");
+    if (start === -1) return null;
+
+    const sentence = line.slice(start).trim();
+    if (!/^!(AI|BS|AB)VD[MO],/.test(sentence)) return null;
+    if (!validChecksum(sentence)) return null;
+
+    const body = sentence.split("*")[0];
+    const fields = body.split(",");
+    if (fields.length < 7) return null;
+
+    return {
+        fragmentCount: parseInt(fields[1]),
+        fragmentNumber: parseInt(fields[2]),
+        messageId: fields[3] || null,
+        channel: fields[4] || null,
+        payload: fields[5],
+        fillBits: parseInt(fields[6]) || 0,
+        receivedAt: tagBlockTime(line.slice(0, start)),
+    };
+}
+
+// Convert the 6-bit armoured payload into a bit string
+export function payloadToBits(payload, fillBits = 0) {
+    let bits = "";
+    for (const char of payload) {
+        let value = char.charCodeAt(0) - 48;
+        if (value > 40) value -= 8;
+        bits += value.toString(2).padStart(6, "0");
+    }
+
+    return fillBits > 0 ? bits.slice(0, bits.length - fillBits) : bits;
+}
+
+function unsigned(bits, start, length) {
+    const slice = bits.slice(start, start + length);
+    if (slice.length < length) return null;
+    return parseInt(slice, 2);
+}
+
+function signed(bits, start, length) {
+    const value = unsigned(bits, start, length);
+    if (value === null) return null;
+    return bits[start] === "1" ? value - 2 ** length : value;
+}
+
+// 6-bit ASCII text fields, padded with "@" and trailing spaces
+function text(bits, start, length) {
+    let result = "";
+    for (
+        let i = start;
+        i + 6 <= start + length && i + 6 <= bits.length;
+        i += 6
+    ) {
+        const value = parseInt(bits.slice(i, i + 6), 2);
+        result += String.fromCharCode(value < 32 ? value + 64 : value);
+    }
+
+    const trimmed = result.replace(/@.*$/, "").trim();
+    return trimmed || null;
+}
+
+function coordinate(raw, unavailable) {
+    if (raw === null) return null;
+    const value = raw / 600000;
+    return value === unavailable ? null : value;
+}
+
+function speed(raw) {
+    return raw === null || raw === 1023 ? null : raw / 10;
+}
+
+function course(raw) {
+    return raw === null || raw >= 3600 ? null : raw / 10;
+}
+
+function heading(raw) {
+    return raw === null || raw === 511 ? null : raw;
+}
+
+function decodePositionA(bits) {
+    return {
+        kind: "position",
+        navStatus: unsigned(bits, 38, 4),
+        sog: speed(unsigned(bits, 50, 10)),
+        lon: coordinate(signed(bits, 61, 28), 181),
+        lat: coordinate(signed(bits, 89, 27), 91),
+        cog: course(unsigned(bits, 116, 12)),
+        heading: heading(unsigned(bits, 128, 9)),
+        second: unsigned(bits, 137, 6),
+    };
+}
+
+function decodePositionB(bits) {
+    return {
+        kind: "position",
+        navStatus: null, // Class B units do not report navigational status
+        sog: speed(unsigned(bits, 46, 10)),
+        lon: coordinate(signed(bits, 57, 28), 181),
+        lat: coordinate(signed(bits, 85, 27), 91),
+        cog: course(unsigned(bits, 112, 12)),
+        heading: heading(unsigned(bits, 124, 9)),
+        second: unsigned(bits, 133, 6),
+    };
+}
+
+function decodeStaticA(bits) {
+    return {
+        kind: "static",
+        imo: unsigned(bits, 40, 30) || null,
+        callsign: text(bits, 70, 42),
+        name: text(bits, 112, 120),
+        shipType: unsigned(bits, 232, 8),
+        destination: text(bits, 302, 120),
+    };
+}
+
+function decodeStaticB(bits) {
+    const part = unsigned(bits, 38, 2);
+
+    if (part === 0) {
+        return { kind: "static", part: "A", name: text(bits, 40, 120) };
+    }
+
+    if (part === 1) {
+        return {
+            kind: "static",
+            part: "B",
+            shipType: unsigned(bits, 40, 8),
+            callsign: text(bits, 90, 42),
+        };
+    }
+
+    return null;
+}
+
+// Decode a complete (reassembled) payload into a message object
+export function decodePayload(payload, fillBits = 0) {
+    const bits = payloadToBits(payload, fillBits);
+    const type = unsigned(bits, 0, 6);
+    const mmsi = unsigned(bits, 8, 30);
+
+    if (type === null || mmsi === null) return null;
+
+    let message = null;
+    switch (type) {
+        case 1:
+        case 2:
+        case 3:
+            if (bits.length < 168) return null;
+            message = decodePositionA(bits);
+            break;
+        case 18:
+            if (bits.length < 168) return null;
+            message = decodePositionB(bits);
+            break;
+        case 5:
+            if (bits.length < 420) return null;
+            message = decodeStaticA(bits);
+            break;
+        case 24:
+            message = decodeStaticB(bits);
+            break;
+        default:
+            return null;
+    }
+
+    if (!message) return null;
+
+    return {
+        type,
+        mmsi: String(mmsi).padStart(9, "0"),
+        ...message,
+    };
+}
+
+// Decoded message with the receiver time from the sentence's tag block, when
+// it has one
+function withReceivedAt(message, receivedAt) {
+    if (!message || !receivedAt) return message;
+    return { ...message, receivedAt };
+}
+
+// Reassembles multi-fragment sentences (type 5 spans two) and decodes them
+export class AivdmDecoder {
+    constructor({ fragmentTimeoutMs = 10000 } = {}) {
+        this.fragmentTimeoutMs = fragmentTimeoutMs;
+        this.pending = new Map();
+    }
+
+    decode(line) {
+        const sentence = parseSentence(line);
+        if (!sentence) return null;
+
+        if (sentence.fragmentCount === 1) {
+            return withReceivedAt(
+                decodePayload(sentence.payload, sentence.fillBits),
+                sentence.receivedAt,
+            );
+        }
+
+        const key = `${sentence.messageId}:${sentence.channel}`;
+        const now = Date.now();
+
+        // Drop stale partial messages so a lost fragment can't wedge a slot
+        for (const [pendingKey, entry] of this.pending) {
+            if (now - entry.receivedAt > this.fragmentTimeoutMs) {
+                this.pending.delete(pendingKey);
+            }
+        }
+
+        if (sentence.fragmentNumber === 1) {
+            this.pending.set(key, {
+                receivedAt: now,
+                count: sentence.fragmentCount,
+                payloads: [sentence.payload],
+                sentAt: sentence.receivedAt,
+            });
+            return null;
+        }
+
+        const entry = this.pending.get(key);
+        if (!entry || entry.payloads.length !== sentence.fragmentNumber - 1) {
+            this.pending.delete(key);
+            return null;
+        }
+
+        entry.payloads.push(sentence.payload);
+
+        if (entry.payloads.length < entry.count) {
+            return null;
+        }
+
+        this.pending.delete(key);
+        return withReceivedAt(
+            decodePayload(entry.payloads.join(""), sentence.fillBits),
+            entry.sentAt || sentence.receivedAt,
+        );
+    }
+}
+
+// Human-readable navigational status (ITU-R M.1371 table 7)
+export const NAV_STATUS = {
+    0: "under_way_using_engine",
+    1: "at_anchor",
+    2: "not_under_command",
+    3: "restricted_manoeuvrability",
+    4: "constrained_by_draught",
+    5: "moored",
+    6: "aground",
+    7: "engaged_in_fishing",
+    8: "under_way_sailing",
+    9: "reserved_hsc",
+    10: "reserved_wig",
+    11: "power_driven_towing_astern",
+    12: "power_driven_pushing_ahead",
+    13: "reserved",
+    14: "ais_sart_active",
+    15: "not_defined",
+};
@@ -0,0 +1,591 @@
+import crypto from "crypto";
+import dns from "dns";
+import net from "net";
+import axios from "axios";
+import cron from "node-cron";
+
+// Loopback, private, link-local, multicast and reserved ranges. IPv4-mapped
+// IPv6 addresses are checked against the IPv4 ranges.
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+    ["0.0.0.0", 8],
+    ["10.0.0.0", 8],
+    ["100.64.0.0", 10],
+    ["127.0.0.0", 8],
+    ["169.254.0.0", 16],
+    ["172.16.0.0", 12],
+    ["192.0.0.0", 24],
+    ["192.168.0.0", 16],
+    ["198.18.0.0", 15],
+    ["224.0.0.0", 3],
+]) {
+    NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+    ["::", 127],
+    ["fc00::", 7],
+    ["fe80::", 10],
+    ["ff00::", 8],
+]) {
+    NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, "ipv6");
+}
+
+export function isPublicAddress(address) {
+    const family = net.isIP(address);
+    if (family === 0) return false;
+    return !NON_PUBLIC_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+// dns.lookup that fails for non-public addresses, so a webhook host can't be
+// pointed at an internal address after its URL was checked
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) return callback(error);
+
+        const addresses = Array.isArray(address)
+            ? address.map((entry) => entry.address)
+            : [address];
+        const blocked = addresses.find((entry) => !isPublicAddress(entry));
+        if (blocked) {
+            return callback(
+                new Error(`${hostname} resolves to non-public ${blocked}`),
+            );
+        }
+
+        callback(null, address, family);
+    });
+}
+
+// Why a webhook URL can't be delivered to, or null. Webhooks must use HTTPS
+// and resolve only to public addresses, so subscribers can't have the
+// server post to hosts on its own network.
+export async function webhookUrlProblem(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return "webhook_url must be a valid URL";
+    }
+
+    if (parsed.protocol !== "https:") {
+        return "webhook_url must use https";
+    }
+
+    const host = parsed.hostname.replace(/^\[|\]$/g, "");
+    let addresses = [host];
+    if (net.isIP(host) === 0) {
+        if (host === "localhost" || host.endsWith(".localhost")) {
+            return "webhook_url must not point at a loopback, private or link-local address";
+        }
+        try {
+            addresses = (await dns.promises.lookup(host, { all: true })).map(
+                (entry) => entry.address,
+            );
+        } catch (error) {
+            return `webhook_url host ${host} could not be resolved`;
+        }
+    }
+
+    if (!addresses.every(isPublicAddress)) {
+        return "webhook_url must not point at a loopback, private or link-local address";
+    }
+
+    return null;
+}
+
+// Sign "<timestamp>.<body>" so receivers can reject replayed deliveries
+export function signPayload(secret, timestamp, body) {
+    return crypto
+        .createHmac("sha256", secret)
+        .update(`${timestamp}.${body}`)
+        .digest("hex");
+}
+
+class AlertDispatcher {
+    constructor(fastify) {
+        this.fastify = fastify;
+        this.task = null;
+        this.isProcessing = false;
+        this.lastRun = null;
+        this.inFlight = new Set();
+
+        this.maxAttempts = parseInt(process.env.ALERT_MAX_ATTEMPTS || "6");
+        this.retryBaseMs = parseInt(process.env.ALERT_RETRY_BASE_MS || "30000");
+        this.retryMaxMs = 60 * 60 * 1000;
+        this.defaultSecret = process.env.ALERT_WEBHOOK_SECRET || null;
+
+        this.stats = {
+            delivered: 0,
+            retried: 0,
+            deferred: 0,
+            failed: 0,
+            deduplicated: 0,
+        };
+
+        // Delivery channels; each decides whether a subscription wants it.
+        // A channel may throw an error carrying `deferUntil` to postpone a
+        // delivery (e.g. rate limiting) without using up an attempt, or
+        // `permanent` to fail it without retrying.
+        this.channels = {
+            webhook: {
+                enabled: (subscription) => !!subscription.webhook_url,
+                send: (subscription, delivery) =>
+                    this.sendWebhook(subscription, delivery),
+            },
+        };
+    }
+
+    registerChannel(name, channel) {
+        this.channels[name] = channel;
+    }
+
+    async sendWebhook(subscription, delivery) {
+        const problem = await webhookUrlProblem(subscription.webhook_url);
+        if (problem) throw new Error(problem);
+
+        // Receivers rely on the signature, so never post unsigned
+        const secret = subscription.webhook_secret || this.defaultSecret;
+        if (!secret) {
+            const error = new Error(
+                "Subscription has no webhook_secret and ALERT_WEBHOOK_SECRET is not set",
+            );
+            error.permanent = true;
+            throw error;
+        }
+
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+
+        const headers = {
+            "Content-Type": "application/json",
+            "User-Agent": "ForceFlow-UK/1.0",
+            "X-ForceFlow-Event": delivery.event_type,
+            "X-ForceFlow-Delivery": delivery.id,
+            "X-ForceFlow-Timestamp": timestamp,
+            "X-ForceFlow-Signature": `sha256=${signPayload(
+                secret,
+                timestamp,
+                body,
+            )}`,
+        };
+
+        const response = await axios.post(subscription.webhook_url, body, {
+            headers,
+            timeout: 10000,
+            maxRedirects: 0,
+            lookup: publicLookup,
+        });
+
+        return { status: response.status };
+    }
+
+    // Exponential backoff with +/-20% jitter, capped at an hour
+    retryDelay(attempts) {
+        const base = Math.min(
+            this.retryMaxMs,
+            this.retryBaseMs * 2 ** (attempts - 1),
+        );
+        const jitter = base * 0.2 * (Math.random() * 2 - 1);
+        return Math.round(base + jitter);
+    }
+
+    async attempt(delivery, subscription) {
+        if (this.inFlight.has(delivery.id)) return;
+        this.inFlight.add(delivery.id);
+
+        const channel = this.channels[delivery.channel];
+        const attempts = delivery.attempts + 1;
+
+        try {
+            if (!channel) {
+                throw new Error(`Unknown alert channel ${delivery.channel}`);
+            }
+
+            const result = await channel.send(subscription, delivery);
+
+            await this.fastify.pg.query(
+                `
+                UPDATE alert_deliveries SET
+                    status = 'delivered',
+                    attempts = $1,
+                    response_status = $2,
+                    last_error = NULL,
+                    delivered_at = NOW()
+                WHERE id = $3 AND status <> 'delivered'
+            `,
+                [attempts, result?.status ?? null, delivery.id],
+            );
+
+            this.stats.delivered++;
+        } catch (error) {
+            if (error.deferUntil) {
+                await this.fastify.pg.query(
+                    `
+                    UPDATE alert_deliveries SET
+                        status = 'retrying',
+                        last_error = $1,
+                        next_attempt_at = $2
+                    WHERE id = $3
+                `,
+                    [
+                        error.message.substring(0, 500),
+                        error.deferUntil,
+                        delivery.id,
+                    ],
+                );
+
+                this.stats.deferred++;
+                this.fastify.log.info(
+                    `Alert delivery ${delivery.id} (${delivery.channel}) deferred until ${error.deferUntil.toISOString()}: ${error.message}`,
+                );
+                return;
+            }
+
+            const finalAttempt =
+                error.permanent || attempts >= this.maxAttempts;
+            const nextAttempt = finalAttempt
+                ? null
+                : new Date(Date.now() + this.retryDelay(attempts));
+
+            await this.fastify.pg.query(
+                `
+                UPDATE alert_deliveries SET
+                    status = $1,
+                    attempts = $2,
+                    response_status = $3,
+                    last_error = $4,
+                    next_attempt_at = $5
+                WHERE id = $6
+            `,
+                [
+                    finalAttempt ? "failed" : "retrying",
+                    attempts,
+                    error.response?.status ?? null,
+                    error.message.substring(0, 500),
+                    nextAttempt,
+                    delivery.id,
+                ],
+            );
+
+            if (finalAttempt) {
+                this.stats.failed++;
+                this.fastify.log.error(
+                    `Alert delivery ${delivery.id} (${delivery.channel}) failed after ${attempts} attempts: ${error.message}`,
+                );
+            } else {
+                this.stats.retried++;
+                this.fastify.log.warn(
+                    `Alert delivery ${delivery.id} (${delivery.channel}) attempt ${attempts} failed, retrying at ${nextAttempt.toISOString()}`,
+                );
+            }
+        } finally {
+            this.inFlight.delete(delivery.id);
+        }
+    }
+
+    // Record one delivery per subscription/channel and attempt it. The
+    // unique (subscription, channel, event_key) constraint deduplicates.
+    async notify(eventType, eventKey, data, subscriptions) {
+        const deliveries = [];
+
+        for (const subscription of subscriptions) {
+            for (const [name, channel] of Object.entries(this.channels)) {
+                if (!channel.enabled(subscription)) continue;
+
+                const payload = {
+                    event: eventType,
+                    created_at: new Date().toISOString(),
+                    subscription_id: subscription.id,
+                    data,
+                };
+
+                const result = await this.fastify.pg.query(
+                    `
+                    INSERT INTO alert_deliveries
+                    (subscription_id, channel, event_type, event_key, payload)
+                    VALUES ($1, $2, $3, $4, $5)
+                    ON CONFLICT ON CONSTRAINT unique_alert_delivery DO NOTHING
+                    RETURNING *
+                `,
+                    [
+                        subscription.id,
+                        name,
+                        eventType,
+                        eventKey,
+                        JSON.stringify(payload),
+                    ],
+                );
+
+                if (result.rows.length === 0) {
+                    this.stats.deduplicated++;
+                    continue;
+                }
+
+                const delivery = result.rows[0];
+                delivery.payload = { id: delivery.id, ...payload };
+                deliveries.push({ delivery, subscription });
+            }
+        }
+
+        await Promise.all(
+            deliveries.map(({ delivery, subscription }) =>
+                this.attempt(delivery, subscription),
+            ),
+        );
+
+        return deliveries.length;
+    }
+
+    // Fire for subscribers whose threshold the new score has just reached
+    async handleTempoScore({ timestamp, score, previousScore }) {
+        const result = await this.fastify.pg.query(
+            `
+            SELECT s.*, u.email
+            FROM alert_subscriptions s
+            JOIN users u ON s.user_id = u.id
+            WHERE s.active = true
+              AND s.threshold <= $1
+              AND ($2::numeric IS NULL OR s.threshold > $2::numeric)
+        `,
+            [score, previousScore ?? null],
+        );
+
+        if (result.rows.length === 0) return 0;
+
+        const sent = await this.notify(
+            "tempo.threshold_crossed",
+            `tempo:${timestamp}`,
+            { timestamp, score, previousScore: previousScore ?? null },
+            result.rows,
+        );
+
+        this.fastify.log.info(
+            `Tempo score ${score} crossed ${result.rows.length} subscription thresholds (${sent} deliveries)`,
+        );
+
+        return sent;
+    }
+
+    // Fire for subscribers who opted in to this type of flight event
+    async handleFlightEvent(event) {
+        const result = await this.fastify.pg.query(
+            `
+            SELECT s.*, u.email
+            FROM alert_subscriptions s
+            JOIN users u ON s.user_id = u.id
+            WHERE s.active = true
+              AND $1 = ANY(s.event_types)
+        `,
+            [event.type],
+        );
+
+        if (result.rows.length === 0) return 0;
+
+        const sent = await this.notify(
+            `event.${event.type}`,
+            `event:${event.id}`,
+            {
+                id: event.id,
+                type: event.type,
+                severity: event.severity,
+                summary: event.summary,
+                timestamp: event.ts,
+                asset: {
+                    code: event.icao24,
+                    type: "aircraft",
+                    callsign: event.callsign,
+                    countryCode: event.country_code,
+                    lat: event.lat,
+                    lon: event.lon,
+                    altitude: event.altitude,
+                },
+                details: event.details,
+            },
+            result.rows,
+        );
+
+        this.fastify.log.info(
+            `Flight event ${event.type} for ${event.icao24} matched ${result.rows.length} subscriptions (${sent} deliveries)`,
+        );
+
+        return sent;
+    }
+
+    // Fire for the geofence owner's subscriptions that opted in to entries
+    // or exits
+    async handleGeofenceEvent({ event, geofence }) {
+        const eventType = `geofence_${event.type}`;
+        const result = await this.fastify.pg.query(
+            `
+            SELECT s.*, u.email
+            FROM alert_subscriptions s
+            JOIN users u ON s.user_id = u.id
+            WHERE s.active = true
+              AND s.user_id = $1
+              AND $2 = ANY(s.event_types)
+        `,
+            [geofence.user_id, eventType],
+        );
+
+        if (result.rows.length === 0) return 0;
+
+        const sent = await this.notify(
+            `geofence.${event.type}`,
+            `geofence:${event.id}`,
+            {
+                id: event.id,
+                type: event.type,
+                timestamp: event.ts,
+                geofence: {
+                    id: geofence.id,
+                    name: geofence.name,
+                },
+                asset: {
+                    code: event.icao24,
+                    type: "aircraft",
+                    callsign: event.callsign,
+                    lat: event.lat,
+                    lon: event.lon,
+                    altitude: event.altitude,
+                },
+            },
+            result.rows,
+        );
+
+        this.fastify.log.info(
+            `Geofence ${event.type} for ${event.icao24} at ${geofence.name} matched ${result.rows.length} subscriptions (${sent} deliveries)`,
+        );
+
+        return sent;
+    }
+
+    // Fire for the watchlist owner's subscriptions that opted in to hits
+    async handleWatchlistHit({ entry, position }) {
+        const result = await this.fastify.pg.query(
+            `
+            SELECT s.*, u.email
+            FROM alert_subscriptions s
+            JOIN users u ON s.user_id = u.id
+            WHERE s.active = true
+              AND s.user_id = $1
+              AND 'watchlist_hit' = ANY(s.event_types)
+        `,
+            [entry.user_id],
+        );
+
+        if (result.rows.length === 0) return 0;
+
+        const sent = await this.notify(
+            "watchlist.hit",
+            `watchlist:${entry.id}:${position.icao24}:${Math.floor(Date.parse(position.ts) / 1000)}`,
+            {
+                timestamp: position.ts,
+                watchlist: entry.label,
+                reason: `${entry.field === "icao24" ? "ICAO24" : "Callsign"} ${entry.value}`,
+                entry: {
+                    id: entry.id,
+                    field: entry.field,
+                    value: entry.value,
+                },
+                asset: {
+                    code: position.icao24,
+                    type: "aircraft",
+                    callsign: position.callsign,
+                    lat: position.lat,
+                    lon: position.lon,
+                    altitude: position.altitude,
+                },
+            },
+            result.rows,
+        );
+
+        this.fastify.log.info(
+            `Watchlist hit for ${position.icao24} on ${entry.field} ${entry.value} matched ${result.rows.length} subscriptions (${sent} deliveries)`,
+        );
+
+        return sent;
+    }
+
+    // Retry deliveries whose backoff has elapsed
+    async processDue() {
+        if (this.isProcessing) return;
+        this.isProcessing = true;
+
+        try {
+            const result = await this.fastify.pg.query(`
+                SELECT
+                    d.*,
+                    s.user_id, s.webhook_url, s.webhook_secret,
+                    s.email_enabled, s.threshold, s.active, u.email
+                FROM alert_deliveries d
+                JOIN alert_subscriptions s ON d.subscription_id = s.id
+                JOIN users u ON s.user_id = u.id
+                WHERE d.status IN ('pending', 'retrying')
+                  AND s.active = true
+                  AND d.next_attempt_at <= NOW()
+                ORDER BY d.next_attempt_at ASC
+                LIMIT 50
+            `);
+
+            for (const row of result.rows) {
+                const subscription = {
+                    id: row.subscription_id,
+                    user_id: row.user_id,
+                    webhook_url: row.webhook_url,
+                    webhook_secret: row.webhook_secret,
+                    email_enabled: row.email_enabled,
+                    threshold: row.threshold,
+                    active: row.active,
+                    email: row.email,
+                };
+                const payload = { id: row.id, ...row.payload };
+
+                await this.attempt({ ...row, payload }, subscription);
+            }
+
+            this.lastRun = new Date().toISOString();
+        } catch (error) {
+            this.fastify.log.error("Alert retry processing failed:", error);
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    start() {
+        this.fastify.log.info("Starting alert dispatcher...");
+
+        this.task = cron.schedule("* * * * *", async () => {
+            await this.processDue();
+        });
+
+        this.fastify.log.info(
+            "Alert dispatcher started (retries every minute)",
+        );
+    }
+
+    stop() {
+        if (this.task) {
+            this.task.stop();
+            this.task = null;
+        }
+        this.fastify.log.info("Alert dispatcher stopped");
+    }
+
+    getStatus() {
+        return {
+            service: "Alert Dispatcher",
+            running: !!this.task,
+            channels: Object.fromEntries(
+                Object.entries(this.channels).map(([name, channel]) => [
+                    name,
+                    channel.getStatus ? channel.getStatus() : { enabled: true },
+                ]),
+            ),
+            lastRun: this.lastRun || null,
+            maxAttempts: this.maxAttempts,
+            stats: this.stats,
+        };
+    }
+}
+
+export default AlertDispatcher;
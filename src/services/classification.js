@@ -0,0 +1,214 @@
+import cron from "node-cron";
+import { lookupMilitaryBlock, militaryRanges } from "./icao24.js";
+
+// Asset column each rule field is matched against in SQL
+const SQL_FIELDS = {
+    icao24: "code",
+    callsign: "callsign",
+};
+
+function compileRule(row) {
+    const regex = new RegExp(row.pattern, "i");
+
+    return {
+        id: row.id,
+        name: row.name,
+        field: row.field,
+        action: row.action,
+        priority: row.priority,
+        countryCode: row.country_code ? row.country_code.trim() : null,
+        pattern: row.pattern,
+        regex,
+        // military_block rules match the block's country (e.g. "^(GB|NATO)$")
+        ranges:
+            row.field === "military_block"
+                ? militaryRanges((country) => regex.test(country))
+                : null,
+    };
+}
+
+// Loads military classification rules from the database and applies them
+// both to incoming OpenSky states and, as SQL, to flight queries. Rules are
+// reloaded after every change made through the API and polled each minute
+// so edits made elsewhere are picked up without a restart.
+class ClassificationService {
+    constructor(fastify) {
+        this.fastify = fastify;
+        this.rules = [];
+        this.loaded = false;
+        this.signature = null;
+        this.lastReload = null;
+        this.lastError = null;
+        this.task = null;
+    }
+
+    async reload() {
+        try {
+            const result = await this.fastify.pg.query(`
+                SELECT *
+                FROM classification_rules
+                WHERE enabled = true
+                ORDER BY priority DESC, created_at ASC
+            `);
+
+            const rules = [];
+            for (const row of result.rows) {
+                try {
+                    rules.push(compileRule(row));
+                } catch (error) {
+                    this.fastify.log.warn(
+                        `Skipping classification rule "${row.name}": ${error.message}`,
+                    );
+                }
+            }
+
+            this.rules = rules;
+            this.loaded = true;
+            this.lastReload = new Date().toISOString();
+            this.lastError = null;
+            this.signature = await this.currentSignature();
+
+            this.fastify.log.info(
+                `Loaded ${rules.length} military classification rules`,
+            );
+        } catch (error) {
+            // Keep classifying with the last good rule set
+            this.lastError = error.message;
+            this.fastify.log.error(
+                "Failed to load classification rules:",
+                error,
+            );
+        }
+
+        return this.rules.length;
+    }
+
+    // Retries a failed load; throws rather than let callers classify every
+    // aircraft as non-military with no rules
+    async ensureLoaded() {
+        if (!this.loaded) {
+            await this.reload();
+        }
+        if (!this.loaded) {
+            throw new Error(
+                `Classification rules are not loaded: ${this.lastError}`,
+            );
+        }
+    }
+
+    async currentSignature() {
+        const result = await this.fastify.pg.query(`
+            SELECT COUNT(*) as count, MAX(updated_at) as updated
+            FROM classification_rules
+        `);
+        const { count, updated } = result.rows[0];
+        return `${count}:${updated ? new Date(updated).getTime() : 0}`;
+    }
+
+    async reloadIfChanged() {
+        try {
+            if ((await this.currentSignature()) !== this.signature) {
+                await this.reload();
+            }
+        } catch (error) {
+            this.lastError = error.message;
+            this.fastify.log.error(
+                "Failed to check classification rules:",
+                error,
+            );
+        }
+    }
+
+    // First matching rule (by priority) decides; no match is not military
+    classify({ icao24, callsign, countryCode }) {
+        const values = {
+            icao24: icao24 ? icao24.trim() : "",
+            callsign: callsign ? callsign.trim() : "",
+            military_block: lookupMilitaryBlock(icao24)?.country || "",
+        };
+
+        for (const rule of this.rules) {
+            if (rule.countryCode && rule.countryCode !== countryCode) continue;
+            if (!values[rule.field] || !rule.regex.test(values[rule.field])) {
+                continue;
+            }
+
+            return {
+                military: rule.action === "include",
+                rule: { id: rule.id, name: rule.name, action: rule.action },
+            };
+        }
+
+        return { military: false, rule: null };
+    }
+
+    isMilitary(icao24, callsign, countryCode) {
+        return this.classify({ icao24, callsign, countryCode }).military;
+    }
+
+    // SQL boolean expression equivalent to classify() for an assets alias.
+    // Pattern/country values are appended to `params` as placeholders.
+    sqlCondition(alias, params) {
+        if (this.rules.length === 0) return "false";
+
+        const cases = this.rules.map((rule) => {
+            let match;
+            if (rule.field === "military_block") {
+                match = this.sqlRanges(`${alias}.code`, rule.ranges);
+            } else {
+                params.push(rule.pattern);
+                match = `${alias}.${SQL_FIELDS[rule.field]} ~* $${params.length}`;
+            }
+
+            if (rule.countryCode) {
+                params.push(rule.countryCode);
+                match += ` AND ${alias}.country_code = $${params.length}`;
+            }
+
+            return `WHEN ${match} THEN ${rule.action === "include"}`;
+        });
+
+        return `(CASE ${cases.join(" ")} ELSE false END)`;
+    }
+
+    // Numeric ICAO24 range test; codes that aren't 6 hex digits never match
+    sqlRanges(column, ranges) {
+        if (ranges.length === 0) return "false";
+
+        const between = ranges
+            .map(
+                ([start, end]) =>
+                    `('x' || ${column})::bit(24)::int BETWEEN ${start} AND ${end}`,
+            )
+            .join(" OR ");
+
+        return `(CASE WHEN ${column} ~* '^[0-9A-F]{6}$' THEN (${between}) ELSE false END)`;
+    }
+
+    start() {
+        this.reload();
+
+        this.task = cron.schedule("* * * * *", async () => {
+            await this.reloadIfChanged();
+        });
+    }
+
+    stop() {
+        if (this.task) {
+            this.task.stop();
+            this.task = null;
+        }
+    }
+
+    getStatus() {
+        return {
+            service: "Classification Rules",
+            running: !!this.task,
+            rules: this.rules.length,
+            lastReload: this.lastReload,
+            lastError: this.lastError,
+        };
+    }
+}
+
+export default ClassificationService;
@@ -0,0 +1,158 @@
+import { distanceKm } from "./geography.js";
+
+// Forget aircraft we haven't written for this long
+const CACHE_TTL_MS = 60 * 60 * 1000;
+
+// Remembers the last flight_events row written per aircraft so ingestion can
+// skip states that repeat it. OpenSky keeps returning the same last_contact
+// between polls, and parked aircraft report identical on_ground positions
+// indefinitely; those are written only as a periodic heartbeat so tracks and
+// "recent" queries still see the aircraft.
+class PositionDedupe {
+    constructor() {
+        this.enabled = process.env.INGEST_DEDUPE !== "false";
+        this.thresholds = {
+            distanceM: parseFloat(process.env.INGEST_DEDUPE_DISTANCE_M || "50"),
+            altitudeM: parseFloat(process.env.INGEST_DEDUPE_ALTITUDE_M || "15"),
+            headingDeg: parseFloat(
+                process.env.INGEST_DEDUPE_HEADING_DEG || "5",
+            ),
+            velocityMs: parseFloat(
+                process.env.INGEST_DEDUPE_VELOCITY_MS || "2",
+            ),
+            verticalRateMs: parseFloat(
+                process.env.INGEST_DEDUPE_VERTICAL_RATE_MS || "2",
+            ),
+            heartbeatSeconds: parseInt(
+                process.env.INGEST_HEARTBEAT_SECONDS || "60",
+            ),
+            groundHeartbeatSeconds: parseInt(
+                process.env.INGEST_GROUND_HEARTBEAT_SECONDS || "600",
+            ),
+        };
+
+        this.cache = new Map();
+        this.stats = {
+            considered: 0,
+            written: 0,
+            skippedDuplicate: 0,
+            skippedUnchanged: 0,
+        };
+    }
+
+    differs(a, b, threshold) {
+        if (a === null || b === null) return a !== b;
+        return Math.abs(a - b) >= threshold;
+    }
+
+    headingDiffers(a, b) {
+        if (a === null || b === null) return a !== b;
+        const delta = Math.abs(a - b) % 360;
+        return Math.min(delta, 360 - delta) >= this.thresholds.headingDeg;
+    }
+
+    // Why a row must be written, or null when it can be skipped
+    reasonToWrite(row, last) {
+        if (!last) return "new";
+        // Merged with another source's report; the row changes even if the
+        // position doesn't
+        if (row.fused) return "fused";
+
+        const elapsed = (row.ts.getTime() - last.ts) / 1000;
+        if (elapsed <= 0) return null;
+
+        if (
+            row.onGround !== last.onGround ||
+            row.squawk !== last.squawk ||
+            row.spi !== last.spi
+        ) {
+            return "status";
+        }
+
+        const heartbeat = row.onGround
+            ? this.thresholds.groundHeartbeatSeconds
+            : this.thresholds.heartbeatSeconds;
+        if (elapsed >= heartbeat) return "heartbeat";
+
+        const t = this.thresholds;
+        const movedM = distanceKm(last.lat, last.lon, row.lat, row.lon) * 1000;
+        if (
+            movedM >= t.distanceM ||
+            this.differs(row.altitude, last.altitude, t.altitudeM) ||
+            this.differs(row.velocity, last.velocity, t.velocityMs) ||
+            this.differs(
+                row.verticalRate,
+                last.verticalRate,
+                t.verticalRateMs,
+            ) ||
+            this.headingDiffers(row.heading, last.heading)
+        ) {
+            return "changed";
+        }
+
+        return null;
+    }
+
+    // Rows worth writing; the rest are counted as saved
+    filter(rows) {
+        this.stats.considered += rows.length;
+        if (!this.enabled) return rows;
+
+        return rows.filter((row) => {
+            const last = this.cache.get(row.icao24);
+            if (this.reasonToWrite(row, last)) return true;
+
+            if (last && row.ts.getTime() <= last.ts) {
+                this.stats.skippedDuplicate++;
+            } else {
+                this.stats.skippedUnchanged++;
+            }
+            return false;
+        });
+    }
+
+    // Record rows once they are committed
+    remember(rows) {
+        this.stats.written += rows.length;
+        if (!this.enabled) return;
+
+        for (const row of rows) {
+            this.cache.set(row.icao24, {
+                ts: row.ts.getTime(),
+                lat: row.lat,
+                lon: row.lon,
+                altitude: row.altitude,
+                velocity: row.velocity,
+                heading: row.heading,
+                verticalRate: row.verticalRate,
+                onGround: row.onGround,
+                squawk: row.squawk,
+                spi: row.spi,
+            });
+        }
+
+        const cutoff = Date.now() - CACHE_TTL_MS;
+        for (const [icao24, last] of this.cache) {
+            if (last.ts < cutoff) this.cache.delete(icao24);
+        }
+    }
+
+    getStatus() {
+        const skipped =
+            this.stats.skippedDuplicate + this.stats.skippedUnchanged;
+
+        return {
+            enabled: this.enabled,
+            thresholds: this.thresholds,
+            cachedAircraft: this.cache.size,
+            ...this.stats,
+            rowsSaved: skipped,
+            savedPercent:
+                this.stats.considered > 0
+                    ? Math.round((skipped / this.stats.considered) * 1000) / 10
+                    : 0,
+        };
+    }
+}
+
+export default PositionDedupe;
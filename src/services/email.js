@@ -0,0 +1,443 @@
+import fs from "fs";
+import path from "path";
+import nodemailer from "nodemailer";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const DASHBOARD_URL = process.env.DASHBOARD_URL || "http://localhost:3001";
+
+function escapeHtml(value) {
+    return String(value ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
+function formatTime(value) {
+    if (!value) return "unknown";
+    const date = new Date(value);
+    return isNaN(date)
+        ? String(value)
+        : date.toISOString().replace(/\.\d+Z$/, "Z");
+}
+
+// Wrap label/value rows in the shared plain-text and HTML layouts
+function layout(title, intro, rows) {
+    const text = [
+        title,
+        "",
+        intro,
+        "",
+        ...rows.map(([label, value]) => `${label}: ${value}`),
+        "",
+        `Dashboard: ${DASHBOARD_URL}`,
+        "",
+        "You are receiving this because you have an active ForceFlow UK alert subscription.",
+    ].join("\n");
+
+    const html = `<!DOCTYPE html>
+<html>
+<body style="font-family: Arial, sans-serif; color: #1a1a1a;">
+<h2 style="margin-bottom: 4px;">${escapeHtml(title)}</h2>
+<p>${escapeHtml(intro)}</p>
+<table cellpadding="4" style="border-collapse: collapse;">
+${rows
+    .map(
+        ([label, value]) =>
+            `<tr><th align="left">${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`,
+    )
+    .join("\n")}
+</table>
+<p><a href="${escapeHtml(DASHBOARD_URL)}">Open the ForceFlow UK dashboard</a></p>
+<p style="font-size: 12px; color: #666;">You are receiving this because you have an active ForceFlow UK alert subscription.</p>
+</body>
+</html>`;
+
+    return { text, html };
+}
+
+// Templates keyed by alert event type; each returns { subject, title, intro, rows }
+const templates = {
+    "tempo.threshold_crossed": (data, subscription) => ({
+        subject: `Tempo index ${data.score} crossed your threshold of ${parseFloat(subscription.threshold)}`,
+        title: "Operational tempo alert",
+        intro: `The UK operational tempo index has risen to ${data.score}.`,
+        rows: [
+            ["Score", data.score],
+            ["Previous score", data.previousScore ?? "n/a"],
+            ["Your threshold", parseFloat(subscription.threshold)],
+            ["Hour", formatTime(data.timestamp)],
+        ],
+    }),
+
+    "watchlist.hit": (data) => {
+        const asset = data.asset || {};
+        const label = asset.callsign || asset.code || "Unknown";
+        return {
+            subject: `Watchlist hit: ${label}${data.watchlist ? ` (${data.watchlist})` : ""}`,
+            title: "Watchlist hit",
+            intro: `${label} matched ${data.watchlist ? `watchlist entry "${data.watchlist}"` : "your watchlist"}.`,
+            rows: [
+                ["Aircraft", asset.code || "unknown"],
+                ["Callsign", asset.callsign || "n/a"],
+                ["Matched", data.reason || "n/a"],
+                [
+                    "Position",
+                    asset.lat != null && asset.lon != null
+                        ? `${asset.lat}, ${asset.lon}`
+                        : "unknown",
+                ],
+                [
+                    "Altitude",
+                    asset.altitude != null ? `${asset.altitude} m` : "n/a",
+                ],
+                ["Seen", formatTime(data.timestamp)],
+            ],
+        };
+    },
+
+    // Flight events from the anomaly detector (event.emergency_squawk, ...)
+    event: (data) => {
+        const asset = data.asset || {};
+        return {
+            subject: `${data.severity === "critical" ? "CRITICAL: " : ""}${data.summary}`,
+            title: "Flight event detected",
+            intro: data.summary,
+            rows: [
+                ["Event", data.type],
+                ["Severity", data.severity],
+                ["Aircraft", asset.code || "unknown"],
+                ["Callsign", asset.callsign || "n/a"],
+                ["Country", asset.countryCode || "unknown"],
+                [
+                    "Position",
+                    asset.lat != null && asset.lon != null
+                        ? `${asset.lat}, ${asset.lon}`
+                        : "unknown",
+                ],
+                [
+                    "Altitude",
+                    asset.altitude != null ? `${asset.altitude} m` : "n/a",
+                ],
+                ["Seen", formatTime(data.timestamp)],
+            ],
+        };
+    },
+
+    "geofence.entry": (data) => geofenceTemplate(data, "entered"),
+    "geofence.exit": (data) => geofenceTemplate(data, "left"),
+    "geofence.lost": (data) => geofenceTemplate(data, "went silent in"),
+};
+
+function geofenceTemplate(data, verb) {
+    const asset = data.asset || {};
+    const label = asset.callsign || asset.code || "Unknown";
+    const name = data.geofence?.name || "a geofence";
+    return {
+        subject: `${label} ${verb} ${name}`,
+        title: "Geofence alert",
+        intro: `${label} ${verb} your geofence ${name}.`,
+        rows: [
+            ["Geofence", name],
+            ["Aircraft", asset.code || "unknown"],
+            ["Callsign", asset.callsign || "n/a"],
+            [
+                "Position",
+                asset.lat != null && asset.lon != null
+                    ? `${asset.lat}, ${asset.lon}`
+                    : "unknown",
+            ],
+            [
+                "Altitude",
+                asset.altitude != null ? `${asset.altitude} m` : "n/a",
+            ],
+            ["Seen", formatTime(data.timestamp)],
+        ],
+    };
+}
+
+function fallbackTemplate(eventType, data) {
+    return {
+        subject: `ForceFlow UK alert: ${eventType}`,
+        title: "ForceFlow UK alert",
+        intro: `A ${eventType} event was raised.`,
+        rows: Object.entries(data || {}).map(([key, value]) => [
+            key,
+            typeof value === "object" ? JSON.stringify(value) : value,
+        ]),
+    };
+}
+
+export function renderAlertEmail(eventType, data, subscription = {}) {
+    const template =
+        templates[eventType] ||
+        (eventType.startsWith("event.") ? templates.event : null);
+    const { subject, title, intro, rows } = template
+        ? template(data, subscription)
+        : fallbackTemplate(eventType, data);
+
+    return { subject, ...layout(title, intro, rows) };
+}
+
+// One email listing several alerts by their usual subjects
+export function renderDigestEmail(alerts) {
+    const rows = alerts.map(({ eventType, data, subscription, createdAt }) => [
+        formatTime(createdAt),
+        renderAlertEmail(eventType, data, subscription).subject,
+    ]);
+
+    return {
+        subject: `ForceFlow UK: ${alerts.length} alerts`,
+        ...layout(
+            "Alert digest",
+            `${alerts.length} alerts are listed together to stay within your hourly email limit.`,
+            rows,
+        ),
+    };
+}
+
+// Build a nodemailer transport from env. "smtp" is used whenever SMTP_HOST is
+// set; otherwise messages are written to EMAIL_OUTBOX_DIR ("file") or logged
+// ("console") so development and tests never need a mail server.
+export function createTransport(log) {
+    const kind =
+        process.env.EMAIL_TRANSPORT ||
+        (process.env.SMTP_HOST ? "smtp" : "console");
+
+    if (kind === "smtp") {
+        const port = parseInt(process.env.SMTP_PORT || "587");
+        return {
+            kind,
+            transport: nodemailer.createTransport({
+                host: process.env.SMTP_HOST,
+                port,
+                secure: process.env.SMTP_SECURE
+                    ? process.env.SMTP_SECURE === "true"
+                    : port === 465,
+                auth: process.env.SMTP_USER
+                    ? {
+                          user: process.env.SMTP_USER,
+                          pass: process.env.SMTP_PASS,
+                      }
+                    : undefined,
+            }),
+        };
+    }
+
+    if (kind === "file") {
+        const dir = process.env.EMAIL_OUTBOX_DIR || "./outbox";
+        const stream = nodemailer.createTransport({
+            streamTransport: true,
+            buffer: true,
+            newline: "unix",
+        });
+
+        return {
+            kind,
+            dir,
+            transport: {
+                async sendMail(message) {
+                    const info = await stream.sendMail(message);
+                    await fs.promises.mkdir(dir, { recursive: true });
+                    const file = path.join(
+                        dir,
+                        `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, "")}.eml`,
+                    );
+                    await fs.promises.writeFile(file, info.message);
+                    return { ...info, file };
+                },
+            },
+        };
+    }
+
+    if (kind === "console") {
+        const json = nodemailer.createTransport({ jsonTransport: true });
+        return {
+            kind,
+            transport: {
+                async sendMail(message) {
+                    const info = await json.sendMail(message);
+                    log.info(
+                        `📧 Email to ${message.to}: ${message.subject}\n${message.text}`,
+                    );
+                    return info;
+                },
+            },
+        };
+    }
+
+    throw new Error(`Unknown EMAIL_TRANSPORT "${kind}"`);
+}
+
+// Alert dispatcher channel that emails subscribers with email_enabled set.
+// Alerts over a user's hourly limit are held (deferred without using an
+// attempt) and sent as one digest with the next email the limit allows.
+class EmailNotifier {
+    constructor(fastify, { transport } = {}) {
+        this.fastify = fastify;
+        this.from =
+            process.env.EMAIL_FROM || "ForceFlow UK <alerts@forceflow.uk>";
+
+        // Per-user cap on alert emails in any rolling hour
+        this.rateLimit = parseInt(process.env.EMAIL_RATE_LIMIT_PER_HOUR || "5");
+        this.sentByUser = new Map();
+
+        const created = transport
+            ? { kind: "custom", transport }
+            : createTransport(fastify.log);
+        this.kind = created.kind;
+        this.transport = created.transport;
+
+        this.stats = { sent: 0, deferred: 0, digested: 0 };
+    }
+
+    enabled(subscription) {
+        return !!subscription.email_enabled && !!subscription.email;
+    }
+
+    // Returns null when the user may be emailed now, otherwise the time the
+    // oldest email in their window expires
+    rateLimitedUntil(userId, now = Date.now()) {
+        const recent = (this.sentByUser.get(userId) || []).filter(
+            (sentAt) => now - sentAt < HOUR_MS,
+        );
+        this.sentByUser.set(userId, recent);
+
+        if (recent.length < this.rateLimit) return null;
+        return new Date(recent[0] + HOUR_MS);
+    }
+
+    async send(subscription, delivery) {
+        // Already sent in another delivery's digest
+        const status = await this.fastify.pg.query(
+            "SELECT status FROM alert_deliveries WHERE id = $1",
+            [delivery.id],
+        );
+        if (status.rows[0]?.status === "delivered") return { status: null };
+
+        const deferUntil = this.rateLimitedUntil(subscription.user_id);
+        if (deferUntil) {
+            this.stats.deferred++;
+            const error = new Error(
+                `Email rate limit of ${this.rateLimit}/hour reached for ${subscription.email}`,
+            );
+            error.deferUntil = deferUntil;
+            throw error;
+        }
+
+        // Reserve the slot before sending so concurrent deliveries count
+        const sent = this.sentByUser.get(subscription.user_id);
+        sent.push(Date.now());
+
+        const client = await this.fastify.pg.connect();
+
+        try {
+            await client.query("BEGIN");
+
+            const current = await client.query(
+                "SELECT status FROM alert_deliveries WHERE id = $1 FOR UPDATE",
+                [delivery.id],
+            );
+
+            // Already sent as part of another delivery's digest
+            if (current.rows[0]?.status === "delivered") {
+                await client.query("ROLLBACK");
+                sent.splice(sent.length - 1, 1);
+                return { status: null };
+            }
+
+            // Claim the user's other waiting alerts; the claim is undone if
+            // the email can't be sent
+            const held = await client.query(
+                `
+                UPDATE alert_deliveries d SET
+                    status = 'delivered',
+                    last_error = $3,
+                    delivered_at = NOW()
+                FROM alert_subscriptions s
+                WHERE d.subscription_id = s.id
+                  AND s.user_id = $1
+                  AND d.channel = 'email'
+                  AND d.status = 'retrying'
+                  AND d.id <> $2
+                RETURNING d.*, s.threshold
+            `,
+                [
+                    subscription.user_id,
+                    delivery.id,
+                    `Sent in digest with delivery ${delivery.id}`,
+                ],
+            );
+
+            const { subject, text, html } =
+                held.rows.length > 0
+                    ? renderDigestEmail(
+                          [
+                              {
+                                  eventType: delivery.event_type,
+                                  data: delivery.payload.data,
+                                  subscription,
+                                  createdAt: delivery.created_at,
+                              },
+                              ...held.rows.map((row) => ({
+                                  eventType: row.event_type,
+                                  data: row.payload.data,
+                                  subscription: { threshold: row.threshold },
+                                  createdAt: row.created_at,
+                              })),
+                          ].sort(
+                              (a, b) =>
+                                  new Date(a.createdAt) - new Date(b.createdAt),
+                          ),
+                      )
+                    : renderAlertEmail(
+                          delivery.event_type,
+                          delivery.payload.data,
+                          subscription,
+                      );
+
+            await this.transport.sendMail({
+                from: this.from,
+                to: subscription.email,
+                subject,
+                text,
+                html,
+                headers: {
+                    "X-ForceFlow-Event": delivery.event_type,
+                    "X-ForceFlow-Delivery": delivery.id,
+                },
+            });
+
+            await client.query("COMMIT");
+            this.stats.digested += held.rows.length;
+        } catch (error) {
+            try {
+                await client.query("ROLLBACK");
+            } catch (rollbackError) {
+                // Ignore rollback errors for already rolled back transactions
+            }
+
+            // Failed sends don't count towards the limit
+            sent.splice(sent.length - 1, 1);
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        this.stats.sent++;
+        return { status: null };
+    }
+
+    getStatus() {
+        return {
+            transport: this.kind,
+            from: this.from,
+            rateLimitPerHour: this.rateLimit,
+            stats: this.stats,
+        };
+    }
+}
+
+export default EmailNotifier;
@@ -0,0 +1,372 @@
+import { distanceToCoastKm, inUkAirspace } from "./geography.js";
+
+export const EVENT_TYPES = [
+    "emergency_squawk",
+    "spi",
+    "rapid_descent",
+    "lost_over_sea",
+    "foreign_military",
+];
+
+export const EMERGENCY_SQUAWKS = {
+    7500: { meaning: "unlawful interference", severity: "critical" },
+    7600: { meaning: "radio failure", severity: "warning" },
+    7700: { meaning: "general emergency", severity: "critical" },
+};
+
+const MINUTE_MS = 60 * 1000;
+
+// Tracks with no position for this long are forgotten
+const TRACK_TTL_MS = 30 * MINUTE_MS;
+
+// Watches each committed flight batch (military aircraft only) for
+// emergency squawks, SPI, rapid descents, tracks that go silent over the
+// sea and foreign military aircraft seen in UK airspace for the first time.
+// Per-aircraft state is kept in memory; the events table's unique event_key
+// and a per-type cooldown stop restarts from raising the same event twice.
+class EventDetector {
+    constructor(fastify, options = {}) {
+        this.fastify = fastify;
+        this.bounds = options.bounds || null;
+        this.homeCountry = process.env.EVENT_HOME_COUNTRY || "GB";
+
+        // ~5,900 ft/min
+        this.descentRate = parseFloat(
+            process.env.EVENT_RAPID_DESCENT_MS || "30",
+        );
+        this.descentMinAltitude = parseInt(
+            process.env.EVENT_RAPID_DESCENT_MIN_ALT || "300",
+        );
+        this.silentMs =
+            parseInt(process.env.EVENT_SILENT_MINUTES || "5") * MINUTE_MS;
+        this.seaMarginKm = parseFloat(process.env.EVENT_SEA_MARGIN_KM || "10");
+        this.cooldownMs =
+            parseInt(process.env.EVENT_COOLDOWN_MINUTES || "30") * MINUTE_MS;
+
+        this.tracks = new Map();
+        this.seenForeign = new Set();
+        this.lastBatchAt = null;
+        this.listeners = [];
+        this.lastEvent = null;
+        this.stats = Object.fromEntries(EVENT_TYPES.map((type) => [type, 0]));
+    }
+
+    // Register a callback for each newly recorded event
+    onEvent(listener) {
+        this.listeners.push(listener);
+    }
+
+    // Descent rate in m/s (negative when descending), falling back to the
+    // altitude change since the previous position
+    verticalRate(position, track) {
+        if (
+            position.verticalRate !== null &&
+            position.verticalRate !== undefined
+        ) {
+            return position.verticalRate;
+        }
+        if (!track || track.altitude === null || position.altitude === null) {
+            return null;
+        }
+
+        const seconds = (Date.parse(position.ts) - track.lastSeenMs) / 1000;
+        return seconds > 0
+            ? (position.altitude - track.altitude) / seconds
+            : null;
+    }
+
+    detectPosition(position, track) {
+        const events = [];
+        const base = {
+            icao24: position.icao24,
+            callsign: position.callsign,
+            countryCode: position.country,
+            ts: position.ts,
+            lat: position.lat,
+            lon: position.lon,
+            altitude: position.altitude,
+        };
+        const label = position.callsign || position.icao24;
+
+        const emergency = EMERGENCY_SQUAWKS[position.squawk];
+        if (emergency && track?.squawk !== position.squawk) {
+            events.push({
+                ...base,
+                type: "emergency_squawk",
+                severity: emergency.severity,
+                variant: position.squawk,
+                summary: `${label} squawking ${position.squawk} (${emergency.meaning})`,
+                details: {
+                    squawk: position.squawk,
+                    meaning: emergency.meaning,
+                },
+            });
+        }
+
+        if (position.spi && !track?.spi) {
+            events.push({
+                ...base,
+                type: "spi",
+                severity: "info",
+                variant: "",
+                summary: `${label} showing special position indicator`,
+                details: { squawk: position.squawk },
+            });
+        }
+
+        const rate = this.verticalRate(position, track);
+        const descending =
+            !position.onGround &&
+            rate !== null &&
+            rate <= -this.descentRate &&
+            (position.altitude ?? 0) >= this.descentMinAltitude;
+        if (descending && !track?.descending) {
+            events.push({
+                ...base,
+                type: "rapid_descent",
+                severity: "warning",
+                variant: "",
+                summary: `${label} descending at ${Math.round(-rate * 196.85)} ft/min`,
+                details: {
+                    verticalRate: rate,
+                    previousAltitude: track?.altitude ?? null,
+                },
+            });
+        }
+
+        if (
+            position.country &&
+            position.country !== this.homeCountry &&
+            !this.seenForeign.has(position.icao24) &&
+            inUkAirspace(position.lat, position.lon)
+        ) {
+            events.push({
+                ...base,
+                type: "foreign_military",
+                severity: "warning",
+                variant: "",
+                // Only ever raised once per address
+                eventKey: `foreign_military:${position.icao24}`,
+                summary: `First sighting of ${position.country} military aircraft ${label} in UK airspace`,
+                details: {},
+            });
+        }
+
+        return events;
+    }
+
+    // Would the last known velocity/heading have carried the aircraft out
+    // of the area we poll within the silence window?
+    leftCoverage(track) {
+        if (!this.bounds || !track.velocity || track.heading === null) {
+            return false;
+        }
+
+        const km = (track.velocity * this.silentMs) / 1000 / 1000;
+        const heading = (track.heading * Math.PI) / 180;
+        const lat = track.lat + (km * Math.cos(heading)) / 111.2;
+        const lon =
+            track.lon +
+            (km * Math.sin(heading)) /
+                (111.2 * Math.cos((track.lat * Math.PI) / 180));
+
+        return (
+            lat < this.bounds.lamin ||
+            lat > this.bounds.lamax ||
+            lon < this.bounds.lomin ||
+            lon > this.bounds.lomax
+        );
+    }
+
+    detectSilent(now) {
+        const events = [];
+
+        for (const [icao24, track] of this.tracks) {
+            if (now - track.lastSeenMs > TRACK_TTL_MS) {
+                this.tracks.delete(icao24);
+                continue;
+            }
+
+            if (
+                track.lostReported ||
+                track.onGround ||
+                now - track.lastSeenMs < this.silentMs ||
+                this.leftCoverage(track)
+            ) {
+                continue;
+            }
+
+            const offshoreKm = distanceToCoastKm(track.lat, track.lon);
+            if (offshoreKm < this.seaMarginKm) continue;
+
+            track.lostReported = true;
+            const minutes = Math.round((now - track.lastSeenMs) / MINUTE_MS);
+
+            events.push({
+                type: "lost_over_sea",
+                severity: "warning",
+                variant: "",
+                icao24,
+                callsign: track.callsign,
+                countryCode: track.country,
+                ts: new Date(track.lastSeenMs).toISOString(),
+                lat: track.lat,
+                lon: track.lon,
+                altitude: track.altitude,
+                summary: `${track.callsign || icao24} lost ${Math.round(offshoreKm)} km offshore, silent for ${minutes} min`,
+                details: {
+                    offshoreKm: Math.round(offshoreKm * 10) / 10,
+                    silentMinutes: minutes,
+                    velocity: track.velocity,
+                    heading: track.heading,
+                },
+            });
+        }
+
+        return events;
+    }
+
+    async processBatch(positions, now = Date.now()) {
+        const batchIcaos = new Set(positions.map((p) => p.icao24));
+
+        // After an ingest outage every track looks silent; start them afresh
+        if (this.lastBatchAt && now - this.lastBatchAt > this.silentMs) {
+            for (const icao24 of this.tracks.keys()) {
+                if (!batchIcaos.has(icao24)) this.tracks.delete(icao24);
+            }
+        }
+        this.lastBatchAt = now;
+
+        const detected = [];
+
+        for (const position of positions) {
+            const track = this.tracks.get(position.icao24);
+            const lastSeenMs = Date.parse(position.ts);
+
+            // OpenSky repeats states until there's a new contact
+            if (track && lastSeenMs <= track.lastSeenMs) continue;
+
+            detected.push(...this.detectPosition(position, track));
+
+            const rate = this.verticalRate(position, track);
+            this.tracks.set(position.icao24, {
+                callsign: position.callsign,
+                country: position.country,
+                lat: position.lat,
+                lon: position.lon,
+                altitude: position.altitude,
+                velocity: position.velocity,
+                heading: position.heading,
+                onGround: position.onGround,
+                squawk: position.squawk,
+                spi: position.spi,
+                // Stay "descending" until the rate has clearly eased off
+                descending:
+                    rate !== null &&
+                    rate <= -this.descentRate / (track?.descending ? 2 : 1) &&
+                    !position.onGround,
+                lastSeenMs,
+                lostReported: false,
+            });
+        }
+
+        detected.push(...this.detectSilent(now));
+
+        const recorded = [];
+        for (const event of detected) {
+            try {
+                const row = await this.record(event);
+                if (row) recorded.push(row);
+                // Stored now or earlier (a conflict); until then a failed
+                // insert is retried on the next sighting
+                if (event.type === "foreign_military") {
+                    this.seenForeign.add(event.icao24);
+                }
+            } catch (error) {
+                this.fastify.log.error(
+                    `Failed to record ${event.type} event for ${event.icao24}:`,
+                    error,
+                );
+            }
+        }
+
+        for (const event of recorded) {
+            this.stats[event.type]++;
+            this.lastEvent = event.created_at;
+            this.fastify.log.warn(`Flight event: ${event.summary}`);
+
+            for (const listener of this.listeners) {
+                Promise.resolve()
+                    .then(() => listener(event))
+                    .catch((listenerError) => {
+                        this.fastify.log.error(
+                            "Flight event listener failed:",
+                            listenerError,
+                        );
+                    });
+            }
+        }
+
+        return recorded;
+    }
+
+    // Insert unless the same event was raised for this aircraft within the
+    // cooldown; returns the new row or null
+    async record(event) {
+        const prefix = `${event.type}:${event.icao24}:${event.variant}:`;
+        const eventKey =
+            event.eventKey ||
+            `${prefix}${Math.floor(Date.parse(event.ts) / 1000)}`;
+
+        const result = await this.fastify.pg.query(
+            `
+            INSERT INTO events
+            (type, severity, asset_id, icao24, callsign, country_code,
+             ts, lat, lon, altitude, summary, details, event_key)
+            SELECT $1, $2, (SELECT id FROM assets WHERE code = $3), $3, $4, $5,
+                   $6, $7, $8, $9, $10, $11, $12
+            WHERE NOT EXISTS (
+                SELECT 1 FROM events
+                WHERE icao24 = $3
+                  AND event_key LIKE $13 || '%'
+                  AND ts > $6::timestamptz - $14 * INTERVAL '1 millisecond'
+            )
+            ON CONFLICT (event_key) DO NOTHING
+            RETURNING *
+        `,
+            [
+                event.type,
+                event.severity,
+                event.icao24,
+                event.callsign,
+                event.countryCode,
+                event.ts,
+                event.lat,
+                event.lon,
+                event.altitude,
+                event.summary,
+                JSON.stringify(event.details),
+                eventKey,
+                prefix,
+                this.cooldownMs,
+            ],
+        );
+
+        return result.rows[0] || null;
+    }
+
+    getStatus() {
+        return {
+            service: "Event Detector",
+            running: true,
+            trackedAircraft: this.tracks.size,
+            lastBatch: this.lastBatchAt
+                ? new Date(this.lastBatchAt).toISOString()
+                : null,
+            lastEvent: this.lastEvent,
+            detected: this.stats,
+        };
+    }
+}
+
+export default EventDetector;
@@ -0,0 +1,138 @@
+// Exercise/training area document parsing for ForceFlow UK
+// Bulk imports arrive as CSV (header row required) or a JSON array of objects
+// using the same field names as the exercises table.
+
+const FIELDS = [
+    "name",
+    "ts_start",
+    "ts_end",
+    "area_lat",
+    "area_lon",
+    "area_radius",
+    "description",
+    "exercise_type",
+];
+
+const NUMERIC_FIELDS = ["area_lat", "area_lon", "area_radius"];
+
+// Minimal RFC 4180 CSV reader (quoted fields, escaped quotes, CRLF)
+export function parseCsv(content) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let inQuotes = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (inQuotes) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inQuotes = true;
+        } else if (char === ",") {
+            row.push(field);
+            field = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && content[i + 1] === "\n") i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = "";
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== "" || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter((cells) => cells.some((cell) => cell.trim() !== ""));
+}
+
+// Normalise one record and report what is wrong with it, if anything
+export function normaliseExercise(record) {
+    const exercise = {};
+
+    for (const field of FIELDS) {
+        let value = record[field];
+        if (typeof value === "string") value = value.trim();
+        if (value === "" || value === undefined) value = null;
+
+        if (value !== null && NUMERIC_FIELDS.includes(field)) {
+            value = parseFloat(value);
+            if (isNaN(value)) {
+                return { error: `Invalid number for ${field}` };
+            }
+        }
+
+        exercise[field] = value;
+    }
+
+    if (!exercise.name) {
+        return { error: "Missing name" };
+    }
+
+    for (const field of ["ts_start", "ts_end"]) {
+        if (exercise[field] === null) continue;
+
+        const date = new Date(exercise[field]);
+        if (isNaN(date.getTime())) {
+            return { error: `Invalid date for ${field}` };
+        }
+        exercise[field] = date;
+    }
+
+    if (!exercise.ts_start) {
+        return { error: "Missing ts_start" };
+    }
+
+    if (exercise.ts_end && exercise.ts_end < exercise.ts_start) {
+        return { error: "ts_end is before ts_start" };
+    }
+
+    return { exercise };
+}
+
+// Parse a CSV or JSON source document into normalised exercises plus errors
+export function parseExerciseDocument(content, format) {
+    let records;
+
+    if (format === "json") {
+        const parsed = JSON.parse(content);
+        records = Array.isArray(parsed) ? parsed : parsed.exercises || [];
+    } else {
+        const [header = [], ...rows] = parseCsv(content);
+        const columns = header.map((column) => column.trim().toLowerCase());
+        records = rows.map((cells) =>
+            Object.fromEntries(
+                columns.map((column, index) => [column, cells[index]]),
+            ),
+        );
+    }
+
+    const exercises = [];
+    const errors = [];
+
+    records.forEach((record, index) => {
+        const { exercise, error } = normaliseExercise(record);
+        if (error) {
+            errors.push({ record: index + 1, error });
+        } else {
+            exercises.push(exercise);
+        }
+    });
+
+    return { exercises, errors };
+}
@@ -0,0 +1,285 @@
+// Flight data export as GeoJSON, KML, GPX and CSV. Encoders are async
+// generators of text chunks over an (async) iterable of positions in the
+// shape returned by the flight routes, so large tracks can be streamed
+// straight to the response.
+
+export const EXPORT_FORMATS = ["json", "geojson", "kml", "gpx", "csv"];
+
+const FORMATS = {
+    json: { contentType: "application/json", extension: "json" },
+    geojson: { contentType: "application/geo+json", extension: "geojson" },
+    kml: {
+        contentType: "application/vnd.google-earth.kml+xml",
+        extension: "kml",
+    },
+    gpx: { contentType: "application/gpx+xml", extension: "gpx" },
+    csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+};
+
+const MEDIA_TYPES = {
+    "application/json": "json",
+    "application/geo+json": "geojson",
+    "application/vnd.geo+json": "geojson",
+    "application/vnd.google-earth.kml+xml": "kml",
+    "application/gpx+xml": "gpx",
+    "text/csv": "csv",
+};
+
+const CSV_COLUMNS = [
+    "code",
+    "callsign",
+    "timestamp",
+    "lat",
+    "lon",
+    "altitude",
+    "geoAltitude",
+    "velocity",
+    "heading",
+    "onGround",
+    "squawk",
+    "source",
+];
+
+// `format` query parameter, else the most preferred Accept type we can
+// produce; JSON when neither picks one
+export function negotiateFormat(request) {
+    if (request.query.format) return request.query.format;
+
+    const accepted = (request.headers.accept || "")
+        .split(",")
+        .map((entry, index) => {
+            const [type, ...params] = entry.trim().toLowerCase().split(";");
+            const q = params
+                .map((param) => param.trim())
+                .find((param) => param.startsWith("q="));
+            return {
+                format: MEDIA_TYPES[type.trim()],
+                q: q ? parseFloat(q.slice(2)) : 1,
+                index,
+            };
+        })
+        .filter((entry) => entry.format && entry.q > 0)
+        .sort((a, b) => b.q - a.q || a.index - b.index);
+
+    return accepted.length > 0 ? accepted[0].format : "json";
+}
+
+export function contentType(format) {
+    return FORMATS[format].contentType;
+}
+
+export function filename(name, format) {
+    return `${name.replace(/[^\w.-]+/g, "_")}.${FORMATS[format].extension}`;
+}
+
+function escapeXml(value) {
+    return String(value ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&apos;");
+}
+
+function escapeCsv(value) {
+    if (value === null || value === undefined) return "";
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function label(position) {
+    return position.callsign || position.code;
+}
+
+function properties(position) {
+    return {
+        code: position.code,
+        callsign: position.callsign,
+        timestamp: position.timestamp,
+        altitude: position.altitude,
+        velocity: position.velocity,
+        heading: position.heading,
+        onGround: position.onGround,
+        squawk: position.squawk,
+        source: position.source,
+    };
+}
+
+async function* csv(positions) {
+    yield `${CSV_COLUMNS.join(",")}\r\n`;
+    for await (const position of positions) {
+        yield `${CSV_COLUMNS.map((column) => escapeCsv(position[column])).join(",")}\r\n`;
+    }
+}
+
+function geojsonCoordinates(position) {
+    const coordinates = [position.lon, position.lat];
+    if (position.altitude !== null) coordinates.push(position.altitude);
+    return coordinates;
+}
+
+// One LineString feature for the track, or a Point when it has a single
+// position (a LineString needs at least two). The first position is held
+// back until the geometry type is known.
+async function* geojsonTrack(details, positions) {
+    const feature = `{"type":"FeatureCollection","features":[{"type":"Feature","properties":${JSON.stringify(details)},"geometry":`;
+    let first = null;
+    let count = 0;
+    for await (const position of positions) {
+        const coordinates = JSON.stringify(geojsonCoordinates(position));
+        count++;
+        if (count === 1) {
+            first = coordinates;
+            continue;
+        }
+        if (count === 2) {
+            yield `${feature}{"type":"LineString","coordinates":[${first}`;
+        }
+        yield `,${coordinates}`;
+    }
+
+    if (count >= 2) {
+        yield "]}}]}";
+    } else if (first) {
+        yield `${feature}{"type":"Point","coordinates":${first}}}]}`;
+    } else {
+        yield `${feature}null}]}`;
+    }
+}
+
+// One Point feature per position
+async function* geojsonPositions(positions) {
+    yield '{"type":"FeatureCollection","features":[';
+    let first = true;
+    for await (const position of positions) {
+        yield `${first ? "" : ","}${JSON.stringify({
+            type: "Feature",
+            properties: properties(position),
+            geometry: {
+                type: "Point",
+                coordinates: geojsonCoordinates(position),
+            },
+        })}`;
+        first = false;
+    }
+    yield "]}";
+}
+
+const KML_HEADER = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+<Document>
+<Style id="track"><LineStyle><color>ff0000ff</color><width>2</width></LineStyle><PolyStyle><color>400000ff</color></PolyStyle></Style>
+`;
+
+// Positions without an altitude are drawn on the ground rather than at sea
+// level, which would put them below the terrain
+function kmlGeometry(position) {
+    return position.altitude !== null
+        ? {
+              mode: "<extrude>1</extrude><altitudeMode>absolute</altitudeMode>",
+              coordinates: `${position.lon},${position.lat},${position.altitude}`,
+          }
+        : {
+              mode: "<altitudeMode>clampToGround</altitudeMode>",
+              coordinates: `${position.lon},${position.lat}`,
+          };
+}
+
+// Track drawn at altitude with a curtain down to the ground; runs of
+// positions without an altitude become separate lines on the ground
+async function* kmlTrack(details, positions) {
+    yield `${KML_HEADER}<name>${escapeXml(details.name)}</name>
+<Placemark>
+<name>${escapeXml(details.name)}</name>
+<styleUrl>#track</styleUrl>
+<MultiGeometry>
+`;
+    let mode = null;
+    let previous = null;
+    for await (const position of positions) {
+        const geometry = kmlGeometry(position);
+        if (geometry.mode !== mode) {
+            // Ground lines are joined to the lines either side of them
+            if (previous?.altitude === null) {
+                yield `${position.lon},${position.lat}\n`;
+            }
+            if (mode) yield "</coordinates></LineString>\n";
+            yield `<LineString>${geometry.mode}<coordinates>\n`;
+            if (previous && position.altitude === null) {
+                yield `${previous.lon},${previous.lat}\n`;
+            }
+            mode = geometry.mode;
+        }
+        yield `${geometry.coordinates}\n`;
+        previous = position;
+    }
+    if (mode) yield "</coordinates></LineString>\n";
+    yield "</MultiGeometry>\n</Placemark>\n</Document>\n</kml>\n";
+}
+
+async function* kmlPositions(details, positions) {
+    yield `${KML_HEADER}<name>${escapeXml(details.name)}</name>\n`;
+    for await (const position of positions) {
+        const geometry = kmlGeometry(position);
+        yield `<Placemark><name>${escapeXml(label(position))}</name><TimeStamp><when>${position.timestamp}</when></TimeStamp><Point>${geometry.mode}<coordinates>${geometry.coordinates}</coordinates></Point></Placemark>\n`;
+    }
+    yield "</Document>\n</kml>\n";
+}
+
+const GPX_HEADER = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="ForceFlow UK" xmlns="http://www.topografix.com/GPX/1/1">
+`;
+
+function gpxPoint(tag, position, extra = "") {
+    const elevation =
+        position.altitude !== null ? `<ele>${position.altitude}</ele>` : "";
+    return `<${tag} lat="${position.lat}" lon="${position.lon}">${elevation}<time>${position.timestamp}</time>${extra}</${tag}>\n`;
+}
+
+async function* gpxTrack(details, positions) {
+    yield `${GPX_HEADER}<trk><name>${escapeXml(details.name)}</name><trkseg>\n`;
+    for await (const position of positions) {
+        yield gpxPoint("trkpt", position);
+    }
+    yield "</trkseg></trk>\n</gpx>\n";
+}
+
+async function* gpxPositions(details, positions) {
+    yield GPX_HEADER;
+    for await (const position of positions) {
+        yield gpxPoint(
+            "wpt",
+            position,
+            `<name>${escapeXml(label(position))}</name>`,
+        );
+    }
+    yield "</gpx>\n";
+}
+
+// Chunks for one aircraft's track (`details.name` titles it)
+export function encodeTrack(format, details, positions) {
+    switch (format) {
+        case "geojson":
+            return geojsonTrack(details, positions);
+        case "kml":
+            return kmlTrack(details, positions);
+        case "gpx":
+            return gpxTrack(details, positions);
+        default:
+            return csv(positions);
+    }
+}
+
+// Chunks for individual positions of any number of aircraft
+export function encodePositions(format, details, positions) {
+    switch (format) {
+        case "geojson":
+            return geojsonPositions(positions);
+        case "kml":
+            return kmlPositions(details, positions);
+        case "gpx":
+            return gpxPositions(details, positions);
+        default:
+            return csv(positions);
+    }
+}
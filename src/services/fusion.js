@@ -0,0 +1,140 @@
+// Forget fused positions older than this; anything arriving later is
+// stale for every source and left to the dedupe
+const CACHE_TTL_MS = 10 * 60 * 1000;
+
+// Fields a losing report may fill in when the winner didn't carry them
+const FILL_FIELDS = [
+    "callsign",
+    "altitude",
+    "geoAltitude",
+    "velocity",
+    "heading",
+    "verticalRate",
+    "squawk",
+    "sensors",
+    "positionSource",
+    "timePosition",
+];
+
+// Merges near-simultaneous reports of one aircraft from different sources.
+// The last fused row written per aircraft is remembered; a report from
+// another source within the fusion window is folded into it instead of
+// becoming a second row. The higher priority source (then the fresher
+// report) supplies the position, gaps are filled from the other, and every
+// contributing source is recorded on the row.
+class PositionFusion {
+    constructor() {
+        // Highest priority first; unlisted sources rank below all of these
+        this.priorities = (
+            process.env.INGEST_SOURCE_PRIORITY || "readsb,sbs,opensky"
+        )
+            .split(",")
+            .map((source) => source.trim())
+            .filter(Boolean);
+        this.windowMs =
+            parseFloat(process.env.INGEST_FUSION_WINDOW_SECONDS || "5") * 1000;
+
+        this.cache = new Map();
+        this.stats = {
+            merged: 0,
+            superseded: 0,
+        };
+    }
+
+    rank(source) {
+        const index = this.priorities.indexOf(source);
+        return index === -1 ? this.priorities.length : index;
+    }
+
+    // Aircraft with no fused position in memory, e.g. after a restart
+    unknown(rows) {
+        return rows
+            .filter((row) => !this.cache.has(row.icao24))
+            .map((row) => row.icao24);
+    }
+
+    // The winning report with any gaps filled from the other one
+    combine(winner, loser, sources) {
+        const row = { ...winner, sources };
+        for (const field of FILL_FIELDS) {
+            if (row[field] === null || row[field] === undefined) {
+                row[field] = loser[field];
+            }
+        }
+        return row;
+    }
+
+    // Rows to write for a batch from one source. Fused rows carry `fused`,
+    // and `supersedes` when they replace the earlier row at another ts.
+    resolve(rows) {
+        const resolved = [];
+
+        for (const row of rows) {
+            const last = this.cache.get(row.icao24);
+
+            // Another report from the same feed, or not near-simultaneous:
+            // an ordinary position
+            if (
+                !last ||
+                last.sources.includes(row.source) ||
+                Math.abs(row.ts - last.ts) > this.windowMs
+            ) {
+                resolved.push({ ...row, sources: [row.source] });
+                continue;
+            }
+
+            const rowRank = this.rank(row.source);
+            const lastRank = this.rank(last.source);
+            const wins =
+                rowRank < lastRank ||
+                (rowRank === lastRank && row.ts > last.ts);
+
+            if (wins) {
+                const sources = [row.source, ...last.sources];
+                const fused = this.combine(row, last, sources);
+                fused.fused = true;
+                if (fused.ts.getTime() !== last.ts.getTime()) {
+                    fused.supersedes = last.ts;
+                    this.stats.superseded++;
+                } else {
+                    this.stats.merged++;
+                }
+                resolved.push(fused);
+            } else {
+                const fused = this.combine(last, row, [
+                    ...last.sources,
+                    row.source,
+                ]);
+                fused.fused = true;
+                this.stats.merged++;
+                resolved.push(fused);
+            }
+        }
+
+        return resolved;
+    }
+
+    // Record rows once they are committed (or loaded from the database)
+    remember(rows) {
+        for (const row of rows) {
+            const { fused, supersedes, ...last } = row;
+            this.cache.set(row.icao24, last);
+        }
+
+        const cutoff = Date.now() - CACHE_TTL_MS;
+        for (const [icao24, last] of this.cache) {
+            if (last.ts.getTime() < cutoff) this.cache.delete(icao24);
+        }
+    }
+
+    getStatus() {
+        return {
+            priorities: this.priorities,
+            windowSeconds: this.windowMs / 1000,
+            cachedAircraft: this.cache.size,
+            ...this.stats,
+        };
+    }
+}
+
+export default PositionFusion;
@@ -0,0 +1,340 @@
+import { distanceKm, pointInPolygon } from "./geography.js";
+
+// Alert subscription event types for geofence transitions
+export const GEOFENCE_EVENT_TYPES = [
+    "geofence_entry",
+    "geofence_exit",
+    "geofence_lost",
+];
+
+// Aircraft not heard from for this long are forgotten; any geofence they
+// were inside gets a "lost" event
+const SEEN_TTL_MS = 30 * 60 * 1000;
+
+const TRANSITION_VERBS = {
+    entry: "entered",
+    exit: "left",
+    lost: "went silent in",
+};
+
+// Problem with a geofence's shape, or null if it's usable
+export function validateGeofence({ shape, coordinates, center, radius_km }) {
+    if (shape === "polygon") {
+        if (!Array.isArray(coordinates) || coordinates.length < 3) {
+            return "A polygon needs at least 3 [lon, lat] points";
+        }
+        const invalid = coordinates.some(
+            ([lon, lat]) =>
+                !(lon >= -180 && lon <= 180 && lat >= -90 && lat <= 90),
+        );
+        return invalid ? "Polygon points must be [lon, lat] pairs" : null;
+    }
+
+    if (shape === "circle") {
+        if (
+            !center ||
+            !(center.lat >= -90 && center.lat <= 90) ||
+            !(center.lon >= -180 && center.lon <= 180)
+        ) {
+            return "A circle needs a center with lat and lon";
+        }
+        return radius_km > 0 ? null : "A circle needs a positive radius_km";
+    }
+
+    return "shape must be polygon or circle";
+}
+
+export function containsPoint(geofence, lat, lon) {
+    if (geofence.shape === "circle") {
+        return (
+            distanceKm(lat, lon, geofence.center_lat, geofence.center_lon) <=
+            geofence.radius_km
+        );
+    }
+    return pointInPolygon(lat, lon, geofence.coordinates);
+}
+
+export function formatGeofence(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        shape: row.shape,
+        coordinates: row.shape === "polygon" ? row.coordinates : null,
+        center:
+            row.shape === "circle"
+                ? { lat: row.center_lat, lon: row.center_lon }
+                : null,
+        radiusKm: row.shape === "circle" ? row.radius_km : null,
+        active: row.active,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+    };
+}
+
+// Checks each committed flight batch against every active geofence. Which
+// aircraft are inside which geofence is kept in memory and mirrored to
+// geofence_states, so a restart doesn't re-raise entries for aircraft that
+// were already inside. Batches and reloads are run one at a time.
+// lastSeen maps icao24 to { ts, seenAt, position }: the newest position's
+// time (for out-of-order checks), when it arrived, and the position itself.
+class GeofenceMonitor {
+    constructor(fastify) {
+        this.fastify = fastify;
+        this.geofences = [];
+        this.inside = new Set();
+        this.lastSeen = new Map();
+        this.queue = Promise.resolve();
+        this.listeners = [];
+        this.loaded = false;
+        this.lastError = null;
+        this.lastBatchAt = null;
+        this.stats = {
+            entry: 0,
+            exit: 0,
+            lost: 0,
+        };
+    }
+
+    // Register a callback for each recorded entry, exit or lost contact
+    onEvent(listener) {
+        this.listeners.push(listener);
+    }
+
+    enqueue(task) {
+        const run = this.queue.then(task);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    async load() {
+        const geofences = await this.fastify.pg.query(
+            "SELECT * FROM geofences WHERE active = true",
+        );
+        const states = await this.fastify.pg.query(
+            "SELECT geofence_id, icao24 FROM geofence_states",
+        );
+
+        this.geofences = geofences.rows;
+        this.inside = new Set(
+            states.rows.map((row) => `${row.geofence_id}:${row.icao24}`),
+        );
+
+        // Aircraft restored as inside that haven't reported since the
+        // restart still need to time out
+        const now = Date.now();
+        for (const row of states.rows) {
+            if (this.lastSeen.has(row.icao24)) continue;
+            this.lastSeen.set(row.icao24, {
+                ts: -Infinity,
+                seenAt: now,
+                position: {
+                    icao24: row.icao24,
+                    callsign: null,
+                    ts: new Date(now).toISOString(),
+                    lat: null,
+                    lon: null,
+                    altitude: null,
+                },
+            });
+        }
+        this.loaded = true;
+    }
+
+    // Pick up created, edited or deleted geofences
+    reload() {
+        return this.enqueue(() => this.load());
+    }
+
+    async start() {
+        try {
+            await this.reload();
+            this.lastError = null;
+            this.fastify.log.info(
+                `Monitoring ${this.geofences.length} geofences`,
+            );
+        } catch (error) {
+            this.lastError = error.message;
+            this.fastify.log.error("Failed to load geofences:", error);
+        }
+    }
+
+    processBatch(positions) {
+        return this.enqueue(() => this.evaluate(positions));
+    }
+
+    async evaluate(positions, now = Date.now()) {
+        this.lastBatchAt = now;
+        const recorded = [];
+
+        for (const position of positions) {
+            const ts = Date.parse(position.ts);
+            const lastSeen = this.lastSeen.get(position.icao24);
+
+            // Sources can deliver a position after a newer one
+            if (lastSeen && ts <= lastSeen.ts) continue;
+            this.lastSeen.set(position.icao24, { ts, seenAt: now, position });
+
+            for (const geofence of this.geofences) {
+                const isInside = containsPoint(
+                    geofence,
+                    position.lat,
+                    position.lon,
+                );
+                if (
+                    isInside ===
+                    this.inside.has(`${geofence.id}:${position.icao24}`)
+                ) {
+                    continue;
+                }
+
+                await this.transition(
+                    geofence,
+                    position,
+                    isInside ? "entry" : "exit",
+                    recorded,
+                );
+            }
+        }
+
+        for (const [icao24, lastSeen] of this.lastSeen) {
+            if (now - lastSeen.seenAt <= SEEN_TTL_MS) continue;
+
+            // Contact lost while inside: close the state out so it doesn't
+            // linger and a later return raises a fresh entry
+            let closed = true;
+            for (const geofence of this.geofences) {
+                if (!this.inside.has(`${geofence.id}:${icao24}`)) continue;
+                closed =
+                    (await this.transition(
+                        geofence,
+                        lastSeen.position,
+                        "lost",
+                        recorded,
+                    )) && closed;
+            }
+
+            // Keep it if a state couldn't be cleared so the next batch retries
+            if (closed) this.lastSeen.delete(icao24);
+        }
+
+        for (const transition of recorded) {
+            this.stats[transition.event.type]++;
+            this.fastify.log.info(
+                `Geofence ${transition.event.type}: ${transition.event.callsign || transition.event.icao24} ${TRANSITION_VERBS[transition.event.type]} ${transition.geofence.name}`,
+            );
+
+            for (const listener of this.listeners) {
+                Promise.resolve()
+                    .then(() => listener(transition))
+                    .catch((listenerError) => {
+                        this.fastify.log.error(
+                            "Geofence event listener failed:",
+                            listenerError,
+                        );
+                    });
+            }
+        }
+
+        return recorded;
+    }
+
+    // Record a transition and update the in-memory state, collecting the
+    // event into recorded; returns false if it couldn't be stored
+    async transition(geofence, position, type, recorded) {
+        const key = `${geofence.id}:${position.icao24}`;
+
+        try {
+            const event = await this.record(geofence, position, type);
+            if (type === "entry") {
+                this.inside.add(key);
+            } else {
+                this.inside.delete(key);
+            }
+            if (event) recorded.push({ event, geofence });
+            return true;
+        } catch (error) {
+            this.fastify.log.error(
+                `Failed to record geofence ${geofence.id} transition for ${position.icao24}:`,
+                error,
+            );
+            return false;
+        }
+    }
+
+    // Record the event and the aircraft's new state together; returns the
+    // event row, or null if the same transition was already recorded
+    async record(geofence, position, type) {
+        const client = await this.fastify.pg.connect();
+
+        try {
+            await client.query("BEGIN");
+
+            if (type === "entry") {
+                await client.query(
+                    `
+                    INSERT INTO geofence_states (geofence_id, icao24, entered_at)
+                    VALUES ($1, $2, $3)
+                    ON CONFLICT (geofence_id, icao24) DO NOTHING
+                `,
+                    [geofence.id, position.icao24, position.ts],
+                );
+            } else {
+                await client.query(
+                    "DELETE FROM geofence_states WHERE geofence_id = $1 AND icao24 = $2",
+                    [geofence.id, position.icao24],
+                );
+            }
+
+            const result = await client.query(
+                `
+                INSERT INTO geofence_events
+                (geofence_id, type, asset_id, icao24, callsign, ts, lat, lon,
+                 altitude, event_key)
+                SELECT $1, $2, (SELECT id FROM assets WHERE code = $3), $3, $4,
+                       $5, $6, $7, $8, $9
+                ON CONFLICT (event_key) DO NOTHING
+                RETURNING *
+            `,
+                [
+                    geofence.id,
+                    type,
+                    position.icao24,
+                    position.callsign,
+                    position.ts,
+                    position.lat,
+                    position.lon,
+                    position.altitude,
+                    `${geofence.id}:${position.icao24}:${type}:${Math.floor(Date.parse(position.ts) / 1000)}`,
+                ],
+            );
+
+            await client.query("COMMIT");
+            return result.rows[0] || null;
+        } catch (error) {
+            try {
+                await client.query("ROLLBACK");
+            } catch (rollbackError) {
+                // Ignore rollback errors for already rolled back transactions
+            }
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    getStatus() {
+        return {
+            service: "Geofence Monitor",
+            running: this.loaded,
+            geofences: this.geofences.length,
+            aircraftInside: this.inside.size,
+            lastBatch: this.lastBatchAt
+                ? new Date(this.lastBatchAt).toISOString()
+                : null,
+            lastError: this.lastError,
+            detected: this.stats,
+        };
+    }
+}
+
+export default GeofenceMonitor;
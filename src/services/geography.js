@@ -0,0 +1,152 @@
+// Coarse geography for the UK area of interest. Rings are [lon, lat] pairs
+// (GeoJSON order) and are deliberately low resolution: good enough to tell
+// open sea from land a few kilometres inland, not for navigation.
+
+const EARTH_RADIUS_KM = 6371;
+
+// prettier-ignore
+export const LAND_POLYGONS = {
+    "Great Britain": [
+        [-5.71, 50.06], [-5.05, 49.96], [-4.2, 50.35], [-3.64, 50.22],
+        [-3.4, 50.62], [-2.45, 50.52], [-1.95, 50.6], [-0.79, 50.72],
+        [-0.14, 50.82], [0.24, 50.73], [0.97, 50.91], [1.37, 51.14],
+        [1.45, 51.38], [0.9, 51.45], [1.15, 51.78], [1.58, 52.08],
+        [1.76, 52.48], [1.3, 52.93], [0.5, 52.95], [0.3, 52.8],
+        [0.34, 53.14], [0.12, 53.58], [-0.07, 54.12], [-0.6, 54.49],
+        [-1.2, 54.69], [-1.42, 55.02], [-2.0, 55.77], [-2.13, 55.91],
+        [-2.5, 56.0], [-2.58, 56.28], [-2.58, 56.56], [-2.07, 57.14],
+        [-1.78, 57.5], [-2.0, 57.69], [-3.28, 57.72], [-4.2, 57.5],
+        [-3.77, 57.86], [-3.65, 58.12], [-3.08, 58.44], [-3.03, 58.64],
+        [-3.37, 58.67], [-5.0, 58.62], [-5.25, 58.15], [-5.2, 57.9],
+        [-5.7, 57.28], [-5.83, 56.99], [-6.23, 56.73], [-5.5, 56.4],
+        [-5.8, 55.3], [-4.63, 55.46], [-4.86, 55.24], [-4.86, 54.63],
+        [-4.05, 54.83], [-3.26, 54.98], [-3.5, 54.72], [-3.64, 54.51],
+        [-3.23, 54.1], [-2.87, 54.07], [-3.05, 53.82], [-3.0, 53.65],
+        [-3.05, 53.45], [-3.32, 53.36], [-3.86, 53.34], [-4.68, 53.31],
+        [-4.78, 52.77], [-4.4, 52.88], [-4.05, 52.72], [-4.08, 52.41],
+        [-4.66, 52.1], [-5.3, 51.88], [-5.17, 51.68], [-4.7, 51.67],
+        [-4.33, 51.56], [-3.94, 51.6], [-3.7, 51.48], [-3.17, 51.45],
+        [-2.7, 51.5], [-2.98, 51.34], [-3.47, 51.21], [-4.53, 51.02],
+        [-5.03, 50.55], [-5.48, 50.21],
+    ],
+    Ireland: [
+        [-7.37, 55.38], [-6.15, 55.22], [-5.67, 54.66], [-5.43, 54.47],
+        [-5.66, 54.22], [-6.35, 54.0], [-6.05, 53.37], [-5.99, 52.96],
+        [-6.36, 52.17], [-7.0, 52.13], [-8.3, 51.8], [-9.82, 51.45],
+        [-10.48, 52.1], [-9.93, 52.56], [-9.0, 53.2], [-10.24, 53.4],
+        [-10.1, 53.95], [-10.0, 54.3], [-8.6, 54.3], [-8.5, 54.6],
+        [-8.3, 55.13],
+    ],
+    "Isle of Man": [
+        [-4.79, 54.06], [-4.6, 54.05], [-4.32, 54.3], [-4.38, 54.42],
+        [-4.7, 54.25],
+    ],
+    "Outer Hebrides": [
+        [-6.2, 58.52], [-6.15, 58.2], [-7.2, 57.1], [-7.5, 56.8],
+        [-7.65, 57.1], [-7.55, 57.7], [-7.1, 58.2],
+    ],
+    Orkney: [
+        [-3.4, 58.8], [-2.7, 58.8], [-2.4, 59.3], [-3.0, 59.4],
+        [-3.4, 59.1],
+    ],
+    Shetland: [
+        [-1.35, 59.85], [-1.0, 60.2], [-0.75, 60.8], [-1.0, 60.85],
+        [-1.65, 60.5], [-1.7, 60.2],
+    ],
+    // North coast of France and the Low Countries, closed well inland
+    Continent: [
+        [-4.78, 48.38], [-4.5, 48.65], [-2.0, 48.65], [-1.6, 48.65],
+        [-1.9, 49.72], [-1.26, 49.69], [-1.1, 49.35], [0.1, 49.5],
+        [1.08, 49.93], [1.6, 50.73], [1.85, 50.97], [2.37, 51.05],
+        [2.92, 51.23], [3.57, 51.45], [4.0, 51.9], [4.75, 52.96],
+        [7.0, 53.3], [7.0, 47.0], [-2.5, 47.0], [-4.4, 47.8],
+    ],
+};
+
+// Outline of the London and Scottish FIRs
+// prettier-ignore
+export const UK_AIRSPACE = [
+    [-8.0, 48.83], [-2.0, 50.0], [0.0, 50.0], [1.47, 51.1],
+    [2.0, 51.5], [3.37, 52.5], [5.0, 55.0], [5.0, 57.0],
+    [0.0, 61.0], [-10.0, 61.0], [-10.0, 54.5], [-8.25, 54.4],
+    [-5.5, 53.9], [-5.5, 52.0], [-8.0, 51.0],
+];
+
+// Ray-casting test; the ring does not need to repeat its first vertex
+export function pointInPolygon(lat, lon, ring) {
+    let inside = false;
+
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+
+        if (
+            yi > lat !== yj > lat &&
+            lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi
+        ) {
+            inside = !inside;
+        }
+    }
+
+    return inside;
+}
+
+export function distanceKm(lat1, lon1, lat2, lon2) {
+    const toRad = (deg) => (deg * Math.PI) / 180;
+    const dLat = toRad(lat2 - lat1);
+    const dLon = toRad(lon2 - lon1);
+    const a =
+        Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+// Distance from a point to a ring's edges on a local flat projection, which
+// is accurate enough over the tens of kilometres this is used for
+function distanceToRingKm(lat, lon, ring) {
+    const kmPerDegLat = (Math.PI * EARTH_RADIUS_KM) / 180;
+    const kmPerDegLon = kmPerDegLat * Math.cos((lat * Math.PI) / 180);
+    let nearest = Infinity;
+
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const ax = (ring[j][0] - lon) * kmPerDegLon;
+        const ay = (ring[j][1] - lat) * kmPerDegLat;
+        const bx = (ring[i][0] - lon) * kmPerDegLon;
+        const by = (ring[i][1] - lat) * kmPerDegLat;
+
+        const dx = bx - ax;
+        const dy = by - ay;
+        const lengthSq = dx * dx + dy * dy;
+        const t =
+            lengthSq === 0
+                ? 0
+                : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSq));
+
+        nearest = Math.min(nearest, Math.hypot(ax + t * dx, ay + t * dy));
+    }
+
+    return nearest;
+}
+
+export function landAt(lat, lon) {
+    for (const [name, ring] of Object.entries(LAND_POLYGONS)) {
+        if (pointInPolygon(lat, lon, ring)) return name;
+    }
+    return null;
+}
+
+// Kilometres to the nearest coastline; 0 when the point is over land
+export function distanceToCoastKm(lat, lon) {
+    if (landAt(lat, lon)) return 0;
+
+    return Math.min(
+        ...Object.values(LAND_POLYGONS).map((ring) =>
+            distanceToRingKm(lat, lon, ring),
+        ),
+    );
+}
+
+export function inUkAirspace(lat, lon) {
+    return pointInPolygon(lat, lon, UK_AIRSPACE);
+}
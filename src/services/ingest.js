@@ -0,0 +1,519 @@
+import ClassificationService from "./classification.js";
+import { countryForAddress } from "./icao24.js";
+import PositionDedupe from "./dedupe.js";
+import PositionFusion from "./fusion.js";
+
+// Flight sources (OpenSky, a local readsb/dump1090 receiver, SBS-1 feeds)
+// are adapters: each has a `name`, start()/stop() and getStatus(), and hands
+// the ingestor batches of state records in a common shape. Units follow
+// OpenSky's state vectors:
+//
+//   icao24        hex address (any case)
+//   callsign      string or null
+//   countryCode   ISO code hint from the source, or null
+//   lastContact   unix seconds of the last message from the aircraft
+//   timePosition  unix seconds of the last position, or null
+//   lat, lon      degrees
+//   baroAltitude  metres, or null
+//   geoAltitude   metres, or null
+//   onGround      boolean
+//   velocity      ground speed in m/s, or null
+//   heading       true track in degrees, or null
+//   verticalRate  m/s, positive climbing, or null
+//   squawk        four octal digits, or null
+//   spi           boolean
+//   sensors       receiver ids, or null
+//   positionSource  0 ADS-B, 1 ASTERIX, 2 MLAT, 3 FLARM, or null
+//
+// The adapter's name is stored on each flight_events row as its source.
+// When several sources report an aircraft at about the same time the
+// reports are fused into one row (see fusion.js); `source` is then the one
+// that supplied the position and `sources` lists every contributor.
+class FlightIngestor {
+    constructor(fastify, options = {}) {
+        this.fastify = fastify;
+
+        // Military hex/callsign rules live in the classification_rules table
+        this.classifier =
+            options.classifier || new ClassificationService(fastify);
+
+        // Skips states that repeat the last row written for an aircraft
+        this.dedupe = new PositionDedupe();
+        // Merges near-simultaneous reports from different sources
+        this.fusion = new PositionFusion();
+
+        this.listeners = [];
+        this.lastBatches = {};
+
+        // Batches from concurrent sources are written one at a time so they
+        // don't contend for the same asset rows
+        this.queue = Promise.resolve();
+    }
+
+    // Rounded number from a number or numeric string, else null
+    safeInteger(value) {
+        if (value === null || value === undefined) return null;
+        if (typeof value === "number") return Math.round(value);
+        if (typeof value === "string") {
+            const parsed = parseFloat(value);
+            return isNaN(parsed) ? null : Math.round(parsed);
+        }
+        return null;
+    }
+
+    // Number from a number or numeric string, else null
+    safeFloat(value) {
+        if (value === null || value === undefined) return null;
+        if (typeof value === "number") return value;
+        if (typeof value === "string") {
+            const parsed = parseFloat(value);
+            return isNaN(parsed) ? null : parsed;
+        }
+        return null;
+    }
+
+    // Transponder codes are four octal digits; anything else is dropped
+    safeSquawk(value) {
+        if (value === null || value === undefined) return null;
+        const squawk = String(value).trim();
+        return /^[0-7]{4}$/.test(squawk) ? squawk : null;
+    }
+
+    isMilitaryAircraft(hexCode, callsign, countryCode) {
+        return this.classifier.isMilitary(hexCode, callsign, countryCode);
+    }
+
+    // Register a callback for the positions committed by each ingest batch
+    onBatch(listener) {
+        this.listeners.push(listener);
+    }
+
+    // Normalise one state record into a row; null when it has no usable
+    // position
+    parseRecord(source, record) {
+        const lat = this.safeFloat(record.lat);
+        const lon = this.safeFloat(record.lon);
+        if (!record.icao24 || lat === null || lon === null) return null;
+
+        const icao24 = String(record.icao24).trim().toUpperCase();
+
+        return {
+            source,
+            icao24,
+            callsign:
+                (record.callsign && String(record.callsign).trim()) || null,
+            // Allocating state of the ICAO24 address, falling back to
+            // whatever the source reports
+            countryCode:
+                countryForAddress(icao24) || record.countryCode || null,
+            lastContact: record.lastContact,
+            lat,
+            lon,
+            altitude: this.safeInteger(record.baroAltitude),
+            velocity: this.safeFloat(record.velocity),
+            heading: this.safeFloat(record.heading),
+            verticalRate: this.safeFloat(record.verticalRate),
+            onGround: record.onGround || false,
+            geoAltitude: this.safeInteger(record.geoAltitude),
+            squawk: this.safeSquawk(record.squawk),
+            spi: record.spi || false,
+            sensors: Array.isArray(record.sensors)
+                ? record.sensors
+                      .map((id) => this.safeInteger(id))
+                      .filter(Number.isInteger)
+                : null,
+            positionSource: this.safeInteger(record.positionSource),
+            timePosition:
+                record.timePosition && record.timePosition > 0
+                    ? new Date(record.timePosition * 1000)
+                    : null,
+        };
+    }
+
+    // Allow 1 min in the future and 24h in the past
+    validTimestamp(row) {
+        if (!row.lastContact || row.lastContact <= 0) {
+            this.fastify.log.warn(
+                `Invalid timestamp for aircraft ${row.icao24}: ${row.lastContact}`,
+            );
+            return false;
+        }
+
+        row.ts = new Date(row.lastContact * 1000);
+
+        const now = Date.now();
+        const timestampMs = row.ts.getTime();
+        if (timestampMs > now + 60000 || timestampMs < now - 86400000) {
+            this.fastify.log.warn(
+                `Unreasonable timestamp for aircraft ${row.icao24}: ${row.ts.toISOString()}`,
+            );
+            return false;
+        }
+
+        return true;
+    }
+
+    // Insert new aircraft (enriched from the local aircraft database) and
+    // refresh callsign/country on known ones; returns code -> asset id
+    async upsertAssets(client, rows) {
+        const result = await client.query(
+            `
+            INSERT INTO assets
+            (type, code, callsign, country_code,
+             registration, typecode, operator, name)
+            SELECT 'aircraft', s.code, s.callsign, s.country_code,
+                   r.registration, r.typecode, r.operator, r.model
+            FROM unnest($1::text[], $2::text[], $3::text[])
+                AS s(code, callsign, country_code)
+            LEFT JOIN aircraft_registry r ON r.icao24 = s.code
+            ON CONFLICT (code) DO UPDATE SET
+                callsign = COALESCE(EXCLUDED.callsign, assets.callsign),
+                country_code = COALESCE(EXCLUDED.country_code, assets.country_code),
+                updated_at = NOW()
+            RETURNING id, code
+        `,
+            [
+                rows.map((row) => row.icao24),
+                rows.map((row) => row.callsign),
+                rows.map((row) => row.countryCode),
+            ],
+        );
+
+        return new Map(result.rows.map((asset) => [asset.code, asset.id]));
+    }
+
+    async insertFlightEvents(client, rows, assetIds) {
+        await client.query(
+            `
+            INSERT INTO flight_events
+            (asset_id, ts, lat, lon, alt, velocity, heading, vertical_rate, on_ground,
+             geo_alt, squawk, spi, sensors, position_source, time_position, source,
+             sources)
+            SELECT asset_id, ts, lat, lon, alt, velocity, heading, vertical_rate,
+                   on_ground, geo_alt, squawk, spi, sensors::integer[],
+                   position_source, time_position, source, sources::text[]
+            FROM unnest(
+                $1::uuid[], $2::timestamptz[], $3::real[], $4::real[], $5::integer[],
+                $6::real[], $7::real[], $8::real[], $9::boolean[], $10::integer[],
+                $11::text[], $12::boolean[], $13::text[], $14::smallint[],
+                $15::timestamptz[], $16::text[], $17::text[]
+            ) AS s(asset_id, ts, lat, lon, alt, velocity, heading, vertical_rate,
+                   on_ground, geo_alt, squawk, spi, sensors, position_source,
+                   time_position, source, sources)
+            ON CONFLICT (asset_id, ts) DO UPDATE SET
+                lat = EXCLUDED.lat,
+                lon = EXCLUDED.lon,
+                alt = EXCLUDED.alt,
+                velocity = EXCLUDED.velocity,
+                heading = EXCLUDED.heading,
+                vertical_rate = EXCLUDED.vertical_rate,
+                on_ground = EXCLUDED.on_ground,
+                geo_alt = EXCLUDED.geo_alt,
+                squawk = EXCLUDED.squawk,
+                spi = EXCLUDED.spi,
+                sensors = EXCLUDED.sensors,
+                position_source = EXCLUDED.position_source,
+                time_position = EXCLUDED.time_position,
+                source = EXCLUDED.source,
+                sources = EXCLUDED.sources
+        `,
+            [
+                rows.map((row) => assetIds.get(row.icao24)),
+                rows.map((row) => row.ts.toISOString()),
+                rows.map((row) => row.lat),
+                rows.map((row) => row.lon),
+                rows.map((row) => row.altitude),
+                rows.map((row) => row.velocity),
+                rows.map((row) => row.heading),
+                rows.map((row) => row.verticalRate),
+                rows.map((row) => row.onGround),
+                rows.map((row) => row.geoAltitude),
+                rows.map((row) => row.squawk),
+                rows.map((row) => row.spi),
+                // Ragged arrays can't be unnested, so sensors go as literals
+                rows.map((row) =>
+                    row.sensors ? `{${row.sensors.join(",")}}` : null,
+                ),
+                rows.map((row) => row.positionSource),
+                rows.map((row) =>
+                    row.timePosition ? row.timePosition.toISOString() : null,
+                ),
+                rows.map((row) => row.source),
+                rows.map((row) => `{${row.sources.join(",")}}`),
+            ],
+        );
+    }
+
+    // Drop the rows that fused reports replaced at a different ts
+    async deleteSuperseded(client, rows, assetIds) {
+        const superseded = rows.filter((row) => row.supersedes);
+        if (superseded.length === 0) return;
+
+        await client.query(
+            `
+            DELETE FROM flight_events fe
+            USING unnest($1::uuid[], $2::timestamptz[]) AS s(asset_id, ts)
+            WHERE fe.asset_id = s.asset_id AND fe.ts = s.ts
+        `,
+            [
+                superseded.map((row) => assetIds.get(row.icao24)),
+                superseded.map((row) => row.supersedes.toISOString()),
+            ],
+        );
+    }
+
+    // Seed fusion with the latest stored row of aircraft it hasn't seen
+    // this run, so a restart doesn't bring back last-writer-wins
+    async loadFused(rows) {
+        const unknown = this.fusion.unknown(rows);
+        if (unknown.length === 0) return;
+
+        const earliest = Math.min(...rows.map((row) => row.ts.getTime()));
+        const result = await this.fastify.pg.query(
+            `
+            SELECT DISTINCT ON (a.code)
+                a.code, a.callsign, a.country_code, fe.ts, fe.lat, fe.lon,
+                fe.alt, fe.velocity, fe.heading, fe.vertical_rate, fe.on_ground,
+                fe.geo_alt, fe.squawk, fe.spi, fe.sensors, fe.position_source,
+                fe.time_position, fe.source, fe.sources
+            FROM flight_events fe
+            JOIN assets a ON a.id = fe.asset_id
+            WHERE a.code = ANY($1) AND fe.ts >= $2
+            ORDER BY a.code, fe.ts DESC
+        `,
+            [unknown, new Date(earliest - this.fusion.windowMs).toISOString()],
+        );
+
+        this.fusion.remember(
+            result.rows.map((row) => ({
+                icao24: row.code,
+                callsign: row.callsign,
+                countryCode: row.country_code,
+                ts: new Date(row.ts),
+                lat: row.lat,
+                lon: row.lon,
+                altitude: row.alt,
+                velocity: row.velocity,
+                heading: row.heading,
+                verticalRate: row.vertical_rate,
+                onGround: row.on_ground,
+                geoAltitude: row.geo_alt,
+                squawk: row.squawk,
+                spi: row.spi,
+                sensors: row.sensors,
+                positionSource: row.position_source,
+                timePosition: row.time_position
+                    ? new Date(row.time_position)
+                    : null,
+                source: row.source,
+                sources: row.sources?.length ? row.sources : [row.source],
+            })),
+        );
+    }
+
+    // Write rows with two set-based statements. If they fail, roll back to
+    // the savepoint and bisect so one bad row costs O(log n) extra
+    // statements instead of a transaction per aircraft.
+    async writeRows(client, rows) {
+        await client.query("SAVEPOINT ingest_rows");
+
+        try {
+            const assetIds = await this.upsertAssets(client, rows);
+            await this.insertFlightEvents(client, rows, assetIds);
+            await this.deleteSuperseded(client, rows, assetIds);
+            await client.query("RELEASE SAVEPOINT ingest_rows");
+            return { written: rows, failed: [] };
+        } catch (error) {
+            await client.query("ROLLBACK TO SAVEPOINT ingest_rows");
+
+            if (rows.length === 1) {
+                await client.query("RELEASE SAVEPOINT ingest_rows");
+                const [row] = rows;
+                this.fastify.log.error(
+                    `Error processing aircraft ${row.icao24}: ${
+                        error.message || "Unknown error"
+                    } (Code: ${error.code || "N/A"})`,
+                );
+                this.fastify.log.error(`Aircraft details:`, {
+                    source: row.source,
+                    icao24: row.icao24,
+                    callsign: row.callsign,
+                    countryCode: row.countryCode,
+                    timestamp: row.ts.toISOString(),
+                    altitude: row.altitude,
+                    velocity: row.velocity,
+                    heading: row.heading,
+                    verticalRate: row.verticalRate,
+                });
+                return { written: [], failed: rows };
+            }
+
+            const middle = Math.ceil(rows.length / 2);
+            const first = await this.writeRows(client, rows.slice(0, middle));
+            const second = await this.writeRows(client, rows.slice(middle));
+            await client.query("RELEASE SAVEPOINT ingest_rows");
+
+            return {
+                written: [...first.written, ...second.written],
+                failed: [...first.failed, ...second.failed],
+            };
+        }
+    }
+
+    // Queue a batch of state records from a source; resolves to the batch
+    // summary once it is committed
+    ingest(source, records) {
+        const run = this.queue.then(() => this.processRecords(source, records));
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    // Filters military aircraft in memory, then upserts assets and inserts
+    // flight events for the whole batch in a single transaction
+    async processRecords(source, records) {
+        if (!records || records.length === 0) {
+            return null;
+        }
+
+        await this.classifier.ensureLoaded();
+
+        const started = Date.now();
+        const rows = new Map();
+        let militaryCount = 0;
+        let invalid = 0;
+
+        for (const record of records) {
+            const row = this.parseRecord(source, record);
+            if (!row) continue;
+
+            if (
+                !this.isMilitaryAircraft(
+                    row.icao24,
+                    row.callsign,
+                    row.countryCode,
+                )
+            ) {
+                continue;
+            }
+
+            militaryCount++;
+
+            if (!this.validTimestamp(row)) {
+                invalid++;
+                continue;
+            }
+
+            // A multi-row upsert can't touch the same key twice; keep the
+            // latest contact for each aircraft
+            const existing = rows.get(row.icao24);
+            if (!existing || row.ts > existing.ts) {
+                rows.set(row.icao24, row);
+            }
+        }
+
+        if (rows.size > 0) {
+            try {
+                await this.loadFused([...rows.values()]);
+            } catch (error) {
+                this.fastify.log.warn(
+                    "Failed to load stored positions for fusion:",
+                    error.message,
+                );
+            }
+        }
+
+        const resolved = this.fusion.resolve([...rows.values()]);
+        const changed = this.dedupe.filter(resolved);
+        let written = [];
+        let failed = [];
+
+        if (changed.length > 0) {
+            const client = await this.fastify.pg.connect();
+
+            try {
+                await client.query("BEGIN");
+                ({ written, failed } = await this.writeRows(client, changed));
+                await client.query("COMMIT");
+                this.dedupe.remember(written);
+                this.fusion.remember(written);
+            } catch (error) {
+                try {
+                    await client.query("ROLLBACK");
+                } catch (rollbackError) {
+                    // Ignore rollback errors for already rolled back transactions
+                }
+                this.fastify.log.error(
+                    `Failed to process ${source} aircraft states:`,
+                    error,
+                );
+                throw error;
+            } finally {
+                client.release();
+            }
+        }
+
+        const errors = invalid + failed.length;
+        const batch = {
+            states: records.length,
+            military: militaryCount,
+            written: written.length,
+            unchanged: rows.size - changed.length,
+            fused: written.filter((row) => row.fused).length,
+            errors,
+            durationMs: Date.now() - started,
+            completedAt: new Date().toISOString(),
+        };
+        this.lastBatches[source] = batch;
+
+        this.fastify.log.info(
+            `Processed ${written.length} flight events from ${source} (${militaryCount} military aircraft, ${batch.unchanged} unchanged, ${errors} errors) from ${records.length} total states in ${batch.durationMs}ms`,
+        );
+
+        const positions = written.map((row) => ({
+            icao24: row.icao24,
+            callsign: row.callsign,
+            country: row.countryCode,
+            ts: row.ts.toISOString(),
+            lat: row.lat,
+            lon: row.lon,
+            altitude: row.altitude,
+            velocity: row.velocity,
+            heading: row.heading,
+            verticalRate: row.verticalRate,
+            onGround: row.onGround,
+            geoAltitude: row.geoAltitude,
+            squawk: row.squawk,
+            spi: row.spi,
+            positionSource: row.positionSource,
+            source: row.source,
+            sources: row.sources,
+        }));
+
+        if (positions.length > 0) {
+            for (const listener of this.listeners) {
+                Promise.resolve()
+                    .then(() => listener(positions))
+                    .catch((listenerError) => {
+                        this.fastify.log.error(
+                            "Flight batch listener failed:",
+                            listenerError,
+                        );
+                    });
+            }
+        }
+
+        return batch;
+    }
+
+    getStatus() {
+        return {
+            service: "Flight Ingest",
+            running: true,
+            lastBatches: this.lastBatches,
+            dedupe: this.dedupe.getStatus(),
+            fusion: this.fusion.getStatus(),
+        };
+    }
+}
+
+export default FlightIngestor;
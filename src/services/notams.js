@@ -0,0 +1,435 @@
+import fs from "fs";
+import path from "path";
+import axios from "axios";
+import cron from "node-cron";
+
+// ICAO NOTAM parsing for ForceFlow UK
+// Handles the standard Q) A) B) C) D) E) F) G) item layout. Radius is kept in
+// nautical miles as published in the Q-line.
+
+const NOTAM_HEADER =
+    /\(?\s*([A-Z]\d{4}\/\d{2})\s+NOTAM([NRC])(?:\s+([A-Z]\d{4}\/\d{2}))?/;
+
+// Q-code prefixes mapped to our categories (most specific first)
+const QCODE_CATEGORIES = [
+    [/^QRD/, "danger_area"],
+    [/^QRR/, "restricted_area"],
+    [/^QRP/, "prohibited_area"],
+    [/^QRT/, "temporary_restricted_area"],
+    [/^QRA/, "airspace_reservation"],
+    [/^QWM/, "firing"],
+    [/^QWE/, "military_exercise"],
+    [/^QWF/, "air_refuelling"],
+    [/^QWU/, "unmanned_aircraft"],
+    [/^QWA/, "air_display"],
+    [/^QWP/, "parachuting"],
+    [/^QW/, "warning"],
+    [/^QF/, "aerodrome"],
+    [/^QM/, "aerodrome"],
+    [/^QN/, "navaid"],
+    [/^QO/, "obstacle"],
+];
+
+const MILITARY_CATEGORIES = [
+    "danger_area",
+    "firing",
+    "military_exercise",
+    "air_refuelling",
+];
+
+const MILITARY_TEXT =
+    /\b(MIL|MILITARY|RAF|ROYAL NAVY|NATO|EXER|EXERCISE|LIVE FIRING|GUNNERY|AIR TO AIR|AAR|TACTICAL|LOW FLYING|ORDNANCE)\b/;
+
+// YYMMDDHHMM (UTC) -> Date; PERM/blank -> null
+export function parseNotamTime(value) {
+    if (!value) return null;
+
+    const match = value.trim().match(/^(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})/);
+    if (!match) return null;
+
+    const [, yy, mm, dd, hh, mi] = match.map(Number);
+    const date = new Date(Date.UTC(2000 + yy, mm - 1, dd, hh, mi));
+    return isNaN(date.getTime()) ? null : date;
+}
+
+// DDMM[NS]DDDMM[EW]RRR -> { lat, lon, radius }
+export function parseQLineCoordinates(value) {
+    const match = value?.match(
+        /^(\d{2})(\d{2})([NS])(\d{3})(\d{2})([EW])(\d{3})?$/,
+    );
+    if (!match) return null;
+
+    const [, latDeg, latMin, ns, lonDeg, lonMin, ew, radius] = match;
+    const lat =
+        (parseInt(latDeg) + parseInt(latMin) / 60) * (ns === "S" ? -1 : 1);
+    const lon =
+        (parseInt(lonDeg) + parseInt(lonMin) / 60) * (ew === "W" ? -1 : 1);
+
+    return {
+        lat: parseFloat(lat.toFixed(4)),
+        lon: parseFloat(lon.toFixed(4)),
+        radius: radius ? parseInt(radius) : null,
+    };
+}
+
+export function parseQLine(value) {
+    if (!value) return null;
+
+    const parts = value.replace(/\s+/g, "").split("/");
+    if (parts.length < 8) return null;
+
+    const [fir, qcode, traffic, purpose, scope, lower, upper, coords] = parts;
+
+    return {
+        fir,
+        qcode,
+        traffic,
+        purpose,
+        scope,
+        lowerFl: /^\d{3}$/.test(lower) ? parseInt(lower) : null,
+        upperFl: /^\d{3}$/.test(upper) ? parseInt(upper) : null,
+        ...(parseQLineCoordinates(coords) || {
+            lat: null,
+            lon: null,
+            radius: null,
+        }),
+    };
+}
+
+export function categorise(qcode, text = "") {
+    let category = "other";
+    if (qcode) {
+        const entry = QCODE_CATEGORIES.find(([pattern]) => pattern.test(qcode));
+        if (entry) category = entry[1];
+    }
+
+    const military =
+        MILITARY_CATEGORIES.includes(category) ||
+        MILITARY_TEXT.test(text.toUpperCase());
+
+    return { category, military };
+}
+
+// Split a lettered-item NOTAM body into { Q, A, B, C, D, E, F, G }
+function splitItems(body) {
+    const items = {};
+    const markers = [...body.matchAll(/(?:^|\s)([QA-G])\)\s*/g)];
+
+    markers.forEach((marker, index) => {
+        const start = marker.index + marker[0].length;
+        const end =
+            index + 1 < markers.length ? markers[index + 1].index : body.length;
+        items[marker[1]] = body.slice(start, end).trim();
+    });
+
+    return items;
+}
+
+// Parse a single ICAO NOTAM into a row-shaped object
+export function parseNotam(raw) {
+    const text = raw.trim();
+    const header = text.match(NOTAM_HEADER);
+    if (!header) return null;
+
+    const [, series, action, referenced] = header;
+    const items = splitItems(text.slice(header.index + header[0].length));
+
+    // Trailing ")" closes the NOTAM and ends up on the last item
+    for (const key of Object.keys(items)) {
+        items[key] = items[key].replace(/\)\s*$/, "").trim();
+    }
+
+    const location = items.A ? items.A.split(/\s+/)[0] : null;
+    const q = parseQLine(items.Q);
+    const description = items.E ? items.E.replace(/\s+/g, " ") : null;
+    const { category, military } = categorise(q?.qcode, description || "");
+
+    const tsStart = parseNotamTime(items.B);
+    if (!tsStart && action !== "C") return null;
+
+    return {
+        id: location ? `${location} ${series}` : series,
+        series,
+        action,
+        referenced: referenced
+            ? location
+                ? `${location} ${referenced}`
+                : referenced
+            : null,
+        location,
+        qcode: q?.qcode || null,
+        tsStart,
+        tsEnd:
+            items.C && !/PERM/.test(items.C) ? parseNotamTime(items.C) : null,
+        title: description
+            ? description.split(/(?<=\.)\s/)[0].substring(0, 120)
+            : q?.qcode || series,
+        description,
+        category,
+        military,
+        lat: q?.lat ?? null,
+        lon: q?.lon ?? null,
+        radius: q?.radius ?? null,
+        lowerFl: q?.lowerFl ?? null,
+        upperFl: q?.upperFl ?? null,
+        raw: text,
+    };
+}
+
+// Split a document containing many NOTAMs and parse each one
+export function parseNotams(text) {
+    if (!text) return [];
+
+    return text
+        .split(/(?=\(?\s*[A-Z]\d{4}\/\d{2}\s+NOTAM[NRC])/)
+        .map((chunk) => chunk.trim())
+        .filter(Boolean)
+        .map(parseNotam)
+        .filter(Boolean);
+}
+
+// Built-in feed: a file, or every .txt/.notam file in a directory
+export function fileFeed(location) {
+    return {
+        name: `file:${location}`,
+        async fetch() {
+            const stat = fs.statSync(location);
+            const files = stat.isDirectory()
+                ? fs
+                      .readdirSync(location)
+                      .filter((file) => /\.(txt|notam)$/i.test(file))
+                      .map((file) => path.join(location, file))
+                : [location];
+
+            return files.map((file) => ({
+                text: fs.readFileSync(file, "utf8"),
+                sourceUrl: `file://${path.resolve(file)}`,
+            }));
+        },
+    };
+}
+
+// Built-in feed: plain-text NOTAMs over HTTP
+export function urlFeed(url) {
+    return {
+        name: url,
+        async fetch() {
+            const response = await axios.get(url, {
+                responseType: "text",
+                timeout: 30000,
+                headers: { "User-Agent": "ForceFlow-UK/1.0" },
+            });
+            return [{ text: response.data, sourceUrl: url }];
+        },
+    };
+}
+
+class NotamService {
+    constructor(fastify) {
+        this.fastify = fastify;
+        this.isRunning = false;
+        this.lastRun = null;
+        this.lastResult = null;
+        this.task = null;
+        this.feeds = [];
+
+        // NOTAM_FILES: comma-separated files/directories; NOTAM_FEED_URL: text feed
+        for (const location of (process.env.NOTAM_FILES || "")
+            .split(",")
+            .map((entry) => entry.trim())
+            .filter(Boolean)) {
+            this.registerFeed(fileFeed(location));
+        }
+
+        if (process.env.NOTAM_FEED_URL) {
+            this.registerFeed(urlFeed(process.env.NOTAM_FEED_URL));
+        }
+    }
+
+    // A feed is { name, fetch: async () => [{ text, sourceUrl }] }
+    registerFeed(feed) {
+        this.feeds.push(feed);
+    }
+
+    async importText(text, sourceUrl = null) {
+        const notams = parseNotams(text);
+        const result = { parsed: notams.length, imported: 0, cancelled: 0 };
+
+        if (notams.length === 0) {
+            return result;
+        }
+
+        const client = await this.fastify.pg.connect();
+
+        try {
+            for (const notam of notams) {
+                try {
+                    await client.query("BEGIN");
+
+                    // Replacement/cancellation closes the referenced NOTAM
+                    if (notam.referenced) {
+                        await client.query(
+                            `
+                            UPDATE notams
+                            SET ts_end = $1, updated_at = NOW()
+                            WHERE id = $2 AND (ts_end IS NULL OR ts_end > $1)
+                        `,
+                            [notam.tsStart || new Date(), notam.referenced],
+                        );
+                    }
+
+                    if (notam.action === "C") {
+                        await client.query("COMMIT");
+                        result.cancelled++;
+                        continue;
+                    }
+
+                    await client.query(
+                        `
+                        INSERT INTO notams
+                        (id, ts_start, ts_end, title, description, category,
+                         geom_lat, geom_lon, geom_radius, source_url,
+                         location, qcode, lower_fl, upper_fl, military, raw)
+                        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+                        ON CONFLICT (id) DO UPDATE SET
+                            ts_start = EXCLUDED.ts_start,
+                            ts_end = EXCLUDED.ts_end,
+                            title = EXCLUDED.title,
+                            description = EXCLUDED.description,
+                            category = EXCLUDED.category,
+                            geom_lat = EXCLUDED.geom_lat,
+                            geom_lon = EXCLUDED.geom_lon,
+                            geom_radius = EXCLUDED.geom_radius,
+                            source_url = EXCLUDED.source_url,
+                            location = EXCLUDED.location,
+                            qcode = EXCLUDED.qcode,
+                            lower_fl = EXCLUDED.lower_fl,
+                            upper_fl = EXCLUDED.upper_fl,
+                            military = EXCLUDED.military,
+                            raw = EXCLUDED.raw,
+                            updated_at = NOW()
+                    `,
+                        [
+                            notam.id,
+                            notam.tsStart,
+                            notam.tsEnd,
+                            notam.title,
+                            notam.description,
+                            notam.category,
+                            notam.lat,
+                            notam.lon,
+                            notam.radius,
+                            sourceUrl,
+                            notam.location,
+                            notam.qcode,
+                            notam.lowerFl,
+                            notam.upperFl,
+                            notam.military,
+                            notam.raw,
+                        ],
+                    );
+
+                    await client.query("COMMIT");
+                    result.imported++;
+                } catch (notamError) {
+                    try {
+                        await client.query("ROLLBACK");
+                    } catch (rollbackError) {
+                        // Ignore rollback errors for already rolled back transactions
+                    }
+
+                    this.fastify.log.error(
+                        `Error importing NOTAM ${notam.id}: ${notamError.message}`,
+                    );
+                }
+            }
+        } finally {
+            client.release();
+        }
+
+        return result;
+    }
+
+    async ingestData() {
+        if (this.isRunning) {
+            this.fastify.log.warn("NOTAM import already running, skipping...");
+            return;
+        }
+
+        this.isRunning = true;
+        const totals = { parsed: 0, imported: 0, cancelled: 0 };
+
+        try {
+            for (const feed of this.feeds) {
+                try {
+                    const documents = await feed.fetch();
+                    for (const document of documents) {
+                        const result = await this.importText(
+                            document.text,
+                            document.sourceUrl,
+                        );
+                        totals.parsed += result.parsed;
+                        totals.imported += result.imported;
+                        totals.cancelled += result.cancelled;
+                    }
+                } catch (feedError) {
+                    this.fastify.log.error(
+                        `NOTAM feed ${feed.name} failed: ${feedError.message}`,
+                    );
+                }
+            }
+
+            this.lastRun = new Date().toISOString();
+            this.lastResult = totals;
+            this.fastify.log.info(
+                `Imported ${totals.imported} NOTAMs (${totals.cancelled} cancellations) from ${this.feeds.length} feeds`,
+            );
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    start() {
+        if (this.feeds.length === 0) {
+            this.fastify.log.warn(
+                "No NOTAM feeds configured, scheduled NOTAM import disabled",
+            );
+            return;
+        }
+
+        this.fastify.log.info("Starting NOTAM import service...");
+
+        this.task = cron.schedule("*/15 * * * *", async () => {
+            await this.ingestData();
+        });
+
+        setTimeout(() => {
+            this.ingestData();
+        }, 5000);
+
+        this.fastify.log.info(
+            "NOTAM import service started (every 15 minutes)",
+        );
+    }
+
+    stop() {
+        if (this.task) {
+            this.task.stop();
+            this.task = null;
+        }
+        this.fastify.log.info("NOTAM import service stopped");
+    }
+
+    getStatus() {
+        return {
+            service: "NOTAM Import",
+            running: this.isRunning,
+            configured: this.feeds.length > 0,
+            feeds: this.feeds.map((feed) => feed.name),
+            lastRun: this.lastRun || null,
+            lastResult: this.lastResult,
+        };
+    }
+}
+
+export default NotamService;
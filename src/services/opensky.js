@@ -1,8 +1,8 @@
 import axios from "axios";
-import cron from "node-cron";
+import FlightIngestor from "./ingest.js";
 
 class OpenSkyService {
-    constructor(fastify) {
+    constructor(fastify, options = {}) {
         this.fastify = fastify;
         this.baseUrl =
             process.env.OPENSKY_BASE_URL || "https://opensky-network.org/api";
@@ -18,8 +18,45 @@ class OpenSkyService {
         this.username = process.env.OPENSKY_USERNAME;
         this.password = process.env.OPENSKY_PASSWORD;
 
+        // Source name recorded on each flight_events row
+        this.name = "opensky";
+        this.enabled = process.env.OPENSKY_ENABLED !== "false";
+        this.ingestor =
+            options.ingestor ||
+            new FlightIngestor(fastify, { classifier: options.classifier });
+
         this.isRunning = false;
 
+        // Poll scheduling. OpenSky charges credits per /states/all request
+        // (more for larger areas) against a daily allowance that depends on
+        // how we authenticate, so the interval is derived from both.
+        this.timer = null;
+        this.authMode = null;
+        this.nextPollAt = null;
+        this.consecutiveFailures = 0;
+        this.lastError = null;
+        this.retryAfterUntil = null;
+        this.fixedInterval = process.env.OPENSKY_POLL_INTERVAL_SECONDS
+            ? parseInt(process.env.OPENSKY_POLL_INTERVAL_SECONDS)
+            : null;
+        // Authenticated allowance is 4000/day (8000 for feeding receivers)
+        const accountCredits = parseInt(
+            process.env.OPENSKY_DAILY_CREDITS || "4000",
+        );
+        this.dailyCredits = {
+            anonymous: 400,
+            basic_auth: accountCredits,
+            oauth2: accountCredits,
+        };
+        // OpenSky's time resolution: 10s anonymous, 5s authenticated
+        this.minIntervalSeconds = { anonymous: 10, basic_auth: 5, oauth2: 5 };
+        this.maxBackoffMs = 15 * 60 * 1000;
+        this.credits = {
+            remaining: null,
+            usedToday: 0,
+            day: null,
+        };
+
         // ✅ ADDED: OAuth2 token management properties
         this.accessToken = null;
         this.tokenExpiry = null;
@@ -32,23 +69,13 @@ class OpenSkyService {
             lomax: 2.0,
         };
 
-        this.militaryPatterns = [/^43C/, /^400/, /^ADF8/, /^ADF9/];
-
-        this.militaryCallsigns = [
-            /^RRR/,
-            /^ASCOT/,
-            /^KNIFE/,
-            /^TARTAN/,
-            /^RESCUE/,
-            /^ROYAL/,
-        ];
-
         // ✅ ADDED: Country name to ISO code mapping
         this.countryCodeMap = {
             "United Kingdom": "GB",
             Germany: "DE",
             France: "FR",
             Netherlands: "NL",
+            "Kingdom of the Netherlands": "NL",
             Belgium: "BE",
             Switzerland: "CH",
             Austria: "AT",
@@ -162,26 +189,8 @@ class OpenSkyService {
             return isoCode;
         }
 
-        // Fallback: take first 2 characters
-        return countryName.substring(0, 2).toUpperCase();
-    }
-
-    isMilitaryAircraft(hexCode, callsign) {
-        if (hexCode) {
-            const hex = hexCode.toUpperCase();
-            if (this.militaryPatterns.some((pattern) => pattern.test(hex))) {
-                return true;
-            }
-        }
-
-        if (callsign) {
-            const cs = callsign.toUpperCase();
-            if (this.militaryCallsigns.some((pattern) => pattern.test(cs))) {
-                return true;
-            }
-        }
-
-        return false;
+        // Unknown name; a guessed code would be wrong more often than not
+        return null;
     }
 
     // ⚠️ MODIFIED: Enhanced authentication with OAuth2 support
@@ -204,28 +213,31 @@ class OpenSkyService {
             };
 
             // ⚠️ MODIFIED: Try OAuth2 first, then fallback
+            let token = null;
             try {
-                const token = await this.getAccessToken();
-                if (token) {
-                    config.headers.Authorization = `Bearer ${token}`;
-                    this.fastify.log.info(
-                        "Using OpenSky OAuth2 authentication",
-                    );
-                }
+                token = await this.getAccessToken();
             } catch (tokenError) {
                 this.fastify.log.warn(
                     "OAuth2 token failed, falling back to basic auth or anonymous",
                 );
+            }
 
+            if (token) {
+                config.headers.Authorization = `Bearer ${token}`;
+                this.authMode = "oauth2";
+                this.fastify.log.info("Using OpenSky OAuth2 authentication");
+            } else {
                 if (this.username && this.password) {
                     config.auth = {
                         username: this.username,
                         password: this.password,
                     };
+                    this.authMode = "basic_auth";
                     this.fastify.log.info(
                         "Using OpenSky basic authentication (deprecated)",
                     );
                 } else {
+                    this.authMode = "anonymous";
                     this.fastify.log.info(
                         "Using OpenSky anonymous access (limited rate)",
                     );
@@ -234,6 +246,7 @@ class OpenSkyService {
 
             this.fastify.log.info("Fetching aircraft states from OpenSky...");
             const response = await axios.get(url, config);
+            this.recordCredits(response.headers, true);
 
             if (!response.data || !response.data.states) {
                 this.fastify.log.warn("No states data received from OpenSky");
@@ -248,6 +261,8 @@ class OpenSkyService {
             return states;
         } catch (error) {
             if (error.response) {
+                this.recordCredits(error.response.headers, false);
+
                 // ⚠️ MODIFIED: Enhanced error handling for OAuth2
                 if (error.response.status === 401) {
                     this.fastify.log.error(
@@ -256,8 +271,20 @@ class OpenSkyService {
                     this.accessToken = null;
                     this.tokenExpiry = null;
                 } else if (error.response.status === 429) {
+                    const retryAfter = parseInt(
+                        error.response.headers?.[
+                            "x-rate-limit-retry-after-seconds"
+                        ],
+                    );
+                    if (retryAfter > 0) {
+                        this.retryAfterUntil = new Date(
+                            Date.now() + retryAfter * 1000,
+                        );
+                    }
                     this.fastify.log.warn(
-                        "OpenSky rate limit exceeded, backing off...",
+                        `OpenSky rate limit exceeded, backing off${
+                            retryAfter > 0 ? ` for ${retryAfter}s` : ""
+                        }...`,
                     );
                 } else {
                     this.fastify.log.error(
@@ -279,241 +306,141 @@ class OpenSkyService {
         }
     }
 
-    // ✅ ADDED: Safe data conversion helper
-    safeInteger(value) {
-        if (value === null || value === undefined) return null;
-        if (typeof value === "number") return Math.round(value);
-        if (typeof value === "string") {
-            const parsed = parseFloat(value);
-            return isNaN(parsed) ? null : Math.round(parsed);
-        }
-        return null;
-    }
+    // Convert an OpenSky state vector into the ingestor's state record
+    toRecord(state) {
+        const [
+            icao24,
+            callsign,
+            originCountry,
+            timePosition,
+            lastContact,
+            longitude,
+            latitude,
+            baroAltitude,
+            onGround,
+            velocity,
+            trueTrack,
+            verticalRate,
+            sensors,
+            geoAltitude,
+            squawk,
+            spi,
+            positionSource,
+        ] = state;
 
-    // ✅ ADDED: Safe float conversion helper
-    safeFloat(value) {
-        if (value === null || value === undefined) return null;
-        if (typeof value === "number") return value;
-        if (typeof value === "string") {
-            const parsed = parseFloat(value);
-            return isNaN(parsed) ? null : parsed;
-        }
-        return null;
+        return {
+            icao24,
+            callsign,
+            countryCode: this.getCountryCode(originCountry),
+            lastContact,
+            timePosition,
+            lat: latitude,
+            lon: longitude,
+            baroAltitude,
+            geoAltitude,
+            onGround,
+            velocity,
+            heading: trueTrack,
+            verticalRate,
+            squawk,
+            spi,
+            sensors,
+            positionSource,
+        };
     }
 
-    // ⚠️ MODIFIED: Enhanced error handling with individual transactions
     async processStates(states) {
         if (!states || states.length === 0) {
-            return;
+            return null;
         }
 
-        const client = await this.fastify.pg.connect();
-        let processed = 0;
-        let militaryCount = 0;
-        let errors = 0;
-
-        try {
-            // ⚠️ MODIFIED: Process each aircraft in its own transaction to prevent cascading failures
-            for (const state of states) {
-                // ⚠️ MODIFIED: Moved variable declarations outside try block
-                let icao24, callsign, originCountry, timePosition, lastContact;
-                let longitude, latitude, baroAltitude, onGround, velocity;
-                let trueTrack,
-                    verticalRate,
-                    sensors,
-                    geoAltitude,
-                    squawk,
-                    spi,
-                    positionSource;
-
-                try {
-                    // ✅ ADDED: Individual transaction per aircraft
-                    await client.query("BEGIN");
-
-                    [
-                        icao24,
-                        callsign,
-                        originCountry,
-                        timePosition,
-                        lastContact,
-                        longitude,
-                        latitude,
-                        baroAltitude,
-                        onGround,
-                        velocity,
-                        trueTrack,
-                        verticalRate,
-                        sensors,
-                        geoAltitude,
-                        squawk,
-                        spi,
-                        positionSource,
-                    ] = state;
-
-                    if (!latitude || !longitude || !icao24) {
-                        await client.query("ROLLBACK");
-                        continue;
-                    }
-
-                    const isMilitary = this.isMilitaryAircraft(
-                        icao24,
-                        callsign,
-                    );
+        return this.ingestor.ingest(
+            this.name,
+            states.map((state) => this.toRecord(state)),
+        );
+    }
 
-                    if (!isMilitary) {
-                        await client.query("ROLLBACK");
-                        continue;
-                    }
+    // Credits charged per /states/all request for the polled area
+    creditCost() {
+        const area =
+            (this.ukBounds.lamax - this.ukBounds.lamin) *
+            (this.ukBounds.lomax - this.ukBounds.lomin);
 
-                    militaryCount++;
+        if (area <= 25) return 1;
+        if (area <= 100) return 2;
+        if (area <= 400) return 3;
+        return 4;
+    }
 
-                    // ✅ ADDED: Convert country name to ISO code
-                    const countryCode = this.getCountryCode(originCountry);
+    // Track credit usage from a response; OpenSky reports what's left of
+    // the daily allowance in X-Rate-Limit-Remaining
+    recordCredits(headers, charged) {
+        const day = new Date().toISOString().slice(0, 10);
+        if (this.credits.day !== day) {
+            this.credits.day = day;
+            this.credits.usedToday = 0;
+        }
 
-                    let asset = await client.query(
-                        "SELECT id FROM assets WHERE code = $1",
-                        [icao24.toUpperCase()],
-                    );
+        if (charged) {
+            this.credits.usedToday += this.creditCost();
+        }
 
-                    let assetId;
-                    if (asset.rows.length === 0) {
-                        const newAsset = await client.query(
-                            `
-                            INSERT INTO assets (type, code, callsign, country_code)
-                            VALUES ('aircraft', $1, $2, $3)
-                            RETURNING id
-                        `,
-                            [
-                                icao24.toUpperCase(),
-                                callsign?.trim() || null,
-                                countryCode, // ⚠️ MODIFIED: Use converted country code
-                            ],
-                        );
-                        assetId = newAsset.rows[0].id;
-                    } else {
-                        assetId = asset.rows[0].id;
-
-                        if (callsign && callsign.trim()) {
-                            await client.query(
-                                "UPDATE assets SET callsign = $1, updated_at = NOW() WHERE id = $2",
-                                [callsign.trim(), assetId],
-                            );
-                        }
-                    }
+        const remaining = parseInt(headers?.["x-rate-limit-remaining"]);
+        if (!isNaN(remaining)) {
+            this.credits.remaining = remaining;
+        }
+    }
 
-                    // ✅ ADDED: Validate timestamp before creating Date
-                    if (!lastContact || lastContact <= 0) {
-                        this.fastify.log.warn(
-                            `Invalid timestamp for aircraft ${icao24}: ${lastContact}`,
-                        );
-                        await client.query("ROLLBACK");
-                        continue;
-                    }
+    // Base interval for the current auth mode, stretched so the remaining
+    // credits last until the allowance resets at midnight UTC
+    pollIntervalMs() {
+        if (this.fixedInterval) return this.fixedInterval * 1000;
 
-                    const timestamp = new Date(lastContact * 1000);
-
-                    // ✅ ADDED: Validate timestamp is reasonable (not in future, not too old)
-                    const now = Date.now();
-                    const timestampMs = timestamp.getTime();
-                    if (
-                        timestampMs > now + 60000 ||
-                        timestampMs < now - 86400000
-                    ) {
-                        // Allow 1 min future, 24h past
-                        this.fastify.log.warn(
-                            `Unreasonable timestamp for aircraft ${icao24}: ${timestamp.toISOString()}`,
-                        );
-                        await client.query("ROLLBACK");
-                        continue;
-                    }
+        const mode = this.authMode || this.expectedAuthMode();
+        const cost = this.creditCost();
+        let seconds = Math.max(
+            this.minIntervalSeconds[mode],
+            (86400 * cost) / this.dailyCredits[mode],
+        );
 
-                    // ✅ ADDED: Safe data conversion for all numeric fields
-                    const safeAltitude = this.safeInteger(baroAltitude);
-                    const safeVelocity = this.safeFloat(velocity);
-                    const safeHeading = this.safeFloat(trueTrack);
-                    const safeVerticalRate = this.safeFloat(verticalRate);
-                    const safeLatitude = this.safeFloat(latitude);
-                    const safeLongitude = this.safeFloat(longitude);
-
-                    await client.query(
-                        `
-                        INSERT INTO flight_events 
-                        (asset_id, ts, lat, lon, alt, velocity, heading, vertical_rate, on_ground)
-                        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-                        ON CONFLICT (asset_id, ts) DO UPDATE SET
-                            lat = EXCLUDED.lat,
-                            lon = EXCLUDED.lon,
-                            alt = EXCLUDED.alt,
-                            velocity = EXCLUDED.velocity,
-                            heading = EXCLUDED.heading,
-                            vertical_rate = EXCLUDED.vertical_rate,
-                            on_ground = EXCLUDED.on_ground
-                    `,
-                        [
-                            assetId,
-                            timestamp,
-                            safeLatitude, // ⚠️ MODIFIED: Use safely converted values
-                            safeLongitude,
-                            safeAltitude,
-                            safeVelocity,
-                            safeHeading,
-                            safeVerticalRate,
-                            onGround || false,
-                        ],
-                    );
+        if (this.credits.remaining !== null) {
+            const midnight = new Date();
+            midnight.setUTCHours(24, 0, 0, 0);
+            const secondsLeft = (midnight.getTime() - Date.now()) / 1000;
+            const polls = Math.floor(this.credits.remaining / cost);
 
-                    // ✅ ADDED: Commit individual transaction
-                    await client.query("COMMIT");
-                    processed++;
-                } catch (stateError) {
-                    // ✅ ADDED: Rollback individual transaction on error
-                    try {
-                        await client.query("ROLLBACK");
-                    } catch (rollbackError) {
-                        // Ignore rollback errors for already rolled back transactions
-                    }
+            seconds =
+                polls > 0
+                    ? Math.max(seconds, secondsLeft / polls)
+                    : secondsLeft;
+        }
 
-                    errors++;
+        return Math.round(seconds * 1000);
+    }
 
-                    // ⚠️ MODIFIED: Enhanced error logging with detailed information
-                    this.fastify.log.error(
-                        `Error processing aircraft ${icao24 || "unknown"}: ${
-                            stateError.message || "Unknown error"
-                        } (Code: ${stateError.code || "N/A"})`,
-                    );
-                    this.fastify.log.error(`Aircraft details:`, {
-                        icao24: icao24 || "undefined",
-                        callsign: callsign || "undefined",
-                        originCountry: originCountry || "undefined",
-                        countryCode: this.getCountryCode(originCountry),
-                        timestamp: lastContact
-                            ? new Date(lastContact * 1000).toISOString()
-                            : "invalid",
-                        altitude: baroAltitude,
-                        velocity: velocity,
-                        heading: trueTrack,
-                        verticalRate: verticalRate,
-                    });
-                    if (stateError.stack) {
-                        this.fastify.log.error(
-                            `Stack trace: ${stateError.stack}`,
-                        );
-                    }
+    expectedAuthMode() {
+        if (this.clientId && this.clientSecret) return "oauth2";
+        if (this.username && this.password) return "basic_auth";
+        return "anonymous";
+    }
 
-                    // ✅ ADDED: Continue with next aircraft instead of breaking
-                    continue;
-                }
-            }
+    // Exponential backoff with +/-20% jitter, capped at 15 minutes; a 429's
+    // Retry-After takes precedence
+    nextDelayMs() {
+        if (this.consecutiveFailures === 0) {
+            return this.pollIntervalMs();
+        }
 
-            this.fastify.log.info(
-                `Processed ${processed} flight events (${militaryCount} military aircraft, ${errors} errors) from ${states.length} total states`,
-            );
-        } catch (error) {
-            this.fastify.log.error("Failed to process aircraft states:", error);
-            throw error;
-        } finally {
-            client.release();
+        if (this.retryAfterUntil && this.retryAfterUntil > new Date()) {
+            return this.retryAfterUntil.getTime() - Date.now();
         }
+
+        const base = Math.min(
+            this.maxBackoffMs,
+            this.pollIntervalMs() * 2 ** this.consecutiveFailures,
+        );
+        const jitter = base * 0.2 * (Math.random() * 2 - 1);
+        return Math.round(base + jitter);
     }
 
     // ⚠️ MODIFIED: Added success tracking
@@ -522,7 +449,7 @@ class OpenSkyService {
             this.fastify.log.warn(
                 "OpenSky ingestion already running, skipping...",
             );
-            return;
+            return false;
         }
 
         this.isRunning = true;
@@ -531,31 +458,55 @@ class OpenSkyService {
             const states = await this.fetchStates();
             await this.processStates(states);
             this.lastRun = new Date().toISOString(); // ✅ ADDED: Track successful runs
+            this.consecutiveFailures = 0;
+            this.retryAfterUntil = null;
+            this.lastError = null;
+            return true;
         } catch (error) {
+            this.consecutiveFailures++;
+            this.lastError = error.message;
             this.fastify.log.error("OpenSky data ingestion failed:", error);
+            return false;
         } finally {
             this.isRunning = false;
         }
     }
 
+    scheduleNext(delayMs) {
+        this.nextPollAt = new Date(Date.now() + delayMs);
+        this.timer = setTimeout(async () => {
+            await this.ingestData();
+            if (this.timer) {
+                this.scheduleNext(this.nextDelayMs());
+            }
+        }, delayMs);
+    }
+
     start() {
-        this.fastify.log.info("Starting OpenSky data ingestion service...");
+        if (!this.enabled) {
+            this.fastify.log.warn(
+                "OPENSKY_ENABLED is false, OpenSky ingestion disabled",
+            );
+            return;
+        }
 
-        cron.schedule("*/10 * * * * *", async () => {
-            await this.ingestData();
-        });
+        this.fastify.log.info("Starting OpenSky data ingestion service...");
 
-        setTimeout(() => {
-            this.ingestData();
-        }, 5000);
+        this.scheduleNext(5000);
 
         this.fastify.log.info(
-            "OpenSky ingestion service started (every 10 seconds)",
+            `OpenSky ingestion service started (every ${Math.round(
+                this.pollIntervalMs() / 1000,
+            )} seconds, ${this.expectedAuthMode()})`,
         );
     }
 
     stop() {
-        this.isRunning = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        this.nextPollAt = null;
         this.fastify.log.info("OpenSky ingestion service stopped");
     }
 
@@ -563,6 +514,8 @@ class OpenSkyService {
     getStatus() {
         return {
             service: "OpenSky Network",
+            source: this.name,
+            enabled: this.enabled,
             running: this.isRunning,
             lastRun: this.lastRun || null,
             authentication: {
@@ -573,13 +526,29 @@ class OpenSkyService {
                     this.tokenExpiry &&
                     Date.now() < this.tokenExpiry
                 ),
-                method: this.accessToken
-                    ? "oauth2"
-                    : this.username
-                    ? "basic_auth"
-                    : "anonymous",
+                method: this.authMode || this.expectedAuthMode(),
             },
             bounds: this.ukBounds,
+            polling: {
+                scheduled: !!this.timer,
+                intervalSeconds: Math.round(this.pollIntervalMs() / 1000),
+                nextPollAt: this.nextPollAt
+                    ? this.nextPollAt.toISOString()
+                    : null,
+                consecutiveFailures: this.consecutiveFailures,
+                retryAfterUntil: this.retryAfterUntil
+                    ? this.retryAfterUntil.toISOString()
+                    : null,
+                lastError: this.lastError,
+            },
+            credits: {
+                dailyAllowance:
+                    this.dailyCredits[this.authMode || this.expectedAuthMode()],
+                costPerRequest: this.creditCost(),
+                usedToday: this.credits.usedToday,
+                remaining: this.credits.remaining,
+            },
+            lastBatch: this.ingestor.lastBatches[this.name] || null,
         };
     }
 }
@@ -0,0 +1,180 @@
+import fs from "fs";
+import axios from "axios";
+
+const FEET_TO_METRES = 0.3048;
+const KNOTS_TO_MS = 0.514444;
+const FEET_PER_MIN_TO_MS = 0.00508;
+
+function toMetres(feet) {
+    return typeof feet === "number" ? feet * FEET_TO_METRES : null;
+}
+
+// Convert one aircraft from a readsb/dump1090 aircraft.json into a state
+// record; null for non-ICAO addresses or aircraft without a position
+export function parseAircraft(aircraft, now) {
+    const hex = aircraft.hex ? String(aircraft.hex).trim() : "";
+    // "~" marks TIS-B/non-ICAO addresses, which aren't stable identifiers
+    if (!/^[0-9a-f]{6}$/i.test(hex)) return null;
+    if (typeof aircraft.lat !== "number" || typeof aircraft.lon !== "number") {
+        return null;
+    }
+
+    // Older dump1090 builds use altitude/speed/vert_rate
+    const baro = aircraft.alt_baro ?? aircraft.altitude;
+    const speed = aircraft.gs ?? aircraft.speed;
+    const rate = aircraft.baro_rate ?? aircraft.geom_rate ?? aircraft.vert_rate;
+    const mlat =
+        aircraft.type === "mlat" ||
+        (Array.isArray(aircraft.mlat) && aircraft.mlat.includes("lat"));
+
+    return {
+        icao24: hex,
+        callsign: aircraft.flight || null,
+        countryCode: null,
+        lastContact: Math.round(now - (aircraft.seen || 0)),
+        timePosition: Math.round(now - (aircraft.seen_pos || 0)),
+        lat: aircraft.lat,
+        lon: aircraft.lon,
+        baroAltitude: toMetres(baro),
+        geoAltitude: toMetres(aircraft.alt_geom),
+        onGround: baro === "ground",
+        velocity: typeof speed === "number" ? speed * KNOTS_TO_MS : null,
+        heading: aircraft.track ?? null,
+        verticalRate:
+            typeof rate === "number" ? rate * FEET_PER_MIN_TO_MS : null,
+        squawk: aircraft.squawk || null,
+        spi: aircraft.spi === 1 || aircraft.spi === true,
+        sensors: null,
+        positionSource: mlat ? 2 : 0,
+    };
+}
+
+// Polls aircraft.json from a local readsb/dump1090 receiver, either over
+// HTTP (e.g. http://receiver/tar1090/data/aircraft.json) or from the file
+// the decoder writes
+class ReadsbService {
+    constructor(fastify, options = {}) {
+        this.fastify = fastify;
+        this.ingestor = options.ingestor;
+
+        // Source name recorded on each flight_events row
+        this.name = process.env.READSB_SOURCE_NAME || "readsb";
+        this.url = process.env.READSB_URL;
+        this.filePath = process.env.READSB_FILE;
+        this.pollSeconds = parseInt(process.env.READSB_POLL_SECONDS || "5");
+        // Ignore aircraft whose last position is older than this
+        this.maxAgeSeconds = parseInt(
+            process.env.READSB_MAX_POSITION_AGE_SECONDS || "60",
+        );
+
+        this.timer = null;
+        this.isRunning = false;
+        this.lastRun = null;
+        this.lastError = null;
+
+        this.stats = {
+            polls: 0,
+            aircraft: 0,
+            records: 0,
+            errors: 0,
+        };
+    }
+
+    get configured() {
+        return !!(this.url || this.filePath);
+    }
+
+    async readAircraftJson() {
+        if (this.url) {
+            const response = await axios.get(this.url, {
+                timeout: 10000,
+                headers: { "User-Agent": "ForceFlow-UK/1.0" },
+            });
+            return response.data;
+        }
+
+        return JSON.parse(await fs.promises.readFile(this.filePath, "utf8"));
+    }
+
+    async poll() {
+        this.stats.polls++;
+
+        try {
+            const data = await this.readAircraftJson();
+            const now = data.now || Date.now() / 1000;
+            const aircraft = Array.isArray(data.aircraft) ? data.aircraft : [];
+
+            const records = aircraft
+                .filter((a) => (a.seen_pos ?? 0) <= this.maxAgeSeconds)
+                .map((a) => parseAircraft(a, now))
+                .filter(Boolean);
+
+            this.stats.aircraft += aircraft.length;
+            this.stats.records += records.length;
+
+            await this.ingestor.ingest(this.name, records);
+            this.lastRun = new Date().toISOString();
+            this.lastError = null;
+        } catch (error) {
+            this.stats.errors++;
+            this.lastError = error.message;
+            this.fastify.log.error(
+                `${this.name} aircraft.json ingestion failed:`,
+                error.message,
+            );
+        }
+    }
+
+    scheduleNext() {
+        this.timer = setTimeout(async () => {
+            await this.poll();
+            if (this.timer) {
+                this.scheduleNext();
+            }
+        }, this.pollSeconds * 1000);
+    }
+
+    start() {
+        if (!this.configured) {
+            this.fastify.log.warn(
+                "No READSB_URL or READSB_FILE configured, local receiver ingestion disabled",
+            );
+            return;
+        }
+
+        this.isRunning = true;
+        this.scheduleNext();
+
+        this.fastify.log.info(
+            `Local receiver ingestion started (${this.url || this.filePath}, every ${this.pollSeconds} seconds)`,
+        );
+    }
+
+    stop() {
+        this.isRunning = false;
+
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        this.fastify.log.info("Local receiver ingestion stopped");
+    }
+
+    getStatus() {
+        return {
+            service: "readsb/dump1090",
+            source: this.name,
+            running: this.isRunning,
+            configured: this.configured,
+            location: this.url || this.filePath || null,
+            pollSeconds: this.pollSeconds,
+            lastRun: this.lastRun,
+            lastError: this.lastError,
+            lastBatch: this.ingestor?.lastBatches[this.name] || null,
+            stats: this.stats,
+        };
+    }
+}
+
+export default ReadsbService;
@@ -0,0 +1,294 @@
+import fs from "fs";
+import readline from "readline";
+import cron from "node-cron";
+
+// Header names used by common aircraft database dumps (OpenSky, ADSBx, ...)
+const COLUMN_ALIASES = {
+    icao24: ["icao24", "icao", "hex"],
+    registration: ["registration", "reg", "r"],
+    typecode: ["typecode", "icaotype", "type", "t"],
+    model: ["model", "desc", "description"],
+    operator: ["operator", "ownop", "owner"],
+};
+
+// Split one CSV line; OpenSky's newer dumps quote with ' rather than "
+export function parseCsvLine(line, quote = '"') {
+    const fields = [];
+    let field = "";
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+
+        if (inQuotes) {
+            if (char === quote && line[i + 1] === quote) {
+                field += quote;
+                i++;
+            } else if (char === quote) {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === quote && field === "") {
+            inQuotes = true;
+        } else if (char === ",") {
+            fields.push(field);
+            field = "";
+        } else {
+            field += char;
+        }
+    }
+
+    fields.push(field);
+    return fields.map((value) => value.trim());
+}
+
+// Map our column names to indexes in the dump's header row
+export function mapColumns(header) {
+    const names = header.map((name) => name.toLowerCase());
+    const columns = {};
+
+    for (const [column, aliases] of Object.entries(COLUMN_ALIASES)) {
+        const index = aliases
+            .map((alias) => names.indexOf(alias))
+            .find((i) => i !== -1);
+        if (index !== undefined) columns[column] = index;
+    }
+
+    if (columns.icao24 === undefined) {
+        throw new Error("Aircraft database has no icao24 column");
+    }
+
+    return columns;
+}
+
+export function parseRegistryRow(fields, columns) {
+    const value = (column) =>
+        columns[column] !== undefined && fields[columns[column]]
+            ? fields[columns[column]]
+            : null;
+
+    const icao24 = value("icao24");
+    if (!icao24 || !/^[0-9a-f]{6}$/i.test(icao24)) return null;
+
+    const registration = value("registration");
+    const typecode = value("typecode");
+    const model = value("model");
+    const operator = value("operator");
+
+    // Rows with nothing but an address add nothing
+    if (!registration && !typecode && !model && !operator) return null;
+
+    return {
+        icao24: icao24.toUpperCase(),
+        registration,
+        typecode: typecode ? typecode.toUpperCase() : null,
+        model,
+        operator,
+    };
+}
+
+// Loads a local aircraft database CSV into aircraft_registry and copies
+// registration/type/operator onto matching aircraft assets. New assets are
+// enriched from aircraft_registry as OpenSky inserts them.
+class RegistryService {
+    constructor(fastify) {
+        this.fastify = fastify;
+        this.filePath = process.env.AIRCRAFT_DB_FILE || null;
+        this.batchSize = 1000;
+        this.isImporting = false;
+        this.lastImport = null;
+        this.lastError = null;
+        this.task = null;
+    }
+
+    async upsertBatch(client, rows) {
+        const columns = [[], [], [], [], []];
+        for (const row of rows) {
+            columns[0].push(row.icao24);
+            columns[1].push(row.registration);
+            columns[2].push(row.typecode);
+            columns[3].push(row.model);
+            columns[4].push(row.operator);
+        }
+
+        await client.query(
+            `
+            INSERT INTO aircraft_registry
+            (icao24, registration, typecode, model, operator, updated_at)
+            SELECT *, NOW()
+            FROM unnest($1::text[], $2::text[], $3::text[], $4::text[], $5::text[])
+            ON CONFLICT (icao24) DO UPDATE SET
+                registration = EXCLUDED.registration,
+                typecode = EXCLUDED.typecode,
+                model = EXCLUDED.model,
+                operator = EXCLUDED.operator,
+                updated_at = NOW()
+        `,
+            columns,
+        );
+    }
+
+    // Copy registry details onto existing aircraft assets that differ
+    async enrichAssets(client) {
+        const result = await client.query(`
+            UPDATE assets a SET
+                registration = r.registration,
+                typecode = r.typecode,
+                operator = r.operator,
+                name = COALESCE(r.model, a.name),
+                updated_at = NOW()
+            FROM aircraft_registry r
+            WHERE a.type = 'aircraft'
+              AND r.icao24 = a.code
+              AND (
+                  a.registration IS DISTINCT FROM r.registration OR
+                  a.typecode IS DISTINCT FROM r.typecode OR
+                  a.operator IS DISTINCT FROM r.operator OR
+                  (r.model IS NOT NULL AND a.name IS DISTINCT FROM r.model)
+              )
+        `);
+
+        return result.rowCount;
+    }
+
+    async importFile(filePath = this.filePath) {
+        if (!filePath) {
+            throw new Error("No aircraft database file configured");
+        }
+        if (this.isImporting) {
+            throw new Error("Aircraft database import already running");
+        }
+
+        this.isImporting = true;
+        const started = Date.now();
+        const client = await this.fastify.pg.connect();
+
+        try {
+            const lines = readline.createInterface({
+                input: fs.createReadStream(filePath),
+                crlfDelay: Infinity,
+            });
+
+            let quote = '"';
+            let columns = null;
+            let imported = 0;
+            let skipped = 0;
+            let batch = new Map();
+
+            for await (const line of lines) {
+                if (!line.trim()) continue;
+
+                if (!columns) {
+                    quote = line.startsWith("'") ? "'" : '"';
+                    columns = mapColumns(parseCsvLine(line, quote));
+                    continue;
+                }
+
+                const row = parseRegistryRow(
+                    parseCsvLine(line, quote),
+                    columns,
+                );
+                if (!row) {
+                    skipped++;
+                    continue;
+                }
+
+                // Later rows for the same address win within a batch
+                batch.set(row.icao24, row);
+                if (batch.size >= this.batchSize) {
+                    await this.upsertBatch(client, [...batch.values()]);
+                    imported += batch.size;
+                    batch = new Map();
+                }
+            }
+
+            if (batch.size > 0) {
+                await this.upsertBatch(client, [...batch.values()]);
+                imported += batch.size;
+            }
+
+            const enriched = await this.enrichAssets(client);
+
+            this.lastImport = {
+                file: filePath,
+                imported,
+                skipped,
+                enriched,
+                durationMs: Date.now() - started,
+                completedAt: new Date().toISOString(),
+            };
+            this.lastError = null;
+
+            this.fastify.log.info(
+                `Imported ${imported} aircraft registry entries (${skipped} skipped, ${enriched} assets enriched) from ${filePath}`,
+            );
+
+            return this.lastImport;
+        } catch (error) {
+            this.lastError = error.message;
+            throw error;
+        } finally {
+            client.release();
+            this.isImporting = false;
+        }
+    }
+
+    // Only re-import when the dump is newer than what we've loaded
+    async needsImport() {
+        const stat = await fs.promises.stat(this.filePath);
+        const result = await this.fastify.pg.query(
+            "SELECT MAX(updated_at) as updated FROM aircraft_registry",
+        );
+        const updated = result.rows[0].updated;
+
+        return !updated || stat.mtime > new Date(updated);
+    }
+
+    async runScheduled() {
+        try {
+            if (await this.needsImport()) {
+                await this.importFile();
+            }
+        } catch (error) {
+            this.lastError = error.message;
+            this.fastify.log.error("Aircraft database import failed:", error);
+        }
+    }
+
+    start() {
+        if (!this.filePath) {
+            this.fastify.log.info(
+                "No AIRCRAFT_DB_FILE configured, registry enrichment disabled",
+            );
+            return;
+        }
+
+        this.runScheduled();
+
+        // Pick up a refreshed dump overnight
+        this.task = cron.schedule("30 3 * * *", async () => {
+            await this.runScheduled();
+        });
+    }
+
+    stop() {
+        if (this.task) {
+            this.task.stop();
+            this.task = null;
+        }
+    }
+
+    getStatus() {
+        return {
+            service: "Aircraft Registry",
+            running: !!this.task,
+            configured: !!this.filePath,
+            importing: this.isImporting,
+            lastImport: this.lastImport,
+            lastError: this.lastError,
+        };
+    }
+}
+
+export default RegistryService;
@@ -0,0 +1,271 @@
+import net from "net";
+
+const FEET_TO_METRES = 0.3048;
+const KNOTS_TO_MS = 0.514444;
+const FEET_PER_MIN_TO_MS = 0.00508;
+
+// Aircraft not heard from for this long are dropped from the state table
+const STALE_MS = 5 * 60 * 1000;
+
+function number(value) {
+    if (value === undefined || value === "") return null;
+    const parsed = parseFloat(value);
+    return isNaN(parsed) ? null : parsed;
+}
+
+// SBS flags are "-1" for set, "0" for clear and empty when not reported
+function flag(value) {
+    if (value === undefined || value === "") return null;
+    return value !== "0";
+}
+
+// Parse one SBS-1/BaseStation line ("MSG,3,1,1,4CA2D6,...") into the fields
+// it carries; null for anything other than a transmission message
+export function parseSbsLine(line) {
+    const fields = line.trim().split(",");
+    if (fields[0] !== "MSG" || fields.length < 11) return null;
+
+    const icao24 = fields[4]?.trim();
+    if (!/^[0-9A-Fa-f]{6}$/.test(icao24)) return null;
+
+    const altitude = number(fields[11]);
+    const speed = number(fields[12]);
+    const rate = number(fields[16]);
+
+    return {
+        type: parseInt(fields[1]),
+        icao24: icao24.toUpperCase(),
+        callsign: fields[10]?.trim() || null,
+        baroAltitude: altitude === null ? null : altitude * FEET_TO_METRES,
+        velocity: speed === null ? null : speed * KNOTS_TO_MS,
+        heading: number(fields[13]),
+        lat: number(fields[14]),
+        lon: number(fields[15]),
+        verticalRate: rate === null ? null : rate * FEET_PER_MIN_TO_MS,
+        squawk: fields[17]?.trim() || null,
+        spi: flag(fields[20]),
+        onGround: flag(fields[21]),
+    };
+}
+
+// Reads an SBS-1/BaseStation feed (dump1090/readsb port 30003, or any
+// aggregator that re-serves it). Each message carries only some fields, so
+// the latest value of each is kept per aircraft and the combined states are
+// handed to the ingestor every few seconds.
+class SbsService {
+    constructor(fastify, options = {}) {
+        this.fastify = fastify;
+        this.ingestor = options.ingestor;
+
+        // Source name recorded on each flight_events row
+        this.name = process.env.SBS_SOURCE_NAME || "sbs";
+        this.host = process.env.SBS_HOST;
+        this.port = parseInt(process.env.SBS_PORT || "30003");
+        this.flushSeconds = parseInt(process.env.SBS_FLUSH_SECONDS || "5");
+
+        this.isRunning = false;
+        this.isFlushing = false;
+        this.lastRun = null;
+        this.socket = null;
+        this.reconnectTimer = null;
+        this.flushTimer = null;
+
+        // Combined state per ICAO24 address, and which changed since the
+        // last flush
+        this.aircraft = new Map();
+        this.updated = new Set();
+
+        this.stats = {
+            lines: 0,
+            messages: 0,
+            positions: 0,
+            records: 0,
+            errors: 0,
+        };
+    }
+
+    // Feed a raw line (or several, newline separated) from the feed
+    handleData(data) {
+        for (const line of data.toString().split(/\r?\n/)) {
+            if (!line.trim()) continue;
+            this.stats.lines++;
+
+            const message = parseSbsLine(line);
+            if (!message) continue;
+            this.stats.messages++;
+
+            this.handleMessage(message);
+        }
+    }
+
+    handleMessage(message) {
+        // BaseStation timestamps are receiver local time, so stamp on receipt
+        const now = Math.floor(Date.now() / 1000);
+        const state = this.aircraft.get(message.icao24) || {
+            icao24: message.icao24,
+            callsign: null,
+            countryCode: null,
+            timePosition: null,
+            lat: null,
+            lon: null,
+            baroAltitude: null,
+            geoAltitude: null,
+            onGround: false,
+            velocity: null,
+            heading: null,
+            verticalRate: null,
+            squawk: null,
+            spi: false,
+            sensors: null,
+            positionSource: 0,
+        };
+
+        state.lastContact = now;
+        for (const field of [
+            "callsign",
+            "baroAltitude",
+            "velocity",
+            "heading",
+            "verticalRate",
+            "squawk",
+            "spi",
+            "onGround",
+        ]) {
+            if (message[field] !== null) {
+                state[field] = message[field];
+            }
+        }
+
+        if (message.lat !== null && message.lon !== null) {
+            state.lat = message.lat;
+            state.lon = message.lon;
+            state.timePosition = now;
+            this.stats.positions++;
+        }
+
+        this.aircraft.set(message.icao24, state);
+        this.updated.add(message.icao24);
+    }
+
+    async flush() {
+        if (this.isFlushing || this.updated.size === 0) {
+            return;
+        }
+
+        this.isFlushing = true;
+
+        const records = [];
+        for (const icao24 of this.updated) {
+            const state = this.aircraft.get(icao24);
+            if (state.lat !== null) records.push({ ...state });
+        }
+        this.updated.clear();
+
+        const cutoff = (Date.now() - STALE_MS) / 1000;
+        for (const [icao24, state] of this.aircraft) {
+            if (state.lastContact < cutoff) this.aircraft.delete(icao24);
+        }
+
+        try {
+            this.stats.records += records.length;
+            await this.ingestor.ingest(this.name, records);
+            this.lastRun = new Date().toISOString();
+        } catch (error) {
+            this.stats.errors++;
+            this.fastify.log.error(`${this.name} ingestion failed:`, error);
+        } finally {
+            this.isFlushing = false;
+        }
+    }
+
+    connect() {
+        let buffer = "";
+        this.socket = net.createConnection(
+            { host: this.host, port: this.port },
+            () => {
+                this.fastify.log.info(
+                    `Connected to SBS feed ${this.host}:${this.port}`,
+                );
+            },
+        );
+
+        this.socket.on("data", (chunk) => {
+            buffer += chunk.toString();
+            const lastNewline = buffer.lastIndexOf("\n");
+            if (lastNewline === -1) return;
+
+            this.handleData(buffer.slice(0, lastNewline));
+            buffer = buffer.slice(lastNewline + 1);
+        });
+
+        this.socket.on("error", (error) => {
+            this.fastify.log.error("SBS feed error:", error.message);
+        });
+
+        this.socket.on("close", () => {
+            this.socket = null;
+            if (!this.isRunning) return;
+
+            this.fastify.log.warn("SBS feed closed, reconnecting in 5s...");
+            this.reconnectTimer = setTimeout(() => this.connect(), 5000);
+        });
+    }
+
+    start() {
+        if (!this.host) {
+            this.fastify.log.warn(
+                "No SBS_HOST configured, SBS-1 feed ingestion disabled",
+            );
+            return;
+        }
+
+        this.fastify.log.info(
+            `Starting SBS-1 feed ingestion (${this.host}:${this.port})...`,
+        );
+        this.isRunning = true;
+        this.connect();
+
+        this.flushTimer = setInterval(
+            () => this.flush(),
+            this.flushSeconds * 1000,
+        );
+    }
+
+    stop() {
+        this.isRunning = false;
+
+        if (this.flushTimer) {
+            clearInterval(this.flushTimer);
+            this.flushTimer = null;
+        }
+
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+
+        if (this.socket) {
+            this.socket.destroy();
+            this.socket = null;
+        }
+
+        this.fastify.log.info("SBS-1 feed ingestion stopped");
+    }
+
+    getStatus() {
+        return {
+            service: "SBS-1 feed",
+            source: this.name,
+            running: this.isRunning,
+            configured: !!this.host,
+            connected: !!this.socket && !this.socket.connecting,
+            feed: this.host ? `${this.host}:${this.port}` : null,
+            lastRun: this.lastRun,
+            trackedAircraft: this.aircraft.size,
+            lastBatch: this.ingestor?.lastBatches[this.name] || null,
+            stats: this.stats,
+        };
+    }
+}
+
+export default SbsService;
@@ -0,0 +1,393 @@
+import cron from "node-cron";
+import { distanceKm } from "./geography.js";
+import AirfieldService from "./airfields.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+function isAirborne(point, options) {
+    if (point.onGround) return false;
+
+    // Not every transponder sets on_ground, so slow and low counts as taxiing
+    return !(
+        point.velocity !== null &&
+        point.velocity < options.minSpeed &&
+        (point.altitude === null || point.altitude < options.minAltitude)
+    );
+}
+
+// Split one asset's points (oldest first) into sorties. A sortie starts at
+// the first airborne report and ends at a ground report (a landing), a gap
+// longer than `gapMs`, or the end of the data. Takeoff and landing are only
+// "seen" when the ground report is within the gap of the airborne one.
+// `options.resolveAirfield(point)` names the airfield at each end.
+export function segmentSorties(points, options) {
+    const sorties = [];
+    let current = null;
+    let prev = null;
+
+    const close = (landing, status = "complete") => {
+        if (current.pointCount >= 2) {
+            const { start, takeoff, last } = current;
+            const departure = takeoff || start;
+            const arrival = landing || last;
+
+            if (landing) {
+                current.distanceKm += distanceKm(
+                    last.lat,
+                    last.lon,
+                    landing.lat,
+                    landing.lon,
+                );
+            }
+
+            sorties.push({
+                status,
+                startTs: start.ts,
+                endTs: last.ts,
+                departureTs: takeoff ? start.ts : null,
+                arrivalTs: landing ? landing.ts : null,
+                departureAirfield:
+                    options.resolveAirfield?.(departure)?.icao || null,
+                arrivalAirfield:
+                    status === "complete"
+                        ? options.resolveAirfield?.(arrival)?.icao || null
+                        : null,
+                departureLat: departure.lat,
+                departureLon: departure.lon,
+                arrivalLat: status === "complete" ? arrival.lat : null,
+                arrivalLon: status === "complete" ? arrival.lon : null,
+                durationSeconds: Math.round((arrival.ts - start.ts) / 1000),
+                maxAltitude: current.maxAltitude,
+                distanceKm: Math.round(current.distanceKm * 10) / 10,
+                pointCount: current.pointCount,
+            });
+        }
+        current = null;
+    };
+
+    for (const point of points) {
+        const gap = prev && point.ts - prev.ts > options.gapMs;
+        if (current && gap) close(null);
+
+        if (isAirborne(point, options)) {
+            if (!current) {
+                current = {
+                    start: point,
+                    takeoff:
+                        prev && !gap && !isAirborne(prev, options)
+                            ? prev
+                            : null,
+                    last: point,
+                    pointCount: 1,
+                    maxAltitude: point.altitude,
+                    distanceKm: 0,
+                };
+            } else {
+                current.distanceKm += distanceKm(
+                    current.last.lat,
+                    current.last.lon,
+                    point.lat,
+                    point.lon,
+                );
+                current.last = point;
+                current.pointCount++;
+                if (
+                    point.altitude !== null &&
+                    (current.maxAltitude === null ||
+                        point.altitude > current.maxAltitude)
+                ) {
+                    current.maxAltitude = point.altitude;
+                }
+            }
+        } else if (current) {
+            close(point);
+        }
+
+        prev = point;
+    }
+
+    if (current) {
+        const recent = options.now - current.last.ts <= options.gapMs;
+        close(null, recent ? "in_progress" : "complete");
+    }
+
+    return sorties;
+}
+
+// API representation of a sortie row joined with its asset
+export function formatSortie(row) {
+    return {
+        id: row.id,
+        code: row.code,
+        callsign: row.callsign,
+        registration: row.registration,
+        typecode: row.typecode,
+        aircraftType: row.aircraft_type,
+        operator: row.operator,
+        status: row.status,
+        startTime: row.start_ts.toISOString(),
+        endTime: row.end_ts.toISOString(),
+        departureTime: row.departure_ts ? row.departure_ts.toISOString() : null,
+        arrivalTime: row.arrival_ts ? row.arrival_ts.toISOString() : null,
+        departureAirfield: row.departure_airfield,
+        arrivalAirfield: row.arrival_airfield,
+        departure:
+            row.departure_lat !== null
+                ? { lat: row.departure_lat, lon: row.departure_lon }
+                : null,
+        arrival:
+            row.arrival_lat !== null
+                ? { lat: row.arrival_lat, lon: row.arrival_lon }
+                : null,
+        durationSeconds: row.duration_seconds,
+        maxAltitude: row.max_altitude,
+        distanceKm: row.distance_km,
+        pointCount: row.point_count,
+    };
+}
+
+// Periodically splits each asset's flight_events into sorties. Everything
+// after an asset's last completed sortie is re-derived on each run, so the
+// sortie still in the air is replaced as its track grows.
+class SortieService {
+    constructor(fastify, options = {}) {
+        this.fastify = fastify;
+        this.airfields = options.airfields || new AirfieldService(fastify);
+        this.isRunning = false;
+        this.lastRun = null;
+        this.lastError = null;
+        this.task = null;
+        this.cursor = null;
+
+        // How far back to look for points on startup
+        this.backfillHours = parseInt(
+            process.env.SORTIE_BACKFILL_HOURS || "24",
+        );
+
+        this.options = {
+            // A gap longer than this between reports ends a sortie
+            gapMs: parseInt(process.env.SORTIE_GAP_MINUTES || "20") * MINUTE_MS,
+            // Below both of these an airborne report is treated as taxiing
+            minSpeed: parseFloat(process.env.SORTIE_MIN_SPEED_MS || "20"),
+            minAltitude: parseInt(process.env.SORTIE_MIN_ALTITUDE_M || "300"),
+            resolveAirfield: (point) => this.airfields.resolve(point),
+        };
+
+        this.stats = {
+            runs: 0,
+            assets: 0,
+            sorties: 0,
+        };
+    }
+
+    async segmentAsset(client, assetId, now) {
+        const completed = await client.query(
+            `
+            SELECT GREATEST(MAX(end_ts), MAX(arrival_ts)) AS after
+            FROM sorties
+            WHERE asset_id = $1 AND status = 'complete'
+        `,
+            [assetId],
+        );
+
+        const earliest = new Date(now.getTime() - this.backfillHours * HOUR_MS);
+        const after =
+            completed.rows[0].after && completed.rows[0].after > earliest
+                ? completed.rows[0].after
+                : earliest;
+
+        const result = await client.query(
+            `
+            SELECT ts, lat, lon, alt, velocity, on_ground
+            FROM flight_events
+            WHERE asset_id = $1 AND ts > $2
+            ORDER BY ts ASC
+        `,
+            [assetId, after],
+        );
+
+        const sorties = segmentSorties(
+            result.rows.map((row) => ({
+                ts: new Date(row.ts),
+                lat: row.lat,
+                lon: row.lon,
+                altitude: row.alt,
+                velocity: row.velocity,
+                onGround: row.on_ground || false,
+            })),
+            { ...this.options, now: now.getTime() },
+        );
+
+        await client.query("BEGIN");
+        try {
+            // Drop in-progress sorties that no longer derive (e.g. merged
+            // into a longer one); the rest are updated in place below, so
+            // their ids stay valid
+            await client.query(
+                `
+                DELETE FROM sorties
+                WHERE asset_id = $1
+                  AND status = 'in_progress'
+                  AND NOT (start_ts = ANY($2::timestamptz[]))
+            `,
+                [assetId, sorties.map((sortie) => sortie.startTs)],
+            );
+
+            for (const sortie of sorties) {
+                await client.query(
+                    `
+                    INSERT INTO sorties
+                    (asset_id, status, start_ts, end_ts, departure_ts, arrival_ts,
+                     departure_airfield, arrival_airfield, departure_lat, departure_lon,
+                     arrival_lat, arrival_lon, duration_seconds, max_altitude,
+                     distance_km, point_count)
+                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+                    ON CONFLICT (asset_id, start_ts) DO UPDATE SET
+                        status = EXCLUDED.status,
+                        end_ts = EXCLUDED.end_ts,
+                        departure_ts = EXCLUDED.departure_ts,
+                        arrival_ts = EXCLUDED.arrival_ts,
+                        departure_airfield = EXCLUDED.departure_airfield,
+                        arrival_airfield = EXCLUDED.arrival_airfield,
+                        departure_lat = EXCLUDED.departure_lat,
+                        departure_lon = EXCLUDED.departure_lon,
+                        arrival_lat = EXCLUDED.arrival_lat,
+                        arrival_lon = EXCLUDED.arrival_lon,
+                        duration_seconds = EXCLUDED.duration_seconds,
+                        max_altitude = EXCLUDED.max_altitude,
+                        distance_km = EXCLUDED.distance_km,
+                        point_count = EXCLUDED.point_count,
+                        updated_at = NOW()
+                `,
+                    [
+                        assetId,
+                        sortie.status,
+                        sortie.startTs,
+                        sortie.endTs,
+                        sortie.departureTs,
+                        sortie.arrivalTs,
+                        sortie.departureAirfield,
+                        sortie.arrivalAirfield,
+                        sortie.departureLat,
+                        sortie.departureLon,
+                        sortie.arrivalLat,
+                        sortie.arrivalLon,
+                        sortie.durationSeconds,
+                        sortie.maxAltitude,
+                        sortie.distanceKm,
+                        sortie.pointCount,
+                    ],
+                );
+            }
+
+            await client.query("COMMIT");
+        } catch (error) {
+            try {
+                await client.query("ROLLBACK");
+            } catch (rollbackError) {
+                // Ignore rollback errors for already rolled back transactions
+            }
+            throw error;
+        }
+
+        return sorties.length;
+    }
+
+    // Segment every asset with positions since the previous run (less a gap,
+    // since late reports can land just behind it)
+    async run(now = new Date()) {
+        if (this.isRunning) {
+            this.fastify.log.warn(
+                "Sortie segmentation already running, skipping...",
+            );
+            return;
+        }
+
+        this.isRunning = true;
+        const since = this.cursor
+            ? new Date(this.cursor.getTime() - this.options.gapMs)
+            : new Date(now.getTime() - this.backfillHours * HOUR_MS);
+
+        const client = await this.fastify.pg.connect();
+        try {
+            const assets = await client.query(
+                "SELECT DISTINCT asset_id FROM flight_events WHERE ts > $1",
+                [since],
+            );
+
+            let sortieCount = 0;
+            let errors = 0;
+            for (const { asset_id } of assets.rows) {
+                try {
+                    sortieCount += await this.segmentAsset(
+                        client,
+                        asset_id,
+                        now,
+                    );
+                } catch (error) {
+                    errors++;
+                    this.fastify.log.error(
+                        `Sortie segmentation failed for asset ${asset_id}:`,
+                        error,
+                    );
+                }
+            }
+
+            this.cursor = now;
+            this.lastRun = new Date().toISOString();
+            this.lastError = null;
+            this.stats.runs++;
+            this.stats.assets += assets.rows.length;
+            this.stats.sorties += sortieCount;
+
+            this.fastify.log.info(
+                `Segmented ${sortieCount} sorties for ${assets.rows.length} aircraft (${errors} errors)`,
+            );
+        } catch (error) {
+            this.lastError = error.message;
+            this.fastify.log.error("Sortie segmentation failed:", error);
+        } finally {
+            client.release();
+            this.isRunning = false;
+        }
+    }
+
+    start() {
+        this.fastify.log.info("Starting sortie segmentation service...");
+
+        this.task = cron.schedule("*/10 * * * *", async () => {
+            await this.run();
+        });
+
+        // Catch up on the backfill window without holding up startup
+        this.run();
+
+        this.fastify.log.info(
+            "Sortie segmentation service started (every 10 minutes)",
+        );
+    }
+
+    stop() {
+        if (this.task) {
+            this.task.stop();
+            this.task = null;
+        }
+        this.fastify.log.info("Sortie segmentation service stopped");
+    }
+
+    getStatus() {
+        return {
+            service: "Sortie Segmentation",
+            running: this.isRunning,
+            scheduled: !!this.task,
+            lastRun: this.lastRun,
+            lastError: this.lastError,
+            backfillHours: this.backfillHours,
+            gapMinutes: this.options.gapMs / MINUTE_MS,
+            stats: this.stats,
+        };
+    }
+}
+
+export default SortieService;
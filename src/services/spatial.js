@@ -0,0 +1,188 @@
+// Area filters for spatial flight search. With PostGIS the geography
+// expression index on flight_events is used; without it the same areas are
+// answered from lat/lon (bounding box on the btree index, then PostgreSQL's
+// built-in planar polygon test or a haversine distance).
+
+const EARTH_RADIUS_KM = 6371;
+const MAX_POLYGON_POINTS = 1000;
+
+function validPosition(position) {
+    return (
+        Array.isArray(position) &&
+        position.length >= 2 &&
+        position[0] >= -180 &&
+        position[0] <= 180 &&
+        position[1] >= -90 &&
+        position[1] <= 90
+    );
+}
+
+// Outer ring of a GeoJSON Polygon geometry (a string or parsed object) as
+// [lon, lat] pairs, or null if it isn't one
+export function parsePolygon(geojson) {
+    let geometry = geojson;
+    if (typeof geojson === "string") {
+        try {
+            geometry = JSON.parse(geojson);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    const positions = geometry?.type === "Polygon" && geometry.coordinates?.[0];
+    if (
+        !Array.isArray(positions) ||
+        positions.length > MAX_POLYGON_POINTS ||
+        !positions.every(validPosition)
+    ) {
+        return null;
+    }
+
+    // GeoJSON repeats the first position at the end; the ring here doesn't
+    const ring = positions.map(([lon, lat]) => [lon, lat]);
+    const [first, last] = [ring[0], ring[ring.length - 1]];
+    if (ring.length > 1 && first[0] === last[0] && first[1] === last[1]) {
+        ring.pop();
+    }
+
+    return ring.length >= 3 ? ring : null;
+}
+
+// The one search area given in a query: a bounding box (lamin, lamax, lomin,
+// lomax), a GeoJSON `polygon`, or a point and radius (lat, lon, radius_km).
+// Returns { area } or { error }.
+export function searchArea(query) {
+    const { lamin, lamax, lomin, lomax, polygon, lat, lon, radius_km } = query;
+
+    const bounds = [lamin, lamax, lomin, lomax];
+    const point = [lat, lon, radius_km];
+    const given = [
+        bounds.some((value) => value !== undefined),
+        polygon !== undefined,
+        point.some((value) => value !== undefined),
+    ].filter(Boolean).length;
+
+    if (given !== 1) {
+        return {
+            error: "Give one search area: lamin/lamax/lomin/lomax, polygon, or lat/lon/radius_km",
+        };
+    }
+
+    if (polygon !== undefined) {
+        const ring = parsePolygon(polygon);
+        if (!ring) {
+            return {
+                error: `polygon must be a GeoJSON Polygon with 3 to ${MAX_POLYGON_POINTS} [lon, lat] positions`,
+            };
+        }
+
+        const lats = ring.map(([, y]) => y);
+        const lons = ring.map(([x]) => x);
+        return {
+            area: {
+                type: "polygon",
+                ring,
+                bounds: {
+                    lamin: Math.min(...lats),
+                    lamax: Math.max(...lats),
+                    lomin: Math.min(...lons),
+                    lomax: Math.max(...lons),
+                },
+            },
+        };
+    }
+
+    if (point.some((value) => value === undefined)) {
+        if (bounds.some((value) => value === undefined)) {
+            return {
+                error: bounds.every((value) => value === undefined)
+                    ? "Point search requires lat, lon and radius_km"
+                    : "Bounding box requires lamin, lamax, lomin and lomax",
+            };
+        }
+        if (lamin > lamax || lomin > lomax) {
+            return { error: "lamin/lomin must not exceed lamax/lomax" };
+        }
+        return {
+            area: { type: "bbox", bounds: { lamin, lamax, lomin, lomax } },
+        };
+    }
+
+    // Box around the circle, for the lat/lon index
+    const latDelta = (radius_km / (Math.PI * EARTH_RADIUS_KM)) * 180;
+    const lonDelta = latDelta / Math.max(Math.cos((lat * Math.PI) / 180), 0.01);
+    return {
+        area: {
+            type: "radius",
+            lat,
+            lon,
+            radiusKm: radius_km,
+            bounds: {
+                lamin: lat - latDelta,
+                lamax: lat + latDelta,
+                lomin: lon - lonDelta,
+                lomax: lon + lonDelta,
+            },
+        },
+    };
+}
+
+// A row's position as geography; must stay identical to the expression in
+// idx_flight_events_geog (migration 014) for the index to be used
+function geographyOf(alias) {
+    return `ST_SetSRID(ST_MakePoint(${alias}.lon, ${alias}.lat), 4326)::geography`;
+}
+
+// SQL condition for an area against `alias`.lat/lon (as geography when
+// `geography` is true), pushing its values onto `params`
+export function areaCondition(area, alias, params, { geography = false } = {}) {
+    const param = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+    };
+
+    const box = () => {
+        const { lamin, lamax, lomin, lomax } = area.bounds;
+        return `${alias}.lat BETWEEN ${param(lamin)} AND ${param(lamax)} AND ${alias}.lon BETWEEN ${param(lomin)} AND ${param(lomax)}`;
+    };
+
+    // A box is answered exactly by lat/lon, which also avoids geography's
+    // great-circle edges
+    if (area.type === "bbox") return box();
+
+    if (geography) {
+        if (area.type === "polygon") {
+            const geojson = JSON.stringify({
+                type: "Polygon",
+                coordinates: [[...area.ring, area.ring[0]]],
+            });
+            return `ST_Covers(ST_GeomFromGeoJSON(${param(geojson)})::geography, ${geographyOf(alias)})`;
+        }
+        return `ST_DWithin(${geographyOf(alias)}, ST_SetSRID(ST_MakePoint(${param(area.lon)}, ${param(area.lat)}), 4326)::geography, ${param(area.radiusKm * 1000)})`;
+    }
+
+    if (area.type === "polygon") {
+        const polygon = `(${area.ring.map(([x, y]) => `(${x},${y})`).join(",")})`;
+        return `${box()} AND point(${alias}.lon, ${alias}.lat) <@ ${param(polygon)}::polygon`;
+    }
+
+    const within = box();
+    const lat = `${param(area.lat)}::float8`;
+    const lon = `${param(area.lon)}::float8`;
+    return `${within} AND ${2 * EARTH_RADIUS_KM} * asin(sqrt(
+        power(sin(radians(${alias}.lat - ${lat}) / 2), 2) +
+        cos(radians(${lat})) * cos(radians(${alias}.lat)) *
+        power(sin(radians(${alias}.lon - ${lon}) / 2), 2)
+    )) <= ${param(area.radiusKm)}`;
+}
+
+// Whether the PostGIS geography index was added to flight_events
+export async function hasGeography(pg) {
+    const result = await pg.query(`
+        SELECT 1
+        FROM pg_indexes
+        WHERE tablename = 'flight_events'
+          AND indexname = 'idx_flight_events_geog'
+    `);
+    return result.rows.length > 0;
+}
@@ -0,0 +1,176 @@
+// Fastify's request log fields, with the stream's ?token= JWT masked
+export function serializeRequest(request) {
+    return {
+        method: request.method,
+        url: request.url?.replace(/([?&]token=)[^&#]*/g, "$1[REDACTED]"),
+        version: request.headers && request.headers["accept-version"],
+        host: request.host,
+        remoteAddress: request.ip,
+        remotePort: request.socket ? request.socket.remotePort : undefined,
+    };
+}
+
+// Parse a comma-separated filter value into upper-case terms
+export function parseList(value) {
+    if (!value) return [];
+    return value
+        .split(",")
+        .map((item) => item.trim().toUpperCase())
+        .filter(Boolean);
+}
+
+export function matchesFilters(position, filters) {
+    const { bbox, countries, callsigns, squawks = [] } = filters;
+
+    if (
+        bbox &&
+        (position.lat < bbox.lamin ||
+            position.lat > bbox.lamax ||
+            position.lon < bbox.lomin ||
+            position.lon > bbox.lomax)
+    ) {
+        return false;
+    }
+
+    if (countries.length > 0 && !countries.includes(position.country)) {
+        return false;
+    }
+
+    if (
+        callsigns.length > 0 &&
+        !callsigns.some((prefix) =>
+            (position.callsign || "").toUpperCase().startsWith(prefix),
+        )
+    ) {
+        return false;
+    }
+
+    if (squawks.length > 0 && !squawks.includes(position.squawk)) {
+        return false;
+    }
+
+    return true;
+}
+
+// Fans committed flight batches out to connected stream clients. Recent
+// batches are kept so a reconnecting client can replay what it missed; event
+// ids carry a per-process epoch so ids from before a restart force a reset.
+class PositionStream {
+    constructor(fastify) {
+        this.fastify = fastify;
+        this.epoch = Date.now().toString(36);
+        this.sequence = 0;
+        this.batches = [];
+        this.clients = new Set();
+
+        // ~1 hour of 10-second ingest cycles
+        this.replayBatches = parseInt(
+            process.env.STREAM_REPLAY_BATCHES || "360",
+        );
+        this.maxClients = parseInt(process.env.STREAM_MAX_CLIENTS || "100");
+
+        this.stats = { published: 0, sent: 0 };
+    }
+
+    get lastEventId() {
+        return this.sequence > 0 ? `${this.epoch}-${this.sequence}` : null;
+    }
+
+    isFull() {
+        return this.clients.size >= this.maxClients;
+    }
+
+    publish(positions) {
+        if (!positions || positions.length === 0) return;
+
+        const batch = {
+            sequence: ++this.sequence,
+            id: `${this.epoch}-${this.sequence}`,
+            ts: new Date().toISOString(),
+            positions,
+        };
+
+        this.batches.push(batch);
+        if (this.batches.length > this.replayBatches) {
+            this.batches.splice(0, this.batches.length - this.replayBatches);
+        }
+
+        this.stats.published++;
+
+        for (const client of this.clients) {
+            this.deliver(client, batch);
+        }
+    }
+
+    deliver(client, batch) {
+        const positions = batch.positions.filter((position) =>
+            matchesFilters(position, client.filters),
+        );
+        if (positions.length === 0) return;
+
+        client.send("positions", batch.id, {
+            ts: batch.ts,
+            count: positions.length,
+            positions,
+        });
+        this.stats.sent++;
+    }
+
+    // Batches after `lastEventId`, or null when it can't be resumed from
+    // (another process epoch, or older than the replay buffer)
+    replaySince(lastEventId) {
+        const [epoch, sequenceText] = String(lastEventId).split("-");
+        const sequence = parseInt(sequenceText);
+
+        if (epoch !== this.epoch || isNaN(sequence)) return null;
+        if (sequence > this.sequence) return null;
+
+        const oldest = this.batches.length > 0 ? this.batches[0].sequence : 1;
+        if (sequence < oldest - 1) return null;
+
+        return this.batches.filter((batch) => batch.sequence > sequence);
+    }
+
+    // `client` is { filters, send(event, id, data), close() }; returns an
+    // unsubscribe function
+    subscribe(client, lastEventId = null) {
+        const { send } = client;
+
+        if (lastEventId) {
+            const missed = this.replaySince(lastEventId);
+            if (missed === null) {
+                // Client must reload current positions over REST
+                send("reset", this.lastEventId, {
+                    reason: "Resume point no longer available",
+                });
+            } else {
+                for (const batch of missed) {
+                    this.deliver(client, batch);
+                }
+            }
+        }
+
+        this.clients.add(client);
+        return () => this.clients.delete(client);
+    }
+
+    stop() {
+        for (const client of this.clients) {
+            client.close();
+        }
+        this.clients.clear();
+    }
+
+    getStatus() {
+        return {
+            service: "Position Stream",
+            clients: this.clients.size,
+            maxClients: this.maxClients,
+            lastEventId: this.lastEventId,
+            bufferedBatches: this.batches.length,
+            stats: this.stats,
+        };
+    }
+}
+
+export default PositionStream;
@@ -0,0 +1,478 @@
+import cron from "node-cron";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Bumped whenever a driver's count definition changes, so baselines stop
+// reusing stored counts that were computed differently (v2: distinct assets)
+const DRIVERS_VERSION = 2;
+
+export function floorToHour(date) {
+    return new Date(Math.floor(date.getTime() / HOUR_MS) * HOUR_MS);
+}
+
+function round(value, places = 2) {
+    return parseFloat(value.toFixed(places));
+}
+
+// Parse "flights=0.4,ships=0.2,..." into a weight map
+function parseWeights(value, defaults) {
+    const weights = { ...defaults };
+    if (!value) return weights;
+
+    for (const pair of value.split(",")) {
+        const [name, weight] = pair.split("=").map((part) => part.trim());
+        const parsed = parseFloat(weight);
+        if (name in weights && !isNaN(parsed) && parsed >= 0) {
+            weights[name] = parsed;
+        }
+    }
+
+    return weights;
+}
+
+class TempoService {
+    constructor(fastify) {
+        this.fastify = fastify;
+        this.isRunning = false;
+        this.lastRun = null;
+        this.lastScore = null;
+        this.lastError = null;
+        this.task = null;
+        this.listeners = [];
+
+        // How far back to fill missing hourly scores on startup
+        this.backfillHours = parseInt(process.env.TEMPO_BACKFILL_HOURS || "48");
+
+        // Baseline history: same hour/weekday over N weeks, falling back to
+        // the same hour over N days when there isn't enough weekly history
+        this.baselineWeeks = parseInt(process.env.TEMPO_BASELINE_WEEKS || "8");
+        this.baselineDays = parseInt(process.env.TEMPO_BASELINE_DAYS || "14");
+        this.minSamples = parseInt(process.env.TEMPO_MIN_SAMPLES || "3");
+
+        // A gap longer than this between airborne reports starts a new sortie
+        this.sortieGapMinutes = parseInt(
+            process.env.TEMPO_SORTIE_GAP_MINUTES || "20",
+        );
+
+        // Score points per unit of weighted z-score around the neutral 50
+        this.zScale = parseFloat(process.env.TEMPO_Z_SCALE || "15");
+
+        this.weights = parseWeights(process.env.TEMPO_WEIGHTS, {
+            flights: 0.4,
+            ships: 0.2,
+            notams: 0.3,
+            exercises: 0.1,
+        });
+
+        // Each driver counts activity for the window ending at `end` (a SQL
+        // expression). `column` is where the count is kept in tempo_scores,
+        // `fallback` is the baseline used before any history exists and the
+        // optional `breakdown` adds detail to the stored drivers JSON.
+        // Position reports arrive every few seconds, so activity is counted
+        // as distinct assets rather than rows.
+        this.drivers = [
+            {
+                name: "flights",
+                column: "flight_count",
+                fallback: 10,
+                countSql: (end) => `
+                    SELECT COUNT(DISTINCT asset_id) FROM flight_events
+                    WHERE ts > ${end} - INTERVAL '1 hour' AND ts <= ${end}`,
+                breakdown: (client, at) => this.flightBreakdown(client, at),
+            },
+            {
+                // 72h window to cover AIS reporting delay
+                name: "ships",
+                column: "ship_count",
+                fallback: 5,
+                countSql: (end) => `
+                    SELECT COUNT(DISTINCT asset_id) FROM ship_events
+                    WHERE ts > ${end} - INTERVAL '72 hours' AND ts <= ${end}`,
+            },
+            {
+                name: "notams",
+                column: "notam_count",
+                fallback: 10,
+                countSql: (end) => `
+                    SELECT COUNT(*) FROM notams
+                    WHERE ts_start <= ${end} AND (ts_end IS NULL OR ts_end >= ${end})`,
+            },
+            {
+                name: "exercises",
+                column: "exercise_count",
+                fallback: 2,
+                countSql: (end) => `
+                    SELECT COUNT(*) FROM exercises
+                    WHERE ts_start <= ${end} AND (ts_end IS NULL OR ts_end >= ${end})`,
+            },
+        ];
+    }
+
+    // Distinct aircraft, sorties and flight-hours for the hour ending at `at`.
+    // A sortie is counted at its first airborne report after a ground report
+    // or a gap. Reports from the gap before the hour are read too, so an
+    // aircraft already flying when the hour opens isn't counted again.
+    async flightBreakdown(client, at) {
+        const result = await client.query(
+            `
+            WITH points AS (
+                SELECT
+                    asset_id,
+                    ts,
+                    COALESCE(on_ground, false) AS on_ground,
+                    LAG(ts) OVER w AS prev_ts,
+                    LAG(COALESCE(on_ground, false)) OVER w AS prev_on_ground
+                FROM flight_events
+                WHERE ts > $1::timestamptz - INTERVAL '1 hour' - $2::interval
+                  AND ts <= $1
+                WINDOW w AS (PARTITION BY asset_id ORDER BY ts)
+            )
+            SELECT
+                COUNT(*) AS position_reports,
+                COUNT(DISTINCT asset_id) AS aircraft,
+                COUNT(DISTINCT asset_id) FILTER (WHERE NOT on_ground) AS airborne,
+                COUNT(DISTINCT asset_id) FILTER (WHERE on_ground) AS on_ground,
+                COUNT(*) FILTER (
+                    WHERE NOT on_ground
+                      AND (prev_ts IS NULL OR prev_on_ground OR ts - prev_ts > $2::interval)
+                ) AS sorties,
+                COALESCE(SUM(EXTRACT(EPOCH FROM
+                    ts - GREATEST(prev_ts, $1::timestamptz - INTERVAL '1 hour')
+                )) FILTER (
+                    WHERE NOT on_ground
+                      AND NOT prev_on_ground
+                      AND ts - prev_ts <= $2::interval
+                ), 0) / 3600.0 AS flight_hours
+            FROM points
+            WHERE ts > $1::timestamptz - INTERVAL '1 hour'
+        `,
+            [at, `${this.sortieGapMinutes} minutes`],
+        );
+
+        const row = result.rows[0];
+
+        return {
+            aircraft: parseInt(row.aircraft),
+            airborne: parseInt(row.airborne),
+            on_ground: parseInt(row.on_ground),
+            sorties: parseInt(row.sorties),
+            flight_hours: round(parseFloat(row.flight_hours)),
+            position_reports: parseInt(row.position_reports),
+        };
+    }
+
+    // Historical counts for the hours matching `at` (stored score if we have
+    // one for that hour and it used the current definitions, otherwise
+    // recounted from the raw event table)
+    async baselineSamples(client, driver, at, step, count, dataStart) {
+        const result = await client.query(
+            `
+            WITH samples AS (
+                SELECT $1::timestamptz - (n * $2::interval) AS t
+                FROM generate_series(1, $3) AS n
+            ),
+            stored AS (
+                SELECT s.t, ts.${driver.column} AS count
+                FROM samples s
+                LEFT JOIN tempo_scores ts
+                    ON ts.ts = date_trunc('hour', s.t)
+                   AND COALESCE((ts.drivers->>'version')::int, 1) >= $5
+            )
+            SELECT COALESCE(
+                stored.count,
+                (${driver.countSql("stored.t")})
+            ) AS count
+            FROM stored
+            WHERE stored.count IS NOT NULL OR stored.t >= $4
+        `,
+            [at, step, count, dataStart, DRIVERS_VERSION],
+        );
+
+        return result.rows.map((row) => parseInt(row.count));
+    }
+
+    async baseline(client, driver, at, dataStart) {
+        let method = "dow_hour";
+        let samples = dataStart
+            ? await this.baselineSamples(
+                  client,
+                  driver,
+                  at,
+                  "7 days",
+                  this.baselineWeeks,
+                  dataStart,
+              )
+            : [];
+
+        if (samples.length < this.minSamples && dataStart) {
+            method = "hour";
+            samples = await this.baselineSamples(
+                client,
+                driver,
+                at,
+                "1 day",
+                this.baselineDays,
+                dataStart,
+            );
+        }
+
+        if (samples.length < this.minSamples) {
+            // No usable history yet: fixed baseline with Poisson spread
+            return {
+                method: "default",
+                samples: samples.length,
+                mean: driver.fallback,
+                sigma: Math.sqrt(driver.fallback),
+            };
+        }
+
+        const mean =
+            samples.reduce((sum, value) => sum + value, 0) / samples.length;
+        const variance =
+            samples.reduce((sum, value) => sum + (value - mean) ** 2, 0) /
+            (samples.length - 1);
+
+        // Floor sigma so a flat history doesn't turn one extra event into a huge z
+        const sigma = Math.max(Math.sqrt(variance), Math.sqrt(mean), 1);
+
+        return { method, samples: samples.length, mean, sigma };
+    }
+
+    // Register a callback for each newly calculated score
+    onScore(listener) {
+        this.listeners.push(listener);
+    }
+
+    // Score the hour ending at `at`; stored against the hour `at` falls in,
+    // so `at` should be on the hour for each stored ts to mean one window.
+    // Listeners are told about live scores but not about backfilled hours.
+    async calculate(at = new Date(), { notify = true } = {}) {
+        const client = await this.fastify.pg.connect();
+
+        try {
+            // Earliest point we have raw data for; older hours can't be recounted
+            const startResult = await client.query(`
+                SELECT LEAST(
+                    (SELECT MIN(ts) FROM flight_events),
+                    (SELECT MIN(ts) FROM ship_events)
+                ) AS data_start
+            `);
+            const dataStart = startResult.rows[0].data_start;
+
+            const totalWeight =
+                Object.values(this.weights).reduce((sum, w) => sum + w, 0) || 1;
+
+            const components = {};
+            let weightedZ = 0;
+
+            for (const driver of this.drivers) {
+                const countResult = await client.query(
+                    `SELECT (${driver.countSql("$1::timestamptz")}) AS count`,
+                    [at],
+                );
+                const count = parseInt(countResult.rows[0].count);
+
+                const baseline = await this.baseline(
+                    client,
+                    driver,
+                    at,
+                    dataStart,
+                );
+                const z = (count - baseline.mean) / baseline.sigma;
+                const weight = this.weights[driver.name] / totalWeight;
+
+                weightedZ += weight * z;
+
+                components[driver.name] = {
+                    count,
+                    ...(driver.breakdown
+                        ? { breakdown: await driver.breakdown(client, at) }
+                        : {}),
+                    baseline: round(baseline.mean),
+                    sigma: round(baseline.sigma),
+                    z: round(z),
+                    weight: round(weight, 3),
+                    score: round(
+                        Math.min(100, Math.max(0, 50 + this.zScale * z)),
+                    ),
+                    method: baseline.method,
+                    samples: baseline.samples,
+                };
+            }
+
+            // Composite: neutral 50, +/- zScale points per weighted sigma
+            const compositeScore = Math.min(
+                100,
+                Math.max(0, 50 + this.zScale * weightedZ),
+            );
+
+            // Store the score
+            const hourTimestamp = floorToHour(at);
+
+            const previousResult = await client.query(
+                "SELECT score FROM tempo_scores WHERE ts < $1 ORDER BY ts DESC LIMIT 1",
+                [hourTimestamp],
+            );
+            const previousScore = previousResult.rows[0]
+                ? parseFloat(previousResult.rows[0].score)
+                : null;
+
+            await client.query(
+                `
+                INSERT INTO tempo_scores (ts, score, drivers, flight_count, ship_count, notam_count, exercise_count)
+                VALUES ($1, $2, $3, $4, $5, $6, $7)
+                ON CONFLICT (ts) DO UPDATE SET
+                    score = EXCLUDED.score,
+                    drivers = EXCLUDED.drivers,
+                    flight_count = EXCLUDED.flight_count,
+                    ship_count = EXCLUDED.ship_count,
+                    notam_count = EXCLUDED.notam_count,
+                    exercise_count = EXCLUDED.exercise_count
+            `,
+                [
+                    hourTimestamp,
+                    compositeScore.toFixed(2),
+                    JSON.stringify({
+                        ...components,
+                        version: DRIVERS_VERSION,
+                        weighted_z: round(weightedZ, 3),
+                        z_scale: this.zScale,
+                    }),
+                    components.flights.count,
+                    components.ships.count,
+                    components.notams.count,
+                    components.exercises.count,
+                ],
+            );
+
+            const result = {
+                timestamp: hourTimestamp.toISOString(),
+                score: round(compositeScore),
+                components,
+            };
+
+            this.lastScore = {
+                timestamp: result.timestamp,
+                score: result.score,
+            };
+
+            if (notify) {
+                for (const listener of this.listeners) {
+                    Promise.resolve(
+                        listener({ ...result, previousScore }),
+                    ).catch((error) => {
+                        this.fastify.log.error(
+                            "Tempo score listener failed:",
+                            error,
+                        );
+                    });
+                }
+            }
+
+            return result;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Fill any hourly scores missing since the last stored one
+    async backfill(now = new Date()) {
+        const currentHour = floorToHour(now);
+        const earliest = new Date(
+            currentHour.getTime() - this.backfillHours * HOUR_MS,
+        );
+
+        const result = await this.fastify.pg.query(
+            "SELECT MAX(ts) as last_ts FROM tempo_scores WHERE ts >= $1",
+            [earliest],
+        );
+
+        const lastTs = result.rows[0].last_ts;
+        let hour = lastTs
+            ? new Date(floorToHour(lastTs).getTime() + HOUR_MS)
+            : new Date(earliest.getTime() + HOUR_MS);
+
+        let filled = 0;
+        while (hour <= currentHour) {
+            await this.calculate(hour, { notify: false });
+            filled++;
+            hour = new Date(hour.getTime() + HOUR_MS);
+        }
+
+        if (filled > 0) {
+            this.fastify.log.info(`Backfilled ${filled} hourly tempo scores`);
+        }
+
+        return filled;
+    }
+
+    async runScheduled() {
+        if (this.isRunning) {
+            this.fastify.log.warn(
+                "Tempo calculation already running, skipping...",
+            );
+            return;
+        }
+
+        this.isRunning = true;
+
+        try {
+            await this.calculate(floorToHour(new Date()));
+            this.lastRun = new Date().toISOString();
+            this.lastError = null;
+        } catch (error) {
+            this.lastError = error.message;
+            this.fastify.log.error(
+                "Scheduled tempo calculation failed:",
+                error,
+            );
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    async start() {
+        this.fastify.log.info("Starting tempo calculation service...");
+
+        // Run just after the top of each hour so ingestion has flushed
+        this.task = cron.schedule("1 * * * *", async () => {
+            await this.runScheduled();
+        });
+
+        this.isRunning = true;
+        try {
+            await this.backfill();
+            this.lastRun = new Date().toISOString();
+        } catch (error) {
+            this.lastError = error.message;
+            this.fastify.log.error("Tempo backfill failed:", error);
+        } finally {
+            this.isRunning = false;
+        }
+
+        this.fastify.log.info("Tempo calculation service started (hourly)");
+    }
+
+    stop() {
+        if (this.task) {
+            this.task.stop();
+            this.task = null;
+        }
+        this.fastify.log.info("Tempo calculation service stopped");
+    }
+
+    getStatus() {
+        return {
+            service: "Tempo Calculator",
+            running: this.isRunning,
+            scheduled: !!this.task,
+            lastRun: this.lastRun || null,
+            lastScore: this.lastScore,
+            lastError: this.lastError,
+            backfillHours: this.backfillHours,
+            weights: this.weights,
+        };
+    }
+}
+
+export default TempoService;
@@ -0,0 +1,201 @@
+// Alert subscription event type for watchlist hits
+export const WATCHLIST_EVENT_TYPES = ["watchlist_hit"];
+
+export const WATCHLIST_FIELDS = ["icao24", "callsign"];
+
+// Canonical form of a watched value (upper case, trimmed), or null if it
+// isn't a valid ICAO24 address or callsign
+export function normalizeWatchValue(field, value) {
+    const normalized = String(value ?? "")
+        .trim()
+        .toUpperCase();
+    if (field === "icao24") {
+        return /^[0-9A-F]{6}$/.test(normalized) ? normalized : null;
+    }
+    if (field === "callsign") {
+        return /^[A-Z0-9]{1,8}$/.test(normalized) ? normalized : null;
+    }
+    return null;
+}
+
+export function formatWatchlistEntry(row) {
+    return {
+        id: row.id,
+        field: row.field,
+        value: row.value,
+        label: row.label,
+        active: row.active,
+        lastSeenAt: row.last_seen_at ?? null,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+    };
+}
+
+// Matches each committed flight batch against users' watchlists. A watched
+// aircraft raises a hit the first time it's seen and again whenever it
+// reappears after WATCHLIST_QUIET_MINUTES without a sighting. Sightings are
+// kept in watchlist_sightings, so a restart doesn't re-raise hits for
+// aircraft that are still being tracked. Batches and reloads are run one at
+// a time.
+class WatchlistMonitor {
+    constructor(fastify) {
+        this.fastify = fastify;
+        this.entries = new Map();
+        this.entryCount = 0;
+        this.queue = Promise.resolve();
+        this.listeners = [];
+        this.loaded = false;
+        this.lastError = null;
+        this.lastBatchAt = null;
+
+        this.quietMs =
+            parseInt(process.env.WATCHLIST_QUIET_MINUTES || "60") * 60 * 1000;
+
+        this.stats = {
+            hits: 0,
+        };
+    }
+
+    // Register a callback for each watchlist hit
+    onHit(listener) {
+        this.listeners.push(listener);
+    }
+
+    enqueue(task) {
+        const run = this.queue.then(task);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    async load() {
+        const result = await this.fastify.pg.query(
+            "SELECT * FROM watchlist_entries WHERE active = true",
+        );
+
+        // Entries keyed by "<field>:<value>" for lookups per position
+        const entries = new Map();
+        for (const entry of result.rows) {
+            const key = `${entry.field}:${entry.value}`;
+            if (!entries.has(key)) entries.set(key, []);
+            entries.get(key).push(entry);
+        }
+
+        this.entries = entries;
+        this.entryCount = result.rows.length;
+        this.loaded = true;
+    }
+
+    // Pick up created, edited or deleted entries
+    reload() {
+        return this.enqueue(() => this.load());
+    }
+
+    async start() {
+        try {
+            await this.reload();
+            this.lastError = null;
+            this.fastify.log.info(
+                `Watching ${this.entryCount} watchlist entries`,
+            );
+        } catch (error) {
+            this.lastError = error.message;
+            this.fastify.log.error("Failed to load watchlists:", error);
+        }
+    }
+
+    processBatch(positions) {
+        return this.enqueue(() => this.evaluate(positions));
+    }
+
+    matches(position) {
+        const callsign = position.callsign?.trim().toUpperCase();
+        return [
+            ...(this.entries.get(`icao24:${position.icao24}`) || []),
+            ...((callsign && this.entries.get(`callsign:${callsign}`)) || []),
+        ];
+    }
+
+    async evaluate(positions) {
+        this.lastBatchAt = Date.now();
+        const hits = [];
+
+        for (const position of positions) {
+            for (const entry of this.matches(position)) {
+                try {
+                    if (await this.sighting(entry, position)) {
+                        hits.push({ entry, position });
+                    }
+                } catch (error) {
+                    this.fastify.log.error(
+                        `Failed to record watchlist ${entry.id} sighting of ${position.icao24}:`,
+                        error,
+                    );
+                }
+            }
+        }
+
+        for (const hit of hits) {
+            this.stats.hits++;
+            this.fastify.log.info(
+                `Watchlist hit: ${hit.position.callsign || hit.position.icao24} matched ${hit.entry.field} ${hit.entry.value}`,
+            );
+
+            for (const listener of this.listeners) {
+                Promise.resolve()
+                    .then(() => listener(hit))
+                    .catch((listenerError) => {
+                        this.fastify.log.error(
+                            "Watchlist hit listener failed:",
+                            listenerError,
+                        );
+                    });
+            }
+        }
+
+        return hits;
+    }
+
+    // Record a sighting; true if it's a hit (the first sighting, or the first
+    // after the quiet period). On conflict the SET expressions see the
+    // previous sighting.
+    async sighting(entry, position) {
+        const result = await this.fastify.pg.query(
+            `
+            INSERT INTO watchlist_sightings
+            (entry_id, icao24, last_seen_at, last_hit_at)
+            VALUES ($1, $2, $3, $3)
+            ON CONFLICT (entry_id, icao24) DO UPDATE SET
+                last_hit_at = CASE
+                    WHEN EXCLUDED.last_seen_at - watchlist_sightings.last_seen_at
+                         > $4 * INTERVAL '1 millisecond'
+                    THEN EXCLUDED.last_seen_at
+                    ELSE watchlist_sightings.last_hit_at
+                END,
+                last_seen_at = GREATEST(
+                    watchlist_sightings.last_seen_at,
+                    EXCLUDED.last_seen_at
+                )
+            RETURNING last_hit_at = $3 AS hit
+        `,
+            [entry.id, position.icao24, position.ts, this.quietMs],
+        );
+
+        return result.rows[0].hit;
+    }
+
+    getStatus() {
+        return {
+            service: "Watchlist Monitor",
+            running: this.loaded,
+            entries: this.entryCount,
+            quietMinutes: this.quietMs / 60000,
+            lastBatch: this.lastBatchAt
+                ? new Date(this.lastBatchAt).toISOString()
+                : null,
+            lastError: this.lastError,
+            detected: this.stats,
+        };
+    }
+}
+
+export default WatchlistMonitor;
@@ -12,9 +12,36 @@ import flightRoutes from "./routes/flights.js";
 import authRoutes from "./routes/auth.js";
 import tempoRoutes from "./routes/tempo.js";
 import healthRoutes from "./routes/health.js";
+import geofenceRoutes from "./routes/geofences.js";
+import watchlistRoutes from "./routes/watchlist.js";
+import airfieldRoutes from "./routes/airfields.js";
+import eventRoutes from "./routes/events.js";
+import registryRoutes from "./routes/registry.js";
+import classificationRoutes from "./routes/classification.js";
+import streamRoutes from "./routes/stream.js";
+import alertRoutes from "./routes/alerts.js";
+import exerciseRoutes from "./routes/exercises.js";
+import notamRoutes from "./routes/notams.js";
+import shipRoutes from "./routes/ships.js";
 
 // Import services
+import FlightIngestor from "./services/ingest.js";
 import OpenSkyService from "./services/opensky.js";
+import ReadsbService from "./services/readsb.js";
+import SbsService from "./services/sbs.js";
+import ClassificationService from "./services/classification.js";
+import RegistryService from "./services/registry.js";
+import AisService from "./services/ais.js";
+import NotamService from "./services/notams.js";
+import TempoService from "./services/tempo.js";
+import AlertDispatcher from "./services/alerts.js";
+import EmailNotifier from "./services/email.js";
+import PositionStream, { serializeRequest } from "./services/stream.js";
+import EventDetector from "./services/events.js";
+import SortieService from "./services/sorties.js";
+import AirfieldService from "./services/airfields.js";
+import GeofenceMonitor from "./services/geofences.js";
+import WatchlistMonitor from "./services/watchlist.js";
 import runMigration from "./db/migrate.js";
 
 dotenv.config();
@@ -34,12 +61,28 @@ const fastify = Fastify({
                       },
                   }
                 : undefined,
+        serializers: { req: serializeRequest },
     },
     trustProxy: true,
 });
 
-// Global variable to track OpenSky service for status endpoint
+// Global variables to track ingestion services for status endpoint
+let flightIngestor = null;
 let openSkyService = null;
+let readsbService = null;
+let sbsService = null;
+let classificationService = null;
+let registryService = null;
+let aisService = null;
+let notamService = null;
+let tempoService = null;
+let alertDispatcher = null;
+let positionStream = null;
+let eventDetector = null;
+let sortieService = null;
+let airfieldService = null;
+let geofenceMonitor = null;
+let watchlistMonitor = null;
 
 async function startServices() {
     try {
@@ -192,7 +235,68 @@ async function startServices() {
 
         // Step 5: Initialize OpenSky service (but don't start yet)
         console.log("🛠️  Initializing services...");
-        openSkyService = new OpenSkyService(fastify);
+        classificationService = new ClassificationService(fastify);
+        registryService = new RegistryService(fastify);
+        flightIngestor = new FlightIngestor(fastify, {
+            classifier: classificationService,
+        });
+        // Flight sources; any combination can run at once
+        openSkyService = new OpenSkyService(fastify, {
+            ingestor: flightIngestor,
+        });
+        readsbService = new ReadsbService(fastify, {
+            ingestor: flightIngestor,
+        });
+        sbsService = new SbsService(fastify, { ingestor: flightIngestor });
+        aisService = new AisService(fastify);
+        notamService = new NotamService(fastify);
+        tempoService = new TempoService(fastify);
+        airfieldService = new AirfieldService(fastify);
+        sortieService = new SortieService(fastify, {
+            airfields: airfieldService,
+        });
+        alertDispatcher = new AlertDispatcher(fastify);
+        alertDispatcher.registerChannel("email", new EmailNotifier(fastify));
+        positionStream = new PositionStream(fastify);
+        eventDetector = new EventDetector(fastify, {
+            bounds: openSkyService.ukBounds,
+        });
+        geofenceMonitor = new GeofenceMonitor(fastify);
+        watchlistMonitor = new WatchlistMonitor(fastify);
+
+        // Fan new tempo scores out to alert subscribers
+        tempoService.onScore((score) =>
+            alertDispatcher.handleTempoScore(score),
+        );
+
+        // Push committed flight positions to stream clients
+        flightIngestor.onBatch((positions) =>
+            positionStream.publish(positions),
+        );
+
+        // Look for emergencies and anomalies in each batch and alert on them
+        flightIngestor.onBatch((positions) =>
+            eventDetector.processBatch(positions),
+        );
+        eventDetector.onEvent((event) =>
+            alertDispatcher.handleFlightEvent(event),
+        );
+
+        // Check each batch against user geofences and alert their owners
+        flightIngestor.onBatch((positions) =>
+            geofenceMonitor.processBatch(positions),
+        );
+        geofenceMonitor.onEvent((transition) =>
+            alertDispatcher.handleGeofenceEvent(transition),
+        );
+
+        // Match each batch against user watchlists and alert their owners
+        flightIngestor.onBatch((positions) =>
+            watchlistMonitor.processBatch(positions),
+        );
+        watchlistMonitor.onHit((hit) =>
+            alertDispatcher.handleWatchlistHit(hit),
+        );
 
         // Step 6: Register routes (BEFORE starting server)
         console.log("🛣️  Registering API routes...");
@@ -204,8 +308,46 @@ async function startServices() {
         await fastify.register(authRoutes, { prefix: "/api/v1/auth" });
 
         // API routes (require authentication)
-        await fastify.register(flightRoutes, { prefix: "/api/v1/flights" });
-        await fastify.register(tempoRoutes, { prefix: "/api/v1/tempo" });
+        await fastify.register(flightRoutes, {
+            prefix: "/api/v1/flights",
+            classificationService,
+        });
+        await fastify.register(tempoRoutes, {
+            prefix: "/api/v1/tempo",
+            tempoService,
+        });
+        await fastify.register(shipRoutes, { prefix: "/api/v1/ships" });
+        await fastify.register(exerciseRoutes, { prefix: "/api/v1/exercises" });
+        await fastify.register(alertRoutes, { prefix: "/api/v1/alerts" });
+        await fastify.register(eventRoutes, { prefix: "/api/v1/events" });
+        await fastify.register(geofenceRoutes, {
+            prefix: "/api/v1/geofences",
+            geofenceMonitor,
+        });
+        await fastify.register(watchlistRoutes, {
+            prefix: "/api/v1/watchlist",
+            watchlistMonitor,
+        });
+        await fastify.register(airfieldRoutes, {
+            prefix: "/api/v1/airfields",
+            airfieldService,
+        });
+        await fastify.register(registryRoutes, {
+            prefix: "/api/v1/registry",
+            registryService,
+        });
+        await fastify.register(classificationRoutes, {
+            prefix: "/api/v1/classification",
+            classificationService,
+        });
+        await fastify.register(streamRoutes, {
+            prefix: "/api/v1/stream",
+            positionStream,
+        });
+        await fastify.register(notamRoutes, {
+            prefix: "/api/v1/notams",
+            notamService,
+        });
 
         // Root route
         fastify.get("/", async (request, reply) => {
@@ -218,6 +360,16 @@ async function startServices() {
                     health: "/health",
                     flights: "/api/v1/flights",
                     tempo: "/api/v1/tempo",
+                    ships: "/api/v1/ships",
+                    notams: "/api/v1/notams",
+                    exercises: "/api/v1/exercises",
+                    alerts: "/api/v1/alerts",
+                    stream: "/api/v1/stream",
+                    classification: "/api/v1/classification",
+                    registry: "/api/v1/registry",
+                    events: "/api/v1/events",
+                    airfields: "/api/v1/airfields",
+                    geofences: "/api/v1/geofences",
                     auth: "/api/v1/auth",
                 },
             };
@@ -240,6 +392,116 @@ async function startServices() {
                               configured: false,
                               status: "not_started",
                           },
+                    readsb: readsbService
+                        ? readsbService.getStatus()
+                        : {
+                              service: "readsb/dump1090",
+                              running: false,
+                              configured: false,
+                              status: "not_started",
+                          },
+                    sbs: sbsService
+                        ? sbsService.getStatus()
+                        : {
+                              service: "SBS-1 feed",
+                              running: false,
+                              configured: false,
+                              status: "not_started",
+                          },
+                    ingest: flightIngestor
+                        ? flightIngestor.getStatus()
+                        : {
+                              service: "Flight Ingest",
+                              running: false,
+                              status: "not_started",
+                          },
+                    classification: classificationService
+                        ? classificationService.getStatus()
+                        : {
+                              service: "Classification Rules",
+                              running: false,
+                              status: "not_started",
+                          },
+                    registry: registryService
+                        ? registryService.getStatus()
+                        : {
+                              service: "Aircraft Registry",
+                              running: false,
+                              configured: false,
+                              status: "not_started",
+                          },
+                    ais: aisService
+                        ? aisService.getStatus()
+                        : {
+                              service: "AIS",
+                              running: false,
+                              configured: false,
+                              status: "not_started",
+                          },
+                    notams: notamService
+                        ? notamService.getStatus()
+                        : {
+                              service: "NOTAM Import",
+                              running: false,
+                              configured: false,
+                              status: "not_started",
+                          },
+                    tempo: tempoService
+                        ? tempoService.getStatus()
+                        : {
+                              service: "Tempo Calculator",
+                              running: false,
+                              status: "not_started",
+                          },
+                    sorties: sortieService
+                        ? sortieService.getStatus()
+                        : {
+                              service: "Sortie Segmentation",
+                              running: false,
+                              status: "not_started",
+                          },
+                    geofences: geofenceMonitor
+                        ? geofenceMonitor.getStatus()
+                        : {
+                              service: "Geofence Monitor",
+                              running: false,
+                              status: "not_started",
+                          },
+                    watchlist: watchlistMonitor
+                        ? watchlistMonitor.getStatus()
+                        : {
+                              service: "Watchlist Monitor",
+                              running: false,
+                              status: "not_started",
+                          },
+                    airfields: airfieldService
+                        ? airfieldService.getStatus()
+                        : {
+                              service: "Airfields",
+                              running: false,
+                              status: "not_started",
+                          },
+                    alerts: alertDispatcher
+                        ? alertDispatcher.getStatus()
+                        : {
+                              service: "Alert Dispatcher",
+                              running: false,
+                              status: "not_started",
+                          },
+                    stream: positionStream
+                        ? positionStream.getStatus()
+                        : {
+                              service: "Position Stream",
+                              clients: 0,
+                              status: "not_started",
+                          },
+                    events: eventDetector
+                        ? eventDetector.getStatus()
+                        : {
+                              service: "Event Detector",
+                              running: false,
+                              status: "not_started",
+                          },
                     database: {
                         status: "connected",
                         url:
@@ -272,11 +534,71 @@ async function startServices() {
         );
 
         // Step 8: Start background services (AFTER server is running)
+        console.log("🏷️  Loading military classification rules...");
+        if (classificationService) {
+            classificationService.start();
+        }
+
+        console.log("📚 Loading aircraft registry...");
+        if (registryService) {
+            registryService.start();
+        }
+
+        // Queued ahead of the first ingest batch
+        console.log("🗺️  Loading geofences...");
+        if (geofenceMonitor) {
+            geofenceMonitor.start();
+        }
+
+        console.log("👀 Loading watchlists...");
+        if (watchlistMonitor) {
+            watchlistMonitor.start();
+        }
+
         console.log("✈️  Starting OpenSky data ingestion...");
         if (openSkyService) {
             openSkyService.start();
         }
 
+        console.log("📡 Starting local receiver and SBS-1 ingestion...");
+        if (readsbService) {
+            readsbService.start();
+        }
+        if (sbsService) {
+            sbsService.start();
+        }
+
+        console.log("🚢 Starting AIS data ingestion...");
+        if (aisService) {
+            aisService.start();
+        }
+
+        console.log("📝 Starting NOTAM import...");
+        if (notamService) {
+            notamService.start();
+        }
+
+        console.log("📈 Starting hourly tempo calculation...");
+        if (tempoService) {
+            tempoService.start();
+        }
+
+        // Load airfields before the first segmentation run resolves against them
+        console.log("🛬 Loading airfields...");
+        if (airfieldService) {
+            await airfieldService.start();
+        }
+
+        console.log("🛫 Starting sortie segmentation...");
+        if (sortieService) {
+            sortieService.start();
+        }
+
+        console.log("🔔 Starting alert dispatcher...");
+        if (alertDispatcher) {
+            alertDispatcher.start();
+        }
+
         console.log("✅ All services started successfully");
 
         // Graceful shutdown handler
@@ -286,6 +608,36 @@ async function startServices() {
             if (openSkyService) {
                 openSkyService.stop();
             }
+            if (readsbService) {
+                readsbService.stop();
+            }
+            if (sbsService) {
+                sbsService.stop();
+            }
+            if (classificationService) {
+                classificationService.stop();
+            }
+            if (registryService) {
+                registryService.stop();
+            }
+            if (aisService) {
+                aisService.stop();
+            }
+            if (notamService) {
+                notamService.stop();
+            }
+            if (tempoService) {
+                tempoService.stop();
+            }
+            if (sortieService) {
+                sortieService.stop();
+            }
+            if (alertDispatcher) {
+                alertDispatcher.stop();
+            }
+            if (positionStream) {
+                positionStream.stop();
+            }
             await fastify.close();
 
             console.log("👋 ForceFlow UK shut down complete");
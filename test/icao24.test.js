@@ -0,0 +1,85 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    MILITARY_BLOCKS,
+    STATE_BLOCKS,
+    lookupAddress,
+    lookupMilitaryBlock,
+    lookupState,
+    parseIcao24,
+} from "../src/services/icao24.js";
+
+function assertSortedAndDisjoint(blocks) {
+    for (let i = 0; i < blocks.length; i++) {
+        const [start, end] = blocks[i];
+        assert.ok(start <= end, `block ${i} starts after it ends`);
+        if (i > 0) {
+            assert.ok(
+                start > blocks[i - 1][1],
+                `block ${i} overlaps or precedes block ${i - 1}`,
+            );
+        }
+    }
+}
+
+test("state and military blocks are sorted and don't overlap", () => {
+    assertSortedAndDisjoint(STATE_BLOCKS);
+    assertSortedAndDisjoint(MILITARY_BLOCKS);
+});
+
+test("every military block lies inside its state's block", () => {
+    for (const [start, end, country, name] of MILITARY_BLOCKS) {
+        if (country === "NATO") continue;
+        const hex = start.toString(16).padStart(6, "0");
+        const state = lookupState(hex);
+        assert.ok(state, `${name} starts outside any state block`);
+        assert.ok(
+            end <= parseInt(state.end, 16),
+            `${name} ends past ${state.name}`,
+        );
+    }
+});
+
+test("UK block edges", () => {
+    assert.equal(lookupState("400000").country, "GB");
+    assert.equal(lookupMilitaryBlock("400000").country, "GB");
+    assert.equal(lookupState("43FFFF").country, "GB");
+    assert.equal(lookupMilitaryBlock("43FFFF"), null);
+    assert.equal(lookupState("440000").country, "AT");
+});
+
+test("UK military sub-block edges", () => {
+    assert.equal(lookupMilitaryBlock("43BFFF"), null);
+    assert.equal(lookupMilitaryBlock("43C000").name, "UK military");
+    assert.equal(lookupMilitaryBlock("43CFFF").name, "UK military");
+    assert.equal(lookupMilitaryBlock("43D000"), null);
+    assert.equal(lookupState("43D000").country, "GB");
+});
+
+test("US military sub-block edges", () => {
+    assert.equal(lookupState("ADF7C7").country, "US");
+    assert.equal(lookupMilitaryBlock("ADF7C7"), null);
+    assert.equal(lookupMilitaryBlock("ADF7C8").country, "US");
+    assert.equal(lookupMilitaryBlock("AFFFFF").country, "US");
+});
+
+test("unallocated addresses resolve to null", () => {
+    assert.equal(lookupState("B00000"), null);
+    assert.equal(lookupMilitaryBlock("B00000"), null);
+    assert.deepEqual(lookupAddress("B00000"), {
+        icao24: "B00000",
+        country: null,
+        state: null,
+        military: false,
+        militaryBlock: null,
+    });
+});
+
+test("addresses are parsed case-insensitively and validated", () => {
+    assert.equal(parseIcao24("43c6f2"), 0x43c6f2);
+    assert.equal(parseIcao24(" 43C6F2 "), 0x43c6f2);
+    assert.equal(parseIcao24("43C6F"), null);
+    assert.equal(parseIcao24("43C6FG"), null);
+    assert.equal(parseIcao24(null), null);
+    assert.equal(lookupAddress("nope").icao24, null);
+});
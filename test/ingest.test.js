@@ -0,0 +1,116 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import FlightIngestor from "../src/services/ingest.js";
+
+const BATCH_SIZE = 5000;
+
+// Stands in for a pg client: assets get ids back, and the flight_events
+// insert fails like a constraint violation when any row has a NaN latitude
+function fakeClient() {
+    const statements = [];
+    return {
+        statements,
+        async query(sql, params = []) {
+            const statement = sql.trim().split(/\s+/).slice(0, 3).join(" ");
+            statements.push(statement);
+
+            if (statement.startsWith("INSERT INTO assets")) {
+                return {
+                    rows: params[0].map((code) => ({ id: `id-${code}`, code })),
+                };
+            }
+            if (
+                statement.startsWith("INSERT INTO flight_events") &&
+                params[2].some((lat) => Number.isNaN(lat))
+            ) {
+                throw Object.assign(new Error("invalid input value"), {
+                    code: "22P02",
+                });
+            }
+            return { rows: [] };
+        },
+    };
+}
+
+function rows(count) {
+    const ts = new Date("2026-10-18T12:00:00Z");
+    return Array.from({ length: count }, (_, i) => ({
+        source: "opensky",
+        icao24: (0x43c000 + i).toString(16).toUpperCase(),
+        callsign: `RRR${i}`,
+        countryCode: "GB",
+        ts,
+        lat: 51 + i / 10000,
+        lon: -1,
+        altitude: 3000,
+        velocity: 200,
+        heading: 90,
+        verticalRate: 0,
+        onGround: false,
+        geoAltitude: 3050,
+        squawk: null,
+        spi: false,
+        sensors: null,
+        positionSource: 0,
+        timePosition: ts,
+        sources: ["opensky"],
+    }));
+}
+
+function ingestor() {
+    const log = { info() {}, warn() {}, error() {} };
+    return new FlightIngestor({ log }, { classifier: {} });
+}
+
+test(`a clean ${BATCH_SIZE}-state batch is written with two INSERT statements`, async (t) => {
+    const client = fakeClient();
+    const started = performance.now();
+    const result = await ingestor().writeRows(client, rows(BATCH_SIZE));
+    t.diagnostic(
+        `${(performance.now() - started).toFixed(1)}ms in writeRows against the fake client (no database time)`,
+    );
+
+    assert.equal(result.written.length, BATCH_SIZE);
+    assert.equal(result.failed.length, 0);
+    assert.deepEqual(client.statements, [
+        "SAVEPOINT ingest_rows",
+        "INSERT INTO assets",
+        "INSERT INTO flight_events",
+        "RELEASE SAVEPOINT ingest_rows",
+    ]);
+});
+
+test(`one bad row in ${BATCH_SIZE} is isolated by bisection`, async (t) => {
+    const batch = rows(BATCH_SIZE);
+    const bad = batch[3217];
+    bad.lat = NaN;
+
+    const client = fakeClient();
+    const started = performance.now();
+    const result = await ingestor().writeRows(client, batch);
+    t.diagnostic(
+        `${(performance.now() - started).toFixed(1)}ms in writeRows against the fake client (no database time), ${client.statements.length} statements`,
+    );
+
+    assert.deepEqual(result.failed, [bad]);
+    assert.equal(result.written.length, BATCH_SIZE - 1);
+    assert.ok(!result.written.includes(bad));
+
+    // Each level of the bisection retries the failing half once and writes
+    // the clean half once, so failed inserts stay logarithmic
+    const failedInserts = client.statements.filter(
+        (statement, i) =>
+            statement === "INSERT INTO flight_events" &&
+            client.statements[i + 1] === "ROLLBACK TO SAVEPOINT",
+    ).length;
+    assert.ok(failedInserts <= Math.ceil(Math.log2(BATCH_SIZE)) + 1);
+
+    // Every savepoint taken is released
+    const taken = client.statements.filter(
+        (statement) => statement === "SAVEPOINT ingest_rows",
+    ).length;
+    const released = client.statements.filter(
+        (statement) => statement === "RELEASE SAVEPOINT ingest_rows",
+    ).length;
+    assert.equal(taken, released);
+});